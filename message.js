@@ -0,0 +1,134 @@
+/**
+ * Message Signing Window Logic
+ * Shows the exact message text and the requesting site, and handles approve/reject
+ */
+
+let requestId = null;
+let messageData = null;
+let port = null;
+
+const FORMAT_LABELS = {
+  'legacy': 'Bitcoin Signed Message',
+  'bip322-simple': 'BIP322 (simple)',
+  'bip322-full': 'BIP322 (full)'
+};
+
+/**
+ * Initialize message signing window
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  requestId = urlParams.get('requestId');
+
+  if (!requestId) {
+    showError('Invalid request - missing request ID');
+    return;
+  }
+
+  port = chrome.runtime.connect({ name: 'signing-window' });
+
+  port.postMessage({
+    type: 'GET_SIGN_REQUEST',
+    requestId
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'SIGN_REQUEST_DATA') {
+      messageData = message.data;
+      displayMessage();
+    } else if (message.type === 'SIGN_REQUEST_ERROR') {
+      showError(message.error);
+    }
+  });
+
+  setTimeout(() => {
+    if (!messageData && document.getElementById('errorState').classList.contains('hidden')) {
+      showError('Failed to load message - request may have expired');
+    }
+  }, 10000);
+
+  document.getElementById('approveBtn')?.addEventListener('click', approveMessage);
+  document.getElementById('rejectBtn')?.addEventListener('click', rejectMessage);
+  document.getElementById('closeBtn')?.addEventListener('click', () => window.close());
+});
+
+/**
+ * Display the request; text only, the message is never rendered as HTML
+ */
+function displayMessage() {
+  const { message, format, origin, address, accountName, network } = messageData;
+
+  document.getElementById('loadingState').classList.add('hidden');
+  document.getElementById('messageState').classList.remove('hidden');
+
+  document.getElementById('requestOrigin').textContent = origin;
+  document.getElementById('accountLabel').textContent = `${accountName} · ${network.name}`;
+  document.getElementById('signingAddress').textContent = address;
+  document.getElementById('messageFormat').textContent = FORMAT_LABELS[format] || format;
+  document.getElementById('messageText').textContent = message;
+}
+
+/**
+ * Approve message signing
+ */
+async function approveMessage() {
+  if (!requestId) return;
+
+  document.getElementById('approveBtn').disabled = true;
+  document.getElementById('rejectBtn').disabled = true;
+  document.getElementById('approveBtn').textContent = 'Signing...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'APPROVE_SIGNING',
+      data: { requestId }
+    });
+
+    if (response.success) {
+      document.getElementById('approveBtn').textContent = '✓ Signed!';
+      setTimeout(() => window.close(), 1000);
+    } else {
+      showError(response.error || 'Failed to sign message');
+    }
+  } catch (error) {
+    showError(error.message || 'Failed to sign message');
+  }
+}
+
+/**
+ * Reject message signing
+ */
+async function rejectMessage() {
+  if (!requestId) return;
+
+  document.getElementById('approveBtn').disabled = true;
+  document.getElementById('rejectBtn').disabled = true;
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'REJECT_SIGNING',
+      data: { requestId }
+    });
+  } catch (error) {
+    console.error('Failed to reject:', error);
+  }
+
+  window.close();
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  document.getElementById('loadingState').classList.add('hidden');
+  document.getElementById('messageState').classList.add('hidden');
+  document.getElementById('errorState').classList.remove('hidden');
+  document.getElementById('errorMessage').textContent = message;
+}
+
+// Handle window close
+window.addEventListener('beforeunload', () => {
+  if (port) {
+    port.disconnect();
+  }
+});
@@ -6,12 +6,23 @@
 // UI state
 let walletStatus = null;
 let accounts = [];
+let networks = [];
+let autoLockTimer = null;
+
+// Display names for account script types
+const SCRIPT_TYPE_LABELS = {
+  'p2pkh': 'Legacy',
+  'p2sh-p2wpkh': 'Nested SegWit',
+  'p2wpkh': 'Native SegWit',
+  'p2tr': 'Taproot'
+};
 
 /**
  * Initialize popup
  */
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('[Popup] Initializing multi-account popup...');
+  await loadNetworks();
   await loadWalletStatus();
 
   // Setup event listeners
@@ -31,8 +42,16 @@ function setupEventListeners() {
   // Wallet actions
   document.getElementById('createWalletBtn')?.addEventListener('click', createWallet);
   document.getElementById('importWalletBtn')?.addEventListener('click', importWallet);
+  document.getElementById('importType')?.addEventListener('change', updateImportType);
+  document.getElementById('scanLegacyBtn')?.addEventListener('click', scanLegacyPhrase);
+  document.getElementById('importMnemonic')?.addEventListener('input', clearLegacyAddresses);
+  document.getElementById('importScriptType')?.addEventListener('change', clearLegacyAddresses);
+  document.getElementById('mnemonicDoneBtn')?.addEventListener('click', finishMnemonicBackup);
   document.getElementById('unlockWalletBtn')?.addEventListener('click', unlockWallet);
   document.getElementById('lockWalletBtn')?.addEventListener('click', lockWallet);
+  document.getElementById('migrateBtn')?.addEventListener('click', migrateAccounts);
+  document.getElementById('autoLockSelect')?.addEventListener('change', setAutoLock);
+  document.getElementById('lockOnCloseCheckbox')?.addEventListener('change', setAutoLock);
   document.getElementById('copyAddressBtn')?.addEventListener('click', copyAddress);
 
   // Add account
@@ -44,6 +63,11 @@ function setupEventListeners() {
   document.getElementById('cancelAddBtn')?.addEventListener('click', hideAddAccountModal);
   document.getElementById('cancelAddImportBtn')?.addEventListener('click', hideAddAccountModal);
 
+  // Networks
+  document.getElementById('networkSelect')?.addEventListener('change', switchNetwork);
+  document.getElementById('addNetworkBtn')?.addEventListener('click', addCustomNetwork);
+  document.getElementById('closeNetworkModalBtn')?.addEventListener('click', hideNetworkModal);
+
   // View tabs (Assets/Collection)
   document.getElementById('assetsTabBtn')?.addEventListener('click', () => showContentTab('assets'));
   document.getElementById('collectionTabBtn')?.addEventListener('click', () => showContentTab('collection'));
@@ -80,10 +104,15 @@ async function loadWalletStatus() {
     });
 
     walletStatus = response.data;
+    updateScriptTypeOptions(walletStatus.network);
+    clearInterval(autoLockTimer);
 
     // Show appropriate view
     if (!walletStatus.hasWallet) {
       showView('setupView');
+      document.getElementById('setupNetworkHint').textContent = walletStatus.hasSeed
+        ? `No accounts on ${walletStatus.network.name} yet. Create one from your recovery phrase with your wallet password.`
+        : '';
     } else if (!walletStatus.isUnlocked) {
       showView('lockedView');
       document.getElementById('lockedAccountCount').textContent =
@@ -92,6 +121,17 @@ async function loadWalletStatus() {
       showView('unlockedView');
       document.getElementById('currentAccountName').textContent = walletStatus.accountName || 'Account';
       document.getElementById('currentWalletAddress').textContent = walletStatus.address;
+      const typeLabel = walletStatus.scriptType ? SCRIPT_TYPE_LABELS[walletStatus.scriptType] || walletStatus.scriptType : '';
+      const addressInfo = [typeLabel, walletStatus.derivationPath].filter(Boolean).join(' · ');
+      document.getElementById('currentAddressType').textContent = addressInfo ? `(${addressInfo})` : '';
+
+      const explorerUrl = explorerLink(walletStatus.network, 'address', walletStatus.address);
+      const explorerEl = document.getElementById('explorerLink');
+      explorerEl.classList.toggle('hidden', !explorerUrl);
+      if (explorerUrl) explorerEl.href = explorerUrl;
+
+      showMigrationCard();
+      showAutoLock();
 
       // Load accounts list and balances
       await loadAccounts();
@@ -103,6 +143,221 @@ async function loadWalletStatus() {
   }
 }
 
+/**
+ * Load network profiles into the header switcher
+ */
+async function loadNetworks() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_NETWORKS' });
+    if (!response.success) return;
+
+    networks = response.data.networks;
+    const select = document.getElementById('networkSelect');
+    select.innerHTML = '';
+
+    networks.forEach(network => {
+      const option = document.createElement('option');
+      option.value = network.id;
+      option.textContent = network.name;
+      option.selected = network.id === response.data.activeNetwork;
+      select.appendChild(option);
+    });
+
+    const manage = document.createElement('option');
+    manage.value = '';
+    manage.textContent = 'Custom networks...';
+    select.appendChild(manage);
+
+    renderCustomNetworks(response.data.activeNetwork);
+  } catch (error) {
+    console.error('Failed to load networks:', error);
+  }
+}
+
+/**
+ * Switch the active network; the wallet locks and shows that network's accounts
+ */
+async function switchNetwork() {
+  const select = document.getElementById('networkSelect');
+  const networkId = select.value;
+
+  if (!networkId) {
+    select.value = walletStatus?.network.id || 'mainnet';
+    showNetworkModal();
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SET_NETWORK', data: { networkId } });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to switch network');
+    }
+    hideNetworkModal();
+    document.getElementById('addAccountModal').classList.remove('active');
+    document.getElementById('unlockedView').style.display = '';
+    await loadNetworks();
+    await loadWalletStatus();
+  } catch (error) {
+    console.error('Failed to switch network:', error);
+    select.value = walletStatus?.network.id || 'mainnet';
+  }
+}
+
+/**
+ * List custom networks with a remove button each (not for the active one)
+ */
+function renderCustomNetworks(activeNetwork) {
+  const container = document.getElementById('customNetworkList');
+  if (!container) return;
+
+  container.innerHTML = '';
+  networks.filter(network => network.custom).forEach(network => {
+    const row = document.createElement('div');
+    row.className = 'network-item';
+
+    const label = document.createElement('span');
+    label.textContent = `${network.name} (${network.bech32})`;
+    row.appendChild(label);
+
+    if (network.id !== activeNetwork) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'secondary';
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = () => removeCustomNetwork(network.id);
+      row.appendChild(removeBtn);
+    }
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Add a custom network from the JSON textarea
+ * Its API host is outside the manifest's host permissions, so access is requested here (needs the click)
+ */
+async function addCustomNetwork() {
+  hideMessages('network');
+
+  const json = document.getElementById('customNetworkJson').value.trim();
+  if (!json) {
+    showError('network', 'Please enter the network parameters');
+    return;
+  }
+
+  try {
+    // Before any await: Chrome only shows the permission prompt during the click's user gesture
+    const apis = getNetworkApis(json);
+    const granted = apis.length === 0 || await chrome.permissions.request({
+      origins: [...new Set(apis.map(api => `${new URL(api).origin}/*`))]
+    });
+
+    const response = await chrome.runtime.sendMessage({ type: 'ADD_NETWORK', data: { network: json } });
+    if (!response.success) {
+      showError('network', response.error || 'Failed to add network');
+      return;
+    }
+
+    const { network } = response.data;
+    if (!granted) {
+      showError('network', `Access to ${apis.join(' and ')} was not granted; ${network.name} will not work fully`);
+    }
+
+    document.getElementById('customNetworkJson').value = '';
+    showSuccess('network', `${network.name} added`);
+    await loadNetworks();
+  } catch (error) {
+    showError('network', error.message);
+  }
+}
+
+/**
+ * API URLs named in custom network JSON, for the host permission request
+ * Unparsable JSON and invalid URLs are left out; ADD_NETWORK reports them
+ */
+function getNetworkApis(json) {
+  let profile;
+  try {
+    profile = JSON.parse(json);
+  } catch (error) {
+    return [];
+  }
+  return [profile?.api, profile?.historyApi].filter((api) => {
+    try {
+      return typeof api === 'string' && /^https?:$/.test(new URL(api).protocol);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Remove a custom network
+ */
+async function removeCustomNetwork(networkId) {
+  hideMessages('network');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REMOVE_NETWORK', data: { networkId } });
+    if (response.success) {
+      await loadNetworks();
+    } else {
+      showError('network', response.error || 'Failed to remove network');
+    }
+  } catch (error) {
+    showError('network', error.message);
+  }
+}
+
+/**
+ * Show custom networks modal over the current view
+ */
+function showNetworkModal() {
+  document.querySelectorAll('.view.active').forEach(view => view.classList.add('network-hidden'));
+  document.querySelectorAll('.view').forEach(view => view.classList.remove('active'));
+  document.getElementById('networkModal').classList.add('active');
+}
+
+/**
+ * Hide custom networks modal and go back to the wallet
+ */
+function hideNetworkModal() {
+  document.getElementById('networkModal').classList.remove('active');
+  document.querySelectorAll('.network-hidden').forEach(view => {
+    view.classList.remove('network-hidden');
+    view.classList.add('active');
+  });
+  document.getElementById('customNetworkJson').value = '';
+  hideMessages('network');
+}
+
+/**
+ * Address type labels with the active network's address prefixes
+ * Base58 leading characters are only known for mainnet, so other networks show the bech32 prefix only
+ */
+function updateScriptTypeOptions(network) {
+  const hints = network.id === 'mainnet'
+    ? { 'p2pkh': '1...', 'p2sh-p2wpkh': '3...' }
+    : {};
+  hints['p2wpkh'] = `${network.bech32}1q...`;
+  hints['p2tr'] = `${network.bech32}1p...`;
+
+  ['createScriptType', 'importScriptType', 'addCreateScriptType', 'addImportScriptType'].forEach(id => {
+    document.querySelectorAll(`#${id} option`).forEach(option => {
+      const label = SCRIPT_TYPE_LABELS[option.value];
+      option.textContent = hints[option.value] ? `${label} (${hints[option.value]})` : label;
+    });
+  });
+}
+
+/**
+ * Explorer URL for an address or transaction on a network, or null without an explorer
+ */
+function explorerLink(network, kind, value) {
+  const template = network?.explorer?.[kind];
+  if (!template) return null;
+  return template.replace(kind === 'tx' ? '{txid}' : '{address}', encodeURIComponent(value));
+}
+
 /**
  * Load accounts list
  */
@@ -134,7 +389,10 @@ function renderAccountStrip() {
 
   accounts.forEach(account => {
     const stripItem = document.createElement('div');
-    stripItem.className = `account-strip-item ${account.isCurrent ? 'active' : ''}`;
+    stripItem.className = `account-strip-item ${account.isCurrent ? 'active' : ''} ${account.needsPassword ? 'needs-password' : ''}`;
+    if (account.needsPassword) {
+      stripItem.title = 'Uses an older password; not in the vault yet';
+    }
     stripItem.onclick = () => {
       if (!account.isCurrent) {
         switchToAccount(account.index);
@@ -151,16 +409,15 @@ function renderAccountStrip() {
 }
 
 /**
- * Switch to different account
+ * Switch to different account; the unlocked vault already holds every key
  */
 window.switchToAccount = async function(accountIndex) {
-  const password = prompt('Enter password to unlock account:');
-  if (!password) return;
+  hideMessages('accounts');
 
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'SWITCH_ACCOUNT',
-      data: { accountIndex, password }
+      data: { accountIndex }
     });
 
     if (response.success) {
@@ -265,12 +522,134 @@ function showAddTab(tab) {
   }
 }
 
+/**
+ * Show or hide the recovery phrase and WIF fields of the setup import tab
+ */
+function updateImportType() {
+  const importType = document.getElementById('importType').value;
+  document.getElementById('importMnemonicGroup').classList.toggle('hidden', importType === 'wif');
+  document.getElementById('importGapLimitGroup').classList.toggle('hidden', importType !== 'mnemonic');
+  document.getElementById('legacyScanGroup').classList.toggle('hidden', importType !== 'legacy');
+  document.getElementById('importPrivateKeyGroup').classList.toggle('hidden', importType !== 'wif');
+  clearLegacyAddresses();
+}
+
+/**
+ * Detect the legacy phrase format and list its derived addresses for selection
+ */
+async function scanLegacyPhrase() {
+  hideMessages('import');
+  clearLegacyAddresses();
+
+  const phrase = document.getElementById('importMnemonic').value.trim();
+  const scriptType = document.getElementById('importScriptType').value || 'p2pkh';
+
+  if (!phrase) {
+    showError('import', 'Please enter the phrase');
+    return;
+  }
+
+  const btn = document.getElementById('scanLegacyBtn');
+  btn.disabled = true;
+  btn.textContent = 'Finding Addresses...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DERIVE_LEGACY_ADDRESSES',
+      data: { phrase, scriptType }
+    });
+
+    if (response.success) {
+      renderLegacyAddresses(response.data.formats);
+    } else {
+      showError('import', response.error || 'Failed to read phrase');
+    }
+  } catch (error) {
+    showError('import', error.message);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Find Addresses';
+  }
+}
+
+/**
+ * Render derived addresses grouped by format, first address of the first format preselected
+ */
+function renderLegacyAddresses(formats) {
+  const container = document.getElementById('legacyAddressList');
+  container.innerHTML = '';
+
+  formats.forEach((group, groupIndex) => {
+    const heading = document.createElement('div');
+    heading.className = 'legacy-format';
+    heading.textContent = `${group.label} · ${SCRIPT_TYPE_LABELS[group.scriptType] || group.scriptType}`;
+    container.appendChild(heading);
+
+    group.addresses.forEach(entry => {
+      const row = document.createElement('label');
+      row.className = `legacy-address ${entry.exists ? 'exists' : ''}`;
+      row.title = entry.derivationPath;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.format = group.format;
+      checkbox.dataset.index = entry.index;
+      checkbox.disabled = entry.exists;
+      checkbox.checked = groupIndex === 0 && entry.index === 0 && !entry.exists;
+
+      row.append(checkbox, `${entry.index}. ${entry.address}`);
+      container.appendChild(row);
+    });
+  });
+}
+
+/**
+ * Drop listed addresses once the phrase or address type changes
+ */
+function clearLegacyAddresses() {
+  const container = document.getElementById('legacyAddressList');
+  if (container) container.innerHTML = '';
+}
+
+/**
+ * Show the new recovery phrase in place of the setup tabs
+ */
+function showMnemonicBackup(mnemonic) {
+  const container = document.getElementById('mnemonicWords');
+  container.innerHTML = '';
+
+  mnemonic.split(' ').forEach((word, i) => {
+    const item = document.createElement('div');
+    item.className = 'mnemonic-word';
+    const number = document.createElement('span');
+    number.textContent = `${i + 1}.`;
+    item.append(number, word);
+    container.appendChild(item);
+  });
+
+  document.getElementById('setupCard').classList.add('hidden');
+  document.getElementById('mnemonicBackup').classList.remove('hidden');
+}
+
+/**
+ * Clear the recovery phrase from the page and open the wallet
+ */
+async function finishMnemonicBackup() {
+  document.getElementById('mnemonicWords').innerHTML = '';
+  document.getElementById('mnemonicBackup').classList.add('hidden');
+  document.getElementById('setupCard').classList.remove('hidden');
+  await loadWalletStatus();
+}
+
 /**
  * Show add account modal
  */
 function showAddAccountModal() {
   document.getElementById('unlockedView').style.display = 'none';
   document.getElementById('addAccountModal').classList.add('active');
+  document.getElementById('addCreateHint').textContent = walletStatus?.hasSeed
+    ? 'The next address of the selected type is derived from your recovery phrase.'
+    : 'This wallet has no recovery phrase, so a new random key is generated. Back it up separately.';
   showAddTab('create');
 }
 
@@ -283,7 +662,6 @@ function hideAddAccountModal() {
 
   // Clear inputs
   document.getElementById('addCreatePassword').value = '';
-  document.getElementById('addImportAddress').value = '';
   document.getElementById('addImportPrivateKey').value = '';
   document.getElementById('addImportPassword').value = '';
 
@@ -298,6 +676,7 @@ async function createWallet() {
 
   const password = document.getElementById('createPassword')?.value;
   const passwordConfirm = document.getElementById('createPasswordConfirm')?.value;
+  const scriptType = document.getElementById('createScriptType')?.value || 'p2pkh';
 
   if (!password || password.length < 8) {
     showError('create', 'Password must be at least 8 characters');
@@ -312,12 +691,18 @@ async function createWallet() {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'CREATE_WALLET',
-      data: { password }
+      data: { password, scriptType }
     });
 
     if (response.success) {
-      showSuccess('create', `Account created! Address: ${response.data.address}`);
-      setTimeout(loadWalletStatus, 2000);
+      document.getElementById('createPassword').value = '';
+      document.getElementById('createPasswordConfirm').value = '';
+      if (response.data.mnemonic) {
+        showMnemonicBackup(response.data.mnemonic);
+      } else {
+        showSuccess('create', `Account created! Address: ${response.data.address}`);
+        setTimeout(loadWalletStatus, 2000);
+      }
     } else {
       showError('create', response.error || 'Failed to create account');
     }
@@ -332,24 +717,39 @@ async function createWallet() {
 async function importWallet() {
   hideMessages('import');
 
-  const address = document.getElementById('importAddress')?.value.trim();
+  const importType = document.getElementById('importType')?.value || 'wif';
+  const mnemonic = document.getElementById('importMnemonic')?.value.trim();
   const privateKey = document.getElementById('importPrivateKey')?.value.trim();
   const password = document.getElementById('importPassword')?.value;
   const passwordConfirm = document.getElementById('importPasswordConfirm')?.value;
+  const scriptType = document.getElementById('importScriptType')?.value || 'p2pkh';
+  const gapLimit = Number(document.getElementById('importGapLimit')?.value || 20);
 
-  if (!address) {
-    showError('import', 'Bitcoin address is required');
-    return;
-  }
+  const selections = Array.from(document.querySelectorAll('#legacyAddressList input:checked'))
+    .map(checkbox => ({ format: checkbox.dataset.format, index: Number(checkbox.dataset.index) }));
 
-  if (!privateKey || (privateKey.length !== 51 && privateKey.length !== 52)) {
-    showError('import', 'Invalid private key length (WIF should be 51-52 characters)');
-    return;
-  }
+  if (importType === 'legacy') {
+    if (selections.length === 0) {
+      showError('import', 'Click "Find Addresses" and select at least one address to import');
+      return;
+    }
+  } else if (importType === 'mnemonic') {
+    const wordCount = mnemonic ? mnemonic.split(/\s+/).length : 0;
+    if (![12, 15, 18, 21, 24].includes(wordCount)) {
+      showError('import', `Recovery phrase should have 12, 15, 18, 21 or 24 words (got ${wordCount})`);
+      return;
+    }
 
-  if (!/^[KL]/.test(privateKey)) {
-    showError('import', 'Private key should start with K or L (compressed WIF format)');
-    return;
+    if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > 100) {
+      showError('import', 'Gap limit must be between 1 and 100');
+      return;
+    }
+  } else {
+    // The version byte is checked against the active network in the background
+    if (!privateKey || (privateKey.length !== 51 && privateKey.length !== 52)) {
+      showError('import', 'Invalid private key length (WIF should be 51-52 characters)');
+      return;
+    }
   }
 
   if (!password || password.length < 8) {
@@ -363,14 +763,29 @@ async function importWallet() {
   }
 
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'IMPORT_WALLET',
-      data: { address, privateKey, password }
-    });
+    let response;
+    if (importType === 'mnemonic') {
+      showSuccess('import', 'Scanning for used accounts...');
+      response = await chrome.runtime.sendMessage({ type: 'IMPORT_MNEMONIC', data: { mnemonic, password, scriptType, gapLimit } });
+      hideMessages('import');
+    } else if (importType === 'legacy') {
+      response = await chrome.runtime.sendMessage({
+        type: 'IMPORT_LEGACY_PHRASE',
+        data: { phrase: mnemonic, password, scriptType, selections }
+      });
+    } else {
+      response = await chrome.runtime.sendMessage({ type: 'IMPORT_WALLET', data: { privateKey, password, scriptType } });
+    }
 
     if (response.success) {
-      showSuccess('import', `Account imported! Address: ${response.data.address}`);
-      setTimeout(loadWalletStatus, 2000);
+      const count = response.data.accounts?.length || 1;
+      showSuccess('import', count > 1
+        ? `${count} accounts imported!`
+        : `Account imported! Address: ${response.data.address}`);
+      if (response.data.discoveryError) {
+        showError('import', `Account discovery failed (${response.data.discoveryError}). Only the first account was restored; add the others from "Add Account".`);
+      }
+      setTimeout(loadWalletStatus, response.data.discoveryError ? 6000 : 2000);
     } else {
       showError('import', response.error || 'Failed to import account');
     }
@@ -408,6 +823,99 @@ async function unlockWallet() {
   }
 }
 
+/**
+ * Show the migration card while accounts or the recovery phrase still use an older password
+ */
+function showMigrationCard() {
+  const { legacyAccounts, legacyMnemonic } = walletStatus;
+  const card = document.getElementById('migrationCard');
+  card.classList.toggle('hidden', !legacyAccounts && !legacyMnemonic);
+  if (!legacyAccounts && !legacyMnemonic) return;
+
+  const parts = [];
+  if (legacyAccounts) parts.push(`${legacyAccounts} account${legacyAccounts !== 1 ? 's' : ''}`);
+  if (legacyMnemonic) parts.push('the recovery phrase');
+  const plural = parts.length > 1 || legacyAccounts > 1;
+  const subject = parts.join(' and ');
+  document.getElementById('migrationText').textContent =
+    `${subject[0].toUpperCase()}${subject.slice(1)} still ${plural ? 'use' : 'uses'} a different password ` +
+    'from before the vault. Enter it to move them in, or delete those accounts.';
+}
+
+/**
+ * Show the auto-lock settings and count down to the next auto-lock
+ * Opening the popup already restarted the timer
+ */
+function showAutoLock() {
+  document.getElementById('autoLockSelect').value = String(walletStatus.autoLockMinutes);
+  document.getElementById('lockOnCloseCheckbox').checked = walletStatus.lockOnBrowserClose;
+
+  clearInterval(autoLockTimer);
+  const countdown = document.getElementById('autoLockCountdown');
+  const update = () => {
+    const remaining = Math.max(0, Math.ceil((walletStatus.autoLockAt - Date.now()) / 1000));
+    countdown.textContent = `Locks in ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    if (remaining === 0) {
+      clearInterval(autoLockTimer);
+      setTimeout(loadWalletStatus, 1000);
+    }
+  };
+  update();
+  autoLockTimer = setInterval(update, 1000);
+}
+
+/**
+ * Save the auto-lock timeout and the lock-on-browser-close option
+ */
+async function setAutoLock() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_AUTO_LOCK',
+      data: {
+        minutes: Number(document.getElementById('autoLockSelect').value),
+        lockOnBrowserClose: document.getElementById('lockOnCloseCheckbox').checked
+      }
+    });
+
+    if (response.success) {
+      Object.assign(walletStatus, response.data);
+      showAutoLock();
+    }
+  } catch (error) {
+    console.error('Failed to save auto-lock settings:', error);
+  }
+}
+
+/**
+ * Move accounts encrypted with an older password into the vault
+ */
+async function migrateAccounts() {
+  hideMessages('migrate');
+
+  const password = document.getElementById('migratePassword').value;
+  if (!password) {
+    showError('migrate', 'Please enter the old password');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'MIGRATE_ACCOUNTS',
+      data: { password }
+    });
+
+    if (response.success) {
+      document.getElementById('migratePassword').value = '';
+      await loadWalletStatus();
+      showSuccess('migrate', `Moved ${response.data.migrated} item${response.data.migrated !== 1 ? 's' : ''} into the vault`);
+    } else {
+      showError('migrate', response.error || 'Failed to migrate accounts');
+    }
+  } catch (error) {
+    showError('migrate', error.message);
+  }
+}
+
 /**
  * Lock wallet
  */
@@ -427,6 +935,7 @@ async function addCreateAccount() {
   hideMessages('add');
 
   const password = document.getElementById('addCreatePassword').value;
+  const scriptType = document.getElementById('addCreateScriptType').value;
 
   if (!password) {
     showError('add', 'Please enter password');
@@ -436,11 +945,12 @@ async function addCreateAccount() {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'CREATE_WALLET',
-      data: { password }
+      data: { password, scriptType }
     });
 
     if (response.success) {
-      showSuccess('add', `Account created: ${response.data.accountName}`);
+      const path = response.data.derivationPath ? ` (${response.data.derivationPath})` : '';
+      showSuccess('add', `Account created: ${response.data.accountName}${path}`);
       setTimeout(() => {
         hideAddAccountModal();
         loadWalletStatus();
@@ -459,14 +969,9 @@ async function addCreateAccount() {
 async function addImportAccount() {
   hideMessages('add');
 
-  const address = document.getElementById('addImportAddress').value.trim();
   const privateKey = document.getElementById('addImportPrivateKey').value.trim();
   const password = document.getElementById('addImportPassword').value;
-
-  if (!address) {
-    showError('add', 'Bitcoin address is required');
-    return;
-  }
+  const scriptType = document.getElementById('addImportScriptType').value;
 
   if (!privateKey || (privateKey.length !== 51 && privateKey.length !== 52)) {
     showError('add', 'Invalid private key format');
@@ -481,7 +986,7 @@ async function addImportAccount() {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'IMPORT_WALLET',
-      data: { address, privateKey, password }
+      data: { privateKey, password, scriptType }
     });
 
     if (response.success) {
@@ -575,6 +1080,17 @@ function showContentTab(tab) {
   }
 }
 
+/**
+ * Empty-state message in a list (text only; network names come from user JSON)
+ */
+function showEmptyState(listEl, message) {
+  const empty = document.createElement('div');
+  empty.className = 'empty-state';
+  empty.textContent = message;
+  listEl.innerHTML = '';
+  listEl.appendChild(empty);
+}
+
 /**
  * Load balances for current account
  */
@@ -585,13 +1101,19 @@ async function loadBalances() {
 
   if (!walletStatus?.address) return;
 
+  if (!walletStatus.network.api) {
+    loadingEl?.classList.add('hidden');
+    showEmptyState(listEl, `Balances are not available on ${walletStatus.network.name}`);
+    return;
+  }
+
   try {
     loadingEl?.classList.remove('hidden');
     errorEl?.classList.add('hidden');
     if (listEl) listEl.innerHTML = '';
 
-    // Fetch balances from NFT API Gateway
-    const response = await fetch(`http://5.189.162.95:3000/api/wallet/balances/${walletStatus.address}`);
+    // Fetch balances from the network's API gateway
+    const response = await fetch(`${walletStatus.network.api}/api/wallet/balances/${walletStatus.address}`);
     const data = await response.json();
 
     loadingEl?.classList.add('hidden');
@@ -631,13 +1153,19 @@ async function loadNFTs() {
 
   if (!walletStatus?.address) return;
 
+  if (!walletStatus.network.api) {
+    loadingEl?.classList.add('hidden');
+    showEmptyState(listEl, `NFTs are not available on ${walletStatus.network.name}`);
+    return;
+  }
+
   try {
     loadingEl?.classList.remove('hidden');
     errorEl?.classList.add('hidden');
     if (listEl) listEl.innerHTML = '';
 
-    // Fetch NFTs from NFT API Gateway
-    const response = await fetch(`http://5.189.162.95:3000/api/wallet/nfts/${walletStatus.address}`);
+    // Fetch NFTs from the network's API gateway
+    const response = await fetch(`${walletStatus.network.api}/api/wallet/nfts/${walletStatus.address}`);
     const data = await response.json();
 
     loadingEl?.classList.add('hidden');
@@ -34,12 +34,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (message.type === 'SIGN_REQUEST_DATA') {
       transactionData = message.data;
       displayTransaction();
+    } else if (message.type === 'SIGN_REQUEST_ERROR') {
+      showError(message.error);
     }
   });
 
   // Timeout after 10 seconds
   setTimeout(() => {
-    if (!transactionData) {
+    if (!transactionData && document.getElementById('errorState').classList.contains('hidden')) {
       showError('Failed to load transaction data - request may have expired');
     }
   }, 10000);
@@ -56,7 +58,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 function displayTransaction() {
   if (!transactionData) return;
 
-  const { unsignedTx, details } = transactionData;
+  const { unsignedTx, details, sighashTypes, prevouts, isPsbt, finalize, address } = transactionData;
+  const network = transactionData.network || Networks.MAINNET;
 
   // Hide loading, show transaction
   document.getElementById('loadingState').classList.add('hidden');
@@ -78,77 +81,391 @@ function displayTransaction() {
       </div>
     `;
   }
+
+  displaySighashWarning(sighashTypes || []);
+  displayDecodedMessage(unsignedTx, details, network);
+  displayInputsAndOutputs(unsignedTx, address, network);
+  displayFeeSummary(unsignedTx, prevouts || [], details, address, network);
+
+  // PSBT requests only sign this account's inputs
+  if (isPsbt) {
+    document.getElementById('txDetailsSection').innerHTML +=
+      createDetailRow('Format', 'PSBT (only inputs owned by this account are signed)') +
+      createDetailRow('Finalize', finalize ? 'Yes' : 'No');
+  }
+
+  // Addresses below are encoded for this network
+  document.getElementById('txDetailsSection').innerHTML += createDetailRow('Network', escapeHtml(network.name));
+}
+
+/**
+ * Warn about signatures that leave inputs or outputs open to change
+ */
+function displaySighashWarning(sighashTypes) {
+  const partial = sighashTypes
+    .map((type, index) => ({ type, index }))
+    .filter(({ type }) => BitcoinSigner.isPartialSighash(type));
+
+  if (partial.length === 0) return;
+
+  const items = partial
+    .map(({ type, index }) => `<li>Input ${index}: SIGHASH_${escapeHtml(BitcoinSigner.getSighashName(type))}</li>`)
+    .join('');
+
+  const warning = document.getElementById('sighashWarning');
+  warning.innerHTML = `
+    <strong>⚠️ Non-standard signature type requested</strong>
+    <ul>${items}</ul>
+    These signatures do not cover the whole transaction. Others can add inputs or change outputs
+    after you sign. Only approve if you expect a partial signature, such as an atomic swap offer.
+  `;
+  warning.classList.remove('hidden');
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = String(value);
+  return div.innerHTML;
+}
+
+// Labels for decoded message fields, in display order
+const DECODED_FIELD_LABELS = {
+  asset: 'Asset',
+  subassetLongname: 'Subasset Name',
+  quantity: 'Quantity (base units)',
+  destination: 'To Address',
+  memo: 'Memo',
+  giveAsset: 'Give Asset',
+  giveQuantity: 'Give Quantity (base units)',
+  getAsset: 'Get Asset',
+  getQuantity: 'Get Quantity (base units)',
+  expiration: 'Expiration (blocks)',
+  feeRequired: 'Fee Required (satoshis)',
+  escrowQuantity: 'Escrow Quantity (base units)',
+  mainchainRate: 'Price (satoshis)',
+  status: 'Status',
+  actionAddress: 'Action Address',
+  oracleAddress: 'Oracle Address',
+  divisible: 'Divisible',
+  lock: 'Lock Asset',
+  reset: 'Reset Supply',
+  description: 'Description',
+  flags: 'Flags',
+  tag: 'Tag',
+  payload: 'Payload'
+};
+
+/**
+ * Decode the Counterparty message from the transaction itself
+ * and flag page-supplied details that disagree with it
+ */
+async function displayDecodedMessage(unsignedTx, details, network) {
+  const section = document.getElementById('decodedSection');
+  let html = '<div class="section-title">Decoded Counterparty Message</div>';
+  let mismatches = [];
+
+  try {
+    const tx = BitcoinSigner.parseTransaction(unsignedTx);
+    const message = await CounterpartyDecoder.decodeTransaction(tx, { network });
+
+    if (message) {
+      html += createDetailRow('Message Type', escapeHtml(message.type.replace('_', ' ').toUpperCase()), true);
+      for (const [field, label] of Object.entries(DECODED_FIELD_LABELS)) {
+        if (message[field] === undefined || message[field] === null) continue;
+        const value = typeof message[field] === 'boolean' ? (message[field] ? 'Yes' : 'No') : String(message[field]);
+        html += createDetailRow(label, escapeHtml(value));
+      }
+      html += createDetailRow('Encoding', message.encoding === 'multisig' ? 'Bare multisig' : 'OP_RETURN');
+
+      mismatches = CounterpartyDecoder.compareDetails(message, details);
+    } else {
+      html += createDetailRow('Message', 'None (plain Bitcoin transaction)');
+
+      const claimedType = details ? String(details.type || details.transactionType || '').toLowerCase() : '';
+      if (claimedType && claimedType !== 'bitcoin') {
+        mismatches.push(`Type: page says "${claimedType}", but the transaction carries no Counterparty message`);
+      }
+    }
+  } catch (error) {
+    html += createDetailRow('Message', escapeHtml(`Could not decode: ${error.message}`));
+    mismatches.push('The embedded Counterparty message could not be decoded');
+  }
+
+  section.innerHTML = html;
+
+  if (mismatches.length > 0) {
+    const warning = document.getElementById('mismatchWarning');
+    warning.innerHTML = `
+      <strong>⚠️ The website's description does not match this transaction</strong>
+      <ul>${mismatches.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+      Trust the decoded message, not the website's details. Reject unless you understand why they differ.
+    `;
+    warning.classList.remove('hidden');
+  }
 }
 
+// Fee warning thresholds
+const FEE_WARNING_SATS = 500000n; // 0.005 BTC
+const FEE_RATE_WARNING = 500; // sat/vB
+const FEE_SHARE_WARNING = 0.2; // Fee as a share of the total output value
+const FEE_SHARE_MIN_SATS = 50000n; // Small fees skip the share check (dust-sized outputs are common)
+
+/**
+ * Size class of an input for the fee rate (see BitcoinSigner.estimateSignedVsize)
+ * Inputs of the signing account have its script type. Other inputs count as signed when they carry a witness,
+ * or a scriptSig that is not standing in for the spent script; unsigned ones only have a bounded worst case
+ * for P2PKH and P2WPKH, as P2SH and Taproot can hide scripts of any size
+ */
+function getInputSizeType(input, prevout, ownScript) {
+  const spentScript = BitcoinSigner.getInputSpentScript(input, prevout);
+  if (spentScript && ownScript && BitcoinSigner.bytesEqual(spentScript, ownScript)) {
+    return BitcoinSigner.getSpendingScriptType(spentScript);
+  }
+
+  if (input.witness.length > 0 || (input.script.length > 0 && prevout?.script)) {
+    return 'signed';
+  }
+
+  const type = spentScript ? BitcoinSigner.classifyScript(spentScript).type : null;
+  return { p2pkh: 'p2pkh-uncompressed', p2wpkh: 'p2wpkh' }[type] || null;
+}
+
+/**
+ * Compute the fee from the prevout amounts and the estimated signed size
+ * Warns about overpaying and about a page-reported fee that disagrees
+ */
+async function displayFeeSummary(unsignedTx, prevouts, details, address, network) {
+  const section = document.getElementById('feeSection');
+  let html = '<div class="section-title">Network Fee</div>';
+  const warnings = [];
+
+  try {
+    const tx = BitcoinSigner.parseTransaction(unsignedTx);
+    const fee = BitcoinSigner.calculateFee(tx, prevouts);
+
+    if (fee === null) {
+      html += createDetailRow('Fee', 'Unknown (the website did not provide input amounts)');
+      if (details && details.fee !== undefined) {
+        html += createDetailRow('Fee Reported by Website', `${escapeHtml(details.fee)} satoshis (cannot be verified)`);
+      }
+    } else if (fee < 0n) {
+      warnings.push(`Outputs exceed inputs by ${-fee} satoshis: the input amounts are wrong or the transaction is invalid`);
+      html += createDetailRow('Fee', 'Invalid (outputs exceed inputs)');
+    } else {
+      const ownScript = address ? await AddressCodec.toScriptPubKey(address, network) : null;
+      const inputTypes = tx.inputs.map((input, i) => getInputSizeType(input, prevouts[i], ownScript));
+      const vsize = BitcoinSigner.estimateSignedVsize(tx, inputTypes);
+      const outputTotal = tx.outputs.reduce((sum, output) => sum + output.value, 0n);
+
+      html += createDetailRow('Fee', `${fee} satoshis (${formatBtc(fee)} BTC)`, true);
+      if (fee >= FEE_WARNING_SATS) {
+        warnings.push(`Very high fee: ${formatBtc(fee)} BTC`);
+      }
+
+      if (vsize === null) {
+        // A guessed size could make the rate look far higher than it is
+        html += createDetailRow('Fee Rate', 'Unknown (inputs that other wallets sign have no known size)');
+      } else {
+        const feeRate = Number(fee) / vsize;
+        html += createDetailRow('Fee Rate', `${feeRate.toFixed(1)} sat/vB`);
+        html += createDetailRow('Estimated Size', `${vsize} vB`);
+        if (feeRate >= FEE_RATE_WARNING) {
+          warnings.push(`Very high fee rate: ${feeRate.toFixed(1)} sat/vB`);
+        }
+      }
+
+      if (fee >= FEE_SHARE_MIN_SATS && Number(fee) > Number(outputTotal) * FEE_SHARE_WARNING) {
+        warnings.push(`Fee is ${(Number(fee) * 100 / Math.max(Number(outputTotal), 1)).toFixed(0)}% of the total output value`);
+      }
+
+      if (details && details.fee !== undefined && String(details.fee) !== fee.toString()) {
+        warnings.push(`Website reports a fee of ${details.fee} satoshis, the transaction pays ${fee}`);
+      }
+    }
+  } catch (error) {
+    html += createDetailRow('Fee', escapeHtml(`Could not compute: ${error.message}`));
+  }
+
+  section.innerHTML = html;
+
+  if (warnings.length > 0) {
+    const warning = document.getElementById('feeWarning');
+    warning.innerHTML = `
+      <strong>⚠️ Check the network fee</strong>
+      <ul>${warnings.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+    `;
+    warning.classList.remove('hidden');
+  }
+}
+
+// Output script type labels
+const SCRIPT_TYPE_LABELS = {
+  p2pkh: 'P2PKH',
+  p2sh: 'P2SH',
+  p2wpkh: 'P2WPKH',
+  p2wsh: 'P2WSH',
+  p2tr: 'P2TR',
+  op_return: 'OP_RETURN',
+  multisig: 'Bare multisig',
+  unknown: 'Non-standard'
+};
+
+/**
+ * List every input and output of the raw transaction
+ * Outputs paying the wallet's own address are labelled as change; spent transactions link to the explorer
+ */
+async function displayInputsAndOutputs(unsignedTx, ownAddress, network) {
+  const inputsSection = document.getElementById('inputsSection');
+  const outputsSection = document.getElementById('outputsSection');
+
+  let tx;
+  try {
+    tx = BitcoinSigner.parseTransaction(unsignedTx);
+  } catch (error) {
+    inputsSection.innerHTML = '<div class="section-title">Inputs</div>' +
+      createDetailRow('Error', escapeHtml(`Could not parse transaction: ${error.message}`));
+    outputsSection.classList.add('hidden');
+    return;
+  }
+
+  let inputsHTML = `<div class="section-title">Inputs (${tx.inputs.length})</div>`;
+  tx.inputs.forEach((input, i) => {
+    const txid = BitcoinSigner.bytesToHex(input.hash.slice().reverse());
+    const sequence = `0x${input.sequence.toString(16).padStart(8, '0')}`;
+    const explorerUrl = Networks.explorerUrl(network, 'tx', txid);
+    const outpoint = explorerUrl
+      ? `<a href="${escapeHtml(explorerUrl).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${txid}</a>:${input.index}`
+      : `${txid}:${input.index}`;
+    inputsHTML += createDetailRow(`Input ${i} · sequence ${sequence}`, outpoint);
+  });
+  inputsSection.innerHTML = inputsHTML;
+
+  let outputsHTML = `<div class="section-title">Outputs (${tx.outputs.length})</div>`;
+  for (let i = 0; i < tx.outputs.length; i++) {
+    const output = tx.outputs[i];
+    const script = BitcoinSigner.classifyScript(output.script);
+    const address = await AddressCodec.fromScriptPubKey(output.script, network);
+    const isChange = address !== null && address === ownAddress;
+
+    const typeLabel = script.type === 'multisig'
+      ? `Bare multisig ${script.m}-of-${script.n}`
+      : SCRIPT_TYPE_LABELS[script.type];
+    const label = `Output ${i} · ${formatBtc(output.value)} BTC` +
+      `<span class="io-badge">${typeLabel}</span>` +
+      (isChange ? '<span class="io-badge change">Change</span>' : '');
+    const value = address || (script.type === 'op_return' || script.type === 'multisig'
+      ? 'Data output (no address)'
+      : `Script ${BitcoinSigner.bytesToHex(output.script)}`);
+
+    outputsHTML += createDetailRow(label, escapeHtml(value));
+  }
+  outputsSection.innerHTML = outputsHTML;
+}
+
+/**
+ * Format satoshis (bigint) as BTC with 8 decimals
+ */
+function formatBtc(sats) {
+  const whole = sats / 100000000n;
+  const fraction = (sats % 100000000n).toString().padStart(8, '0');
+  return `${whole}.${fraction}`;
+}
+
+/**
+ * Format a quantity from the website with thousands separators
+ * Digit strings and bigints go through BigInt so amounts beyond 2^53 keep every digit; a missing quantity is 'Unknown'
+ */
+function formatQuantity(quantity) {
+  if (quantity === undefined || quantity === null) {
+    return 'Unknown';
+  }
+  if (typeof quantity === 'bigint' || (typeof quantity === 'string' && /^-?\d+$/.test(quantity))) {
+    return BigInt(quantity).toLocaleString();
+  }
+  if (typeof quantity === 'number' && Number.isFinite(quantity)) {
+    // Already rounded when the website turned it into a number
+    return Number.isSafeInteger(quantity) || !Number.isInteger(quantity)
+      ? quantity.toLocaleString()
+      : `${BigInt(quantity).toLocaleString()} (imprecise)`;
+  }
+  return String(quantity);
+}
+
+// Transaction types with their own badge style
+const TX_TYPE_BADGES = ['issuance', 'send'];
+
 /**
  * Display parsed transaction details
+ * Every value comes from the website and is escaped; the type badge only takes known style classes
  */
 function displayTransactionDetails(details) {
   const detailsContainer = document.getElementById('txDetailsSection');
-  let detailsHTML = '<div class="section-title">Transaction Details</div>';
+  let detailsHTML = '<div class="section-title">Details Provided by Website</div>';
 
   // Transaction type
-  const txType = details.type || details.transactionType || 'Unknown';
+  const txType = String(details.type || details.transactionType || 'Unknown');
   document.getElementById('txType').textContent = txType.toUpperCase();
-  document.getElementById('txType').className = `status-badge ${txType.toLowerCase()}`;
+  document.getElementById('txType').className = TX_TYPE_BADGES.includes(txType.toLowerCase())
+    ? `status-badge ${txType.toLowerCase()}`
+    : 'status-badge';
 
   // Common fields
   if (details.source) {
-    detailsHTML += createDetailRow('From Address', details.source);
+    detailsHTML += createDetailRow('From Address', escapeHtml(details.source));
   }
 
   // Issuance-specific fields
   if (txType.toLowerCase() === 'issuance') {
     if (details.asset) {
-      detailsHTML += createDetailRow('Asset Name', details.asset, true);
+      detailsHTML += createDetailRow('Asset Name', escapeHtml(details.asset), true);
     }
     if (details.quantity !== undefined) {
-      detailsHTML += createDetailRow('Quantity', details.quantity.toLocaleString());
+      detailsHTML += createDetailRow('Quantity', escapeHtml(formatQuantity(details.quantity)));
     }
     if (details.divisible !== undefined) {
       detailsHTML += createDetailRow('Divisible', details.divisible ? 'Yes' : 'No');
     }
     if (details.description) {
-      detailsHTML += createDetailRow('Description', details.description);
+      detailsHTML += createDetailRow('Description', escapeHtml(details.description));
     }
     if (details.lock !== undefined) {
       detailsHTML += createDetailRow('Lock Asset', details.lock ? 'Yes' : 'No');
     }
     if (details.ipfsGatewayUrl) {
-      detailsHTML += createDetailRow('IPFS Gateway', details.ipfsGatewayUrl);
+      detailsHTML += createDetailRow('IPFS Gateway', escapeHtml(details.ipfsGatewayUrl));
     }
   }
 
   // Send-specific fields
   if (txType.toLowerCase() === 'send') {
     if (details.destination) {
-      detailsHTML += createDetailRow('To Address', details.destination);
+      detailsHTML += createDetailRow('To Address', escapeHtml(details.destination));
     }
     if (details.asset) {
-      detailsHTML += createDetailRow('Asset', details.asset, true);
+      detailsHTML += createDetailRow('Asset', escapeHtml(details.asset), true);
     }
     if (details.quantity !== undefined) {
-      detailsHTML += createDetailRow('Amount', details.quantity.toLocaleString());
+      detailsHTML += createDetailRow('Amount', escapeHtml(formatQuantity(details.quantity)));
     }
     if (details.memo) {
-      detailsHTML += createDetailRow('Memo', details.memo);
+      detailsHTML += createDetailRow('Memo', escapeHtml(details.memo));
     }
   }
 
   // Fee and UTXO info
   if (details.fee) {
-    detailsHTML += createDetailRow('Network Fee', `${details.fee} satoshis`);
+    detailsHTML += createDetailRow('Network Fee (reported)', `${escapeHtml(details.fee)} satoshis`);
   }
 
   if (details.utxoUsed) {
-    detailsHTML += createDetailRow('UTXO Used', details.utxoUsed);
+    detailsHTML += createDetailRow('UTXO Used', escapeHtml(details.utxoUsed));
   }
 
   detailsContainer.innerHTML = detailsHTML;
 }
 
 /**
- * Create a detail row
+ * Create a detail row; value is HTML, so callers escape anything not their own
  */
 function createDetailRow(label, value, large = false) {
   const sizeClass = large ? 'large' : '';
@@ -5,6 +5,8 @@
 
 // Import libraries
 importScripts('../lib/encryption.js');
+importScripts('../lib/vault.js');
+importScripts('../lib/message-schema.js');
 
 // Import noble crypto libraries for Bitcoin signing (service worker compatible wrapper)
 try {
@@ -27,30 +29,90 @@ try {
 console.log('[Background] Using Web Crypto API for hashing');
 
 // Import Bitcoin signing library (our custom implementation)
+importScripts('../lib/networks.js');
+importScripts('../lib/byte-stream.js');
+importScripts('../lib/bech32.js');
+importScripts('../lib/address-codec.js');
 importScripts('../lib/bitcoin-simple.js');
+importScripts('../lib/psbt.js');
+importScripts('../lib/script-interpreter.js');
+importScripts('../lib/message-signer.js');
+importScripts('../lib/bip39.js');
+importScripts('../lib/bip32.js');
+importScripts('../lib/legacy-mnemonic.js');
+importScripts('../lib/account-discovery.js');
 
 // Wallet state (in-memory)
 let walletState = {
   isUnlocked: false,
-  currentAccountIndex: 0, // Currently selected account
-  accounts: [], // Array of {name, address, encryptedPrivateKey}
-  currentPrivateKey: null // Only in memory when unlocked
+  currentAccountIndex: 0, // Currently selected account, -1 if the active network has none
+  accounts: [], // Array of {name, address, scriptType, network, derivationPath?, phraseFormat?, encryptedPrivateKey?}
+  vault: null, // Stored vault blob (see Vault); account keys and the recovery phrase
+  encryptedMnemonic: null, // Recovery phrase from before the vault, until it is migrated
+  vaultKey: null, // Derived vault key, only in memory after a password unlock in this worker
+  sessionKey: null, // Random key of this unlock's session copy of the secrets (see saveSession)
+  vaultKdf: null, // KDF parameters vaultKey was derived with
+  secrets: null, // Decrypted vault contents {mnemonic, keys: {accountId: WIF}}, only in memory when unlocked
+  currentPrivateKey: null, // Only in memory when unlocked
+  network: Networks.MAINNET, // Active network profile; only its accounts are visible
+  customNetworks: [], // User-defined profiles (validated by Networks.validate)
+  autoLockMinutes: 5, // Inactivity timeout, one of AUTO_LOCK_MINUTES
+  lockOnBrowserClose: false, // Lock when the last browser window closes
+  autoLockAt: null // Time the inactivity alarm fires (ms), while unlocked
 };
 
-// Pending signing requests
+// Pending signing requests by an id made here (see requestUserApproval), mirrored to chrome.storage.session
 const pendingSignRequests = new Map();
 
+// Pending requests older than this are dropped when the worker restarts
+const PENDING_REQUEST_TTL = 10 * 60 * 1000;
+
+// Longest message text accepted for signing
+const MAX_MESSAGE_LENGTH = 10000;
+
+// Addresses a legacy phrase is scanned for; imports are limited to the same indexes
+const MAX_LEGACY_ADDRESSES = 50;
+
+// Message signature formats: "Bitcoin Signed Message" (BIP137) or BIP322
+const MESSAGE_FORMATS = ['legacy', 'bip322-simple', 'bip322-full'];
+
+// Inactivity auto-lock: alarm name and the timeouts the popup offers, in minutes
+const AUTO_LOCK_ALARM = 'auto-lock';
+const AUTO_LOCK_MINUTES = [1, 5, 15, 30, 60];
+
+// Requests from web pages that count as wallet activity (other page calls, like polling, do not)
+const SIGNING_REQUEST_TYPES = ['SIGN_TRANSACTION', 'SIGN_PSBT', 'SIGN_MESSAGE'];
+
 /**
  * Load wallet state from storage
  */
 async function loadWalletFromStorage() {
   try {
-    const result = await chrome.storage.local.get(['accounts', 'currentAccountIndex']);
+    const result = await chrome.storage.local.get([
+      'accounts', 'currentAccountIndex', 'vault', 'encryptedMnemonic', 'activeNetwork', 'customNetworks',
+      'autoLockMinutes', 'lockOnBrowserClose'
+    ]);
+    walletState.autoLockMinutes = AUTO_LOCK_MINUTES.includes(result.autoLockMinutes) ? result.autoLockMinutes : 5;
+    walletState.lockOnBrowserClose = Boolean(result.lockOnBrowserClose);
+    chrome.idle.setDetectionInterval(walletState.autoLockMinutes * 60);
+    walletState.vault = result.vault || null;
+    walletState.encryptedMnemonic = result.encryptedMnemonic || null;
+    walletState.customNetworks = result.customNetworks || [];
+    try {
+      walletState.network = Networks.get(result.activeNetwork || 'mainnet', walletState.customNetworks);
+    } catch (error) {
+      console.error('[Background] Active network is gone, falling back to mainnet:', error);
+      walletState.network = Networks.MAINNET;
+    }
 
     // Load accounts array
     if (result.accounts && result.accounts.length > 0) {
-      walletState.accounts = result.accounts;
+      // Accounts saved before script types and networks existed are legacy P2PKH on mainnet
+      walletState.accounts = result.accounts.map(acc => ({ scriptType: 'p2pkh', network: 'mainnet', ...acc }));
       walletState.currentAccountIndex = result.currentAccountIndex || 0;
+      if (!getCurrentAccount()) {
+        walletState.currentAccountIndex = firstAccountIndexOnNetwork();
+      }
       console.log(`Loaded ${walletState.accounts.length} account(s) from storage`);
     } else {
       // Migration: Check for old single-account format
@@ -60,6 +122,8 @@ async function loadWalletFromStorage() {
         walletState.accounts = [{
           name: 'Account 1',
           address: oldResult.address,
+          scriptType: 'p2pkh',
+          network: 'mainnet',
           encryptedPrivateKey: oldResult.encryptedPrivateKey
         }];
         walletState.currentAccountIndex = 0;
@@ -78,152 +142,1219 @@ async function loadWalletFromStorage() {
   }
 }
 
+/**
+ * Restore an unlock and the pending requests that outlived the previous worker
+ */
+async function restoreSession() {
+  const { sessionKey, sessionSecrets, autoLockAt } = await chrome.storage.session.get(['sessionKey', 'sessionSecrets', 'autoLockAt']);
+  await restorePendingRequests();
+
+  if (!sessionKey || !sessionSecrets || !walletState.vault) return;
+
+  try {
+    const key = await importSessionKey(Encryption.base64ToArrayBuffer(sessionKey));
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: Encryption.base64ToArrayBuffer(sessionSecrets.iv) },
+      key,
+      Encryption.base64ToArrayBuffer(sessionSecrets.ciphertext)
+    );
+
+    // The vault key is not restored: changes that reseal the vault ask for the password again
+    walletState.secrets = JSON.parse(new TextDecoder().decode(plaintext));
+    walletState.sessionKey = key;
+    walletState.vaultKdf = walletState.vault.kdf;
+    walletState.currentPrivateKey = getAccountKey(getCurrentAccount());
+    walletState.isUnlocked = true;
+    walletState.autoLockAt = autoLockAt || null;
+    console.log('[Background] Unlocked session restored');
+
+    // The alarm may have fired while nothing was listening
+    if (autoLockAt && autoLockAt <= Date.now()) {
+      autoLock('inactivity');
+    }
+  } catch (error) {
+    console.error('[Background] Failed to restore session:', error);
+    lockWallet();
+  }
+}
+
+/**
+ * Keep the unlock across service worker restarts: chrome.storage.session gets the vault contents encrypted
+ * with a random key made for this unlock, and that key. The vault key is never stored, so a leaked copy cannot
+ * open the vault on disk, and it is useless once the wallet locks and both are removed
+ * Session storage stays in memory and is limited to extension pages and this worker (TRUSTED_CONTEXTS, set at startup)
+ */
+async function saveSession() {
+  const stored = {};
+  if (!walletState.sessionKey) {
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    walletState.sessionKey = await importSessionKey(rawKey);
+    stored.sessionKey = Encryption.arrayBufferToBase64(rawKey);
+  }
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    walletState.sessionKey,
+    new TextEncoder().encode(JSON.stringify(walletState.secrets))
+  );
+  stored.sessionSecrets = { iv: Encryption.arrayBufferToBase64(iv), ciphertext: Encryption.arrayBufferToBase64(ciphertext) };
+  await chrome.storage.session.set(stored);
+}
+
+function importSessionKey(rawKey) {
+  return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Mirror the pending requests to session storage, without their promise callbacks
+ * Senders are cut down to what is needed to show the site and deliver the result
+ */
+function savePendingRequests() {
+  const pendingRequests = {};
+  for (const [requestId, { resolve, reject, sender, ...request }] of pendingSignRequests) {
+    pendingRequests[requestId] = {
+      ...request,
+      sender: {
+        url: sender?.url,
+        origin: sender?.origin,
+        frameId: sender?.frameId,
+        tab: sender?.tab && { id: sender.tab.id, url: sender.tab.url }
+      }
+    };
+  }
+  return chrome.storage.session.set({ pendingRequests }).catch((error) => {
+    console.error('[Background] Failed to save pending requests:', error);
+  });
+}
+
+/**
+ * Reload pending requests saved by a previous worker
+ * Their original response channels are gone, so results are sent to the requesting tab instead
+ */
+async function restorePendingRequests() {
+  const { pendingRequests = {} } = await chrome.storage.session.get('pendingRequests');
+
+  for (const [requestId, request] of Object.entries(pendingRequests)) {
+    if (Date.now() - request.createdAt > PENDING_REQUEST_TTL) {
+      if (request.windowId !== undefined) {
+        chrome.windows.remove(request.windowId).catch(() => {});
+      }
+      continue;
+    }
+    pendingSignRequests.set(requestId, { ...request, ...deliverToTab(request.clientRequestId, request.sender) });
+  }
+
+  if (pendingSignRequests.size > 0) {
+    console.log(`[Background] Restored ${pendingSignRequests.size} pending request(s)`);
+  }
+  await savePendingRequests();
+}
+
+/**
+ * resolve/reject for a restored request: a SIGN_REQUEST_RESULT message to the frame that asked
+ * @param {string} clientRequestId - The content script's id for the request
+ */
+function deliverToTab(clientRequestId, sender) {
+  const send = (response) => {
+    if (sender?.tab?.id === undefined) return;
+    const message = { type: 'SIGN_REQUEST_RESULT', requestId: clientRequestId, response };
+    chrome.tabs.sendMessage(sender.tab.id, message, { frameId: sender.frameId || 0 })
+      .catch((error) => console.error('[Background] Failed to deliver sign result:', error));
+  };
+
+  return {
+    resolve: (data) => send({ success: true, data }),
+    reject: (error) => send({ success: false, error: error.message, code: error.code })
+  };
+}
+
 /**
  * Initialize extension on install
  */
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(() => {
   console.log('Counterparty Signer installed');
-  await loadWalletFromStorage();
 });
 
 /**
- * Load wallet on browser startup
+ * Browser startup; the wallet itself is loaded by walletReady on every worker start
  */
-chrome.runtime.onStartup.addListener(async () => {
+chrome.runtime.onStartup.addListener(() => {
   console.log('Counterparty Signer starting up');
-  await loadWalletFromStorage();
+});
+
+/**
+ * Inactivity timeout reached
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await walletReady;
+  if (alarm.name === AUTO_LOCK_ALARM) {
+    autoLock('inactivity');
+  }
+});
+
+/**
+ * Screen locked, or no input for the auto-lock timeout
+ */
+chrome.idle.onStateChanged.addListener(async (state) => {
+  await walletReady;
+  if (state === 'locked') {
+    autoLock('screen locked');
+  } else if (state === 'idle') {
+    autoLock('system idle');
+  }
+});
+
+/**
+ * Approval window closed without an answer: reject its request
+ * Last browser window closed, if the user chose to lock then
+ * The browser can keep running in the background, and so would an unlocked wallet
+ */
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await walletReady;
+
+  for (const [requestId, request] of pendingSignRequests) {
+    if (request.windowId === windowId) {
+      request.reject(requestError('USER_REJECTED', 'User closed the approval window'));
+      pendingSignRequests.delete(requestId);
+      savePendingRequests();
+    }
+  }
+
+  if (!walletState.lockOnBrowserClose || !walletState.isUnlocked) return;
+
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  if (windows.length === 0) {
+    autoLock('browser closed');
+  }
 });
 
 /**
  * Listen for messages from content script or popup
+ * The worker can be woken by any message, so each one waits for the wallet to load
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Background received message:', message.type);
 
-  switch (message.type) {
-    case 'GET_WALLET_STATUS':
-      handleGetWalletStatus(sendResponse);
-      return true; // Keep channel open for async response
+  walletReady.then(() => routeMessage(message, sender, sendResponse));
+  return true; // Keep channel open for async response
+});
+
+// Message routes: who may send each type, its payload schema (see MessageSchema) and its handler
+// Senders are 'extension' (popup and approval windows) or 'page' (the content script, for a web page)
+const MESSAGE_ROUTES = {
+  GET_PAGE_STATUS: {
+    from: ['page'],
+    schema: {},
+    handle: (data, sender, sendResponse) => sendResponse({ success: true, data: { isUnlocked: walletState.isUnlocked } })
+  },
+  GET_ADDRESS: {
+    from: ['page'],
+    schema: {},
+    handle: (data, sender, sendResponse) => handleGetAddress(sendResponse)
+  },
+  GET_NETWORK: {
+    from: ['extension', 'page'],
+    schema: {},
+    handle: (data, sender, sendResponse) => sendResponse({ success: true, data: Networks.describe(walletState.network) })
+  },
+  VERIFY_MESSAGE: {
+    from: ['extension', 'page'],
+    schema: { message: 'string', signature: 'string', address: 'string', format: 'string?' },
+    handle: (data, sender, sendResponse) => handleVerifyMessage(data, sendResponse)
+  },
+
+  SIGN_TRANSACTION: {
+    from: ['page'],
+    schema: {
+      unsignedTx: 'string',
+      details: 'object|null?',
+      prevouts: 'array?',
+      sighashTypes: 'array?',
+      inputsToSign: 'array?',
+      requestId: 'string'
+    },
+    handle: handleSignTransactionRequest
+  },
+  SIGN_PSBT: {
+    from: ['page'],
+    schema: { psbt: 'string', finalize: 'boolean?', inputsToSign: 'array?', details: 'object|null?', requestId: 'string' },
+    handle: handleSignPsbtRequest
+  },
+  SIGN_MESSAGE: {
+    from: ['page'],
+    schema: { message: 'string', address: 'string|null?', format: 'string?', requestId: 'string' },
+    handle: handleSignMessageRequest
+  },
+
+  GET_WALLET_STATUS: {
+    from: ['extension'],
+    schema: {},
+    handle: (data, sender, sendResponse) => handleGetWalletStatus(sendResponse)
+  },
+  CREATE_WALLET: {
+    from: ['extension'],
+    schema: { password: 'string', scriptType: 'string?' },
+    handle: (data, sender, sendResponse) => handleCreateWallet(data, sendResponse)
+  },
+  IMPORT_WALLET: {
+    from: ['extension'],
+    schema: { privateKey: 'string', password: 'string', scriptType: 'string?', address: 'string?' },
+    handle: (data, sender, sendResponse) => handleImportWallet(data, sendResponse)
+  },
+  IMPORT_MNEMONIC: {
+    from: ['extension'],
+    schema: { mnemonic: 'string', password: 'string', scriptType: 'string?', discover: 'boolean?', gapLimit: 'integer?' },
+    handle: (data, sender, sendResponse) => handleImportMnemonic(data, sendResponse)
+  },
+  DERIVE_LEGACY_ADDRESSES: {
+    from: ['extension'],
+    schema: { phrase: 'string', scriptType: 'string?', count: 'integer?' },
+    handle: (data, sender, sendResponse) => handleDeriveLegacyAddresses(data, sendResponse)
+  },
+  IMPORT_LEGACY_PHRASE: {
+    from: ['extension'],
+    schema: { phrase: 'string', password: 'string', scriptType: 'string?', selections: 'array?' },
+    handle: (data, sender, sendResponse) => handleImportLegacyPhrase(data, sendResponse)
+  },
+  UNLOCK_WALLET: {
+    from: ['extension'],
+    schema: { password: 'string' },
+    handle: (data, sender, sendResponse) => handleUnlockWallet(data, sendResponse)
+  },
+  LOCK_WALLET: {
+    from: ['extension'],
+    schema: {},
+    handle: (data, sender, sendResponse) => handleLockWallet(sendResponse)
+  },
+  MIGRATE_ACCOUNTS: {
+    from: ['extension'],
+    schema: { password: 'string' },
+    handle: (data, sender, sendResponse) => handleMigrateAccounts(data, sendResponse)
+  },
+  SET_AUTO_LOCK: {
+    from: ['extension'],
+    schema: { minutes: 'integer?', lockOnBrowserClose: 'boolean?' },
+    handle: (data, sender, sendResponse) => handleSetAutoLock(data, sendResponse)
+  },
+  GET_ACCOUNTS: {
+    from: ['extension'],
+    schema: {},
+    handle: (data, sender, sendResponse) => handleGetAccounts(sendResponse)
+  },
+  SWITCH_ACCOUNT: {
+    from: ['extension'],
+    schema: { accountIndex: 'integer' },
+    handle: (data, sender, sendResponse) => handleSwitchAccount(data, sendResponse)
+  },
+  RENAME_ACCOUNT: {
+    from: ['extension'],
+    schema: { accountIndex: 'integer', newName: 'string' },
+    handle: (data, sender, sendResponse) => handleRenameAccount(data, sendResponse)
+  },
+  DELETE_ACCOUNT: {
+    from: ['extension'],
+    schema: { accountIndex: 'integer' },
+    handle: (data, sender, sendResponse) => handleDeleteAccount(data, sendResponse)
+  },
+  GET_NETWORKS: {
+    from: ['extension'],
+    schema: {},
+    handle: (data, sender, sendResponse) => handleGetNetworks(sendResponse)
+  },
+  SET_NETWORK: {
+    from: ['extension'],
+    schema: { networkId: 'string' },
+    handle: (data, sender, sendResponse) => handleSetNetwork(data, sendResponse)
+  },
+  ADD_NETWORK: {
+    from: ['extension'],
+    schema: { network: 'string|object' },
+    handle: (data, sender, sendResponse) => handleAddNetwork(data, sendResponse)
+  },
+  REMOVE_NETWORK: {
+    from: ['extension'],
+    schema: { networkId: 'string' },
+    handle: (data, sender, sendResponse) => handleRemoveNetwork(data, sendResponse)
+  },
+  APPROVE_SIGNING: {
+    from: ['extension'],
+    schema: { requestId: 'string' },
+    handle: (data, sender, sendResponse) => handleApproveSign(data, sendResponse)
+  },
+  REJECT_SIGNING: {
+    from: ['extension'],
+    schema: { requestId: 'string' },
+    handle: (data, sender, sendResponse) => handleRejectSign(data, sendResponse)
+  }
+};
+
+/**
+ * Check a message against its route and dispatch it
+ * Unknown types, senders the route does not allow and malformed payloads are rejected and logged
+ */
+function routeMessage(message, sender, sendResponse) {
+  const type = message?.type;
+  const route = typeof type === 'string' && Object.hasOwn(MESSAGE_ROUTES, type) ? MESSAGE_ROUTES[type] : null;
+  if (!route) {
+    console.warn('[Background] Rejected unknown message type:', type, 'from', describeSender(sender));
+    sendResponse({ success: false, error: 'Unknown message type', code: 'UNSUPPORTED_METHOD' });
+    return;
+  }
+
+  const senderKind = getSenderKind(sender);
+  if (!route.from.includes(senderKind)) {
+    console.warn(`[Background] Rejected ${type} from ${describeSender(sender)}: not allowed for this sender`);
+    sendResponse({ success: false, error: `${type} is not allowed from this sender`, code: 'UNAUTHORIZED' });
+    return;
+  }
+
+  try {
+    MessageSchema.validate(message.data, route.schema);
+  } catch (error) {
+    console.warn(`[Background] Rejected ${type} from ${describeSender(sender)}:`, error.message);
+    sendResponse({ success: false, error: error.message, code: 'INVALID_PARAMS' });
+    return;
+  }
+
+  if (senderKind === 'extension' || SIGNING_REQUEST_TYPES.includes(type)) {
+    recordActivity();
+  }
+  if (senderKind === 'page') {
+    console.log(`[Background] ${type} from ${getSenderOrigin(sender)}`);
+  }
+
+  route.handle(message.data || {}, sender, sendResponse);
+}
+
+/**
+ * Current account's address for a web page; the page sees nothing else of the wallet
+ */
+function handleGetAddress(sendResponse) {
+  const currentAccount = getCurrentAccount();
+  if (!currentAccount) {
+    sendResponse({ success: false, error: 'No wallet found. Please create or import a wallet first.', code: 'NO_WALLET' });
+    return;
+  }
+  sendResponse({ success: true, data: { address: currentAccount.address } });
+}
+
+/**
+ * Get wallet status (extension pages only)
+ */
+async function handleGetWalletStatus(sendResponse) {
+  // Accounts of other networks stay hidden: a network without accounts shows the setup screen
+  const currentAccount = getCurrentAccount();
+  const networkAccounts = walletState.accounts.filter(acc => acc.network === walletState.network.id);
+
+  sendResponse({
+    success: true,
+    data: {
+      hasWallet: networkAccounts.length > 0,
+      isUnlocked: walletState.isUnlocked,
+      address: currentAccount?.address || null,
+      accountName: currentAccount?.name || null,
+      scriptType: currentAccount?.scriptType || null,
+      derivationPath: currentAccount?.derivationPath || null,
+      hasSeed: hasSeed(),
+      currentAccountIndex: walletState.currentAccountIndex,
+      totalAccounts: networkAccounts.length,
+      // Secrets still encrypted with another password than the vault's (all networks)
+      legacyAccounts: walletState.accounts.filter(acc => acc.encryptedPrivateKey).length,
+      legacyMnemonic: Boolean(walletState.encryptedMnemonic),
+      autoLockAt: walletState.autoLockAt,
+      autoLockMinutes: walletState.autoLockMinutes,
+      lockOnBrowserClose: walletState.lockOnBrowserClose,
+      network: walletState.network
+    }
+  });
+}
+
+/**
+ * Built-in and custom network profiles, and the active one
+ */
+function handleGetNetworks(sendResponse) {
+  sendResponse({
+    success: true,
+    data: {
+      networks: [...Networks.BUILTIN, ...walletState.customNetworks],
+      activeNetwork: walletState.network.id
+    }
+  });
+}
+
+/**
+ * Switch the active network
+ * The wallet locks and moves to the first account on that network, if it has any
+ */
+async function handleSetNetwork(data, sendResponse) {
+  try {
+    const network = Networks.get(data.networkId, walletState.customNetworks);
+
+    if (network.id !== walletState.network.id) {
+      walletState.network = network;
+      walletState.currentAccountIndex = firstAccountIndexOnNetwork();
+      // The vault holds every network's keys, so an unlocked wallet stays unlocked
+      walletState.currentPrivateKey = getAccountKey(getCurrentAccount());
+
+      await chrome.storage.local.set({
+        activeNetwork: network.id,
+        currentAccountIndex: walletState.currentAccountIndex
+      });
+      console.log(`[Background] Switched to ${network.name}`);
+    }
+
+    sendResponse({
+      success: true,
+      data: { network, address: getCurrentAccount()?.address || null }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Add a custom network from its JSON parameters
+ */
+async function handleAddNetwork(data, sendResponse) {
+  try {
+    const network = Networks.validate(data.network);
+
+    if (walletState.customNetworks.some(custom => custom.id === network.id)) {
+      throw new Error(`A network with id '${network.id}' already exists`);
+    }
+
+    walletState.customNetworks.push(network);
+    await chrome.storage.local.set({ customNetworks: walletState.customNetworks });
+
+    sendResponse({
+      success: true,
+      data: { network }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove a custom network that is neither active nor holding accounts
+ */
+async function handleRemoveNetwork(data, sendResponse) {
+  try {
+    const { networkId } = data;
+
+    if (!walletState.customNetworks.some(custom => custom.id === networkId)) {
+      throw new Error(`Unknown custom network: ${networkId}`);
+    }
+
+    if (walletState.network.id === networkId) {
+      throw new Error('Switch to another network before removing this one');
+    }
+
+    if (walletState.accounts.some(acc => acc.network === networkId)) {
+      throw new Error('Delete the accounts on this network before removing it');
+    }
+
+    walletState.customNetworks = walletState.customNetworks.filter(custom => custom.id !== networkId);
+    await chrome.storage.local.set({ customNetworks: walletState.customNetworks });
+
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create new wallet, or add an account to an existing one
+ * The first account of a new wallet comes with a fresh recovery phrase, returned once for backup;
+ * later accounts derive the next index from that phrase
+ */
+async function handleCreateWallet(data, sendResponse) {
+  try {
+    const { password, scriptType = 'p2pkh' } = data;
+
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    if (!BitcoinSigner.SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`Unsupported address type: ${scriptType}`);
+    }
+
+    await openVault(password);
+
+    const network = walletState.network;
+    let mnemonic = null;
+    let newMnemonic = null;
+
+    if (walletState.secrets.mnemonic) {
+      mnemonic = walletState.secrets.mnemonic;
+    } else if (walletState.encryptedMnemonic) {
+      throw new Error('The recovery phrase still uses an older password. Enter it in the wallet to move it into the vault first.');
+    } else if (walletState.accounts.length === 0) {
+      newMnemonic = await Bip39.generateMnemonic();
+      mnemonic = newMnemonic;
+    }
+
+    let account;
+    if (mnemonic) {
+      account = await deriveHdAccount(mnemonic, scriptType);
+    } else {
+      // Wallet made of imported keys only: no seed to derive from, use a random key
+      const privateKeyHex = BitcoinSigner.generatePrivateKey();
+      account = {
+        address: await BitcoinSigner.deriveAddress(privateKeyHex, scriptType, true, network),
+        scriptType,
+        privateKeyWif: await BitcoinSigner.encodeWIF(privateKeyHex, true, network) // Store as WIF, same as imported accounts
+      };
+    }
+
+    if (newMnemonic) {
+      walletState.secrets.mnemonic = newMnemonic;
+    }
+
+    const accountName = await addAccount(account);
+
+    sendResponse({
+      success: true,
+      data: {
+        address: account.address,
+        accountName,
+        derivationPath: account.derivationPath || null,
+        mnemonic: newMnemonic
+      }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Import existing wallet
+ */
+async function handleImportWallet(data, sendResponse) {
+  try {
+    const { address: expectedAddress, privateKey, password, scriptType = 'p2pkh' } = data;
+
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    if (!BitcoinSigner.SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`Unsupported address type: ${scriptType}`);
+    }
+
+    if (!privateKey) {
+      throw new Error('WIF private key is required');
+    }
+
+    // Decode WIF with full Base58Check validation (privateKey is WIF, not hex); the version byte must match the network
+    const network = walletState.network;
+    const { privateKey: privateKeyBytes, compressed } = await BitcoinSigner.parseWIF(privateKey, network);
 
-    case 'CREATE_WALLET':
-      handleCreateWallet(message.data, sendResponse);
-      return true;
+    // Derive the address from the key instead of trusting a typed one (uncompressed keys are P2PKH only)
+    const address = await BitcoinSigner.deriveAddress(privateKeyBytes, scriptType, compressed, network);
 
-    case 'IMPORT_WALLET':
-      handleImportWallet(message.data, sendResponse);
-      return true;
+    if (expectedAddress) {
+      // Precise reason for a malformed or other-network address before comparing
+      await AddressCodec.decode(expectedAddress, network, walletState.customNetworks);
+    }
+    if (expectedAddress && expectedAddress !== address) {
+      throw new Error(`Address does not match private key (key controls ${address})`);
+    }
 
-    case 'UNLOCK_WALLET':
-      handleUnlockWallet(message.data, sendResponse);
-      return true;
+    await openVault(password);
+    const accountName = await addAccount({ address, scriptType, privateKeyWif: privateKey });
 
-    case 'LOCK_WALLET':
-      handleLockWallet(sendResponse);
-      return true;
+    sendResponse({
+      success: true,
+      data: { address, accountName }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
-    case 'SWITCH_ACCOUNT':
-      handleSwitchAccount(message.data, sendResponse);
-      return true;
+/**
+ * Restore wallet from a BIP39 recovery phrase
+ * Every script type is scanned for used addresses up to the gap limit and those accounts are recreated;
+ * without any (or if the gateway is unreachable) the first account of the chosen type is created
+ */
+async function handleImportMnemonic(data, sendResponse) {
+  try {
+    const {
+      mnemonic,
+      password,
+      scriptType = 'p2pkh',
+      discover = true,
+      gapLimit = AccountDiscovery.DEFAULT_GAP_LIMIT
+    } = data;
 
-    case 'GET_ACCOUNTS':
-      handleGetAccounts(sendResponse);
-      return true;
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
 
-    case 'RENAME_ACCOUNT':
-      handleRenameAccount(message.data, sendResponse);
-      return true;
+    if (!BitcoinSigner.SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`Unsupported address type: ${scriptType}`);
+    }
+
+    if (hasSeed()) {
+      throw new Error('This wallet already has a recovery phrase');
+    }
+
+    if (!mnemonic) {
+      throw new Error('Recovery phrase is required');
+    }
+
+    if (discover) {
+      AccountDiscovery.assertGapLimit(gapLimit);
+    }
+
+    // Throws with the unknown word or checksum failure
+    await Bip39.mnemonicToEntropy(mnemonic);
+    const normalized = Bip39.normalize(mnemonic);
+
+    await openVault(password);
+
+    let restored = [];
+    let discoveryError = null;
+    if (discover && !walletState.network.historyApi) {
+      discoveryError = `${walletState.network.name} has no address history API, so used accounts could not be looked up`;
+    } else if (discover) {
+      try {
+        // The chosen type first, so its first used account becomes current
+        const scriptTypes = [scriptType, ...BitcoinSigner.SCRIPT_TYPES.filter(type => type !== scriptType)];
+        restored = await discoverHdAccounts(normalized, scriptTypes, gapLimit);
+      } catch (error) {
+        console.error('[Background] Account discovery failed:', error);
+        discoveryError = error.message;
+      }
+    }
+    if (restored.length === 0) {
+      restored = [await deriveHdAccount(normalized, scriptType)];
+    }
+
+    walletState.secrets.mnemonic = normalized;
+
+    const firstIndex = walletState.accounts.length;
+    const accounts = [];
+    for (const account of restored) {
+      const accountName = await addAccount(account);
+      accounts.push({ address: account.address, accountName, derivationPath: account.derivationPath });
+    }
+
+    // Start on the first restored account
+    walletState.currentAccountIndex = firstIndex;
+    walletState.currentPrivateKey = restored[0].privateKeyWif;
+    await chrome.storage.local.set({ currentAccountIndex: firstIndex });
+
+    sendResponse({
+      success: true,
+      data: {
+        address: accounts[0].address,
+        accountName: accounts[0].accountName,
+        derivationPath: accounts[0].derivationPath,
+        accounts,
+        discoveryError
+      }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
-    case 'DELETE_ACCOUNT':
-      handleDeleteAccount(message.data, sendResponse);
-      return true;
+/**
+ * List the addresses a Counterwallet, FreeWallet or Electrum 1.x phrase derives, per detected format
+ */
+async function handleDeriveLegacyAddresses(data, sendResponse) {
+  try {
+    const { phrase, scriptType = 'p2pkh', count = 10 } = data;
+
+    if (!BitcoinSigner.SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`Unsupported address type: ${scriptType}`);
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LEGACY_ADDRESSES) {
+      throw new Error(`Address count must be between 1 and ${MAX_LEGACY_ADDRESSES}`);
+    }
+
+    const formats = await LegacyMnemonic.detectFormats(phrase || '');
+    if (formats.length === 0) {
+      throw new Error('Not a Counterwallet, FreeWallet or Electrum 1.x phrase');
+    }
+
+    const results = [];
+    for (const format of formats) {
+      const keys = await LegacyMnemonic.deriveKeys(phrase, format, count);
+      const formatScriptType = keys[0].compressed ? scriptType : 'p2pkh';
+      const addresses = [];
+      for (const key of keys) {
+        const address = await BitcoinSigner.deriveAddress(
+          key.privateKey, formatScriptType, key.compressed, walletState.network
+        );
+        addresses.push({
+          index: key.index,
+          address,
+          derivationPath: key.derivationPath,
+          exists: Boolean(findAccount(address))
+        });
+      }
+      results.push({ format, label: LegacyMnemonic.FORMATS[format].label, scriptType: formatScriptType, addresses });
+    }
+
+    sendResponse({
+      success: true,
+      data: { formats: results }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Import selected addresses of a legacy phrase as accounts
+ * Keys are derived again here and stored as WIF; the phrase itself is not kept
+ */
+async function handleImportLegacyPhrase(data, sendResponse) {
+  try {
+    const { phrase, password, scriptType = 'p2pkh', selections = [] } = data;
+
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    if (!BitcoinSigner.SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`Unsupported address type: ${scriptType}`);
+    }
+
+    if (!Array.isArray(selections) || selections.length === 0) {
+      throw new Error('Select at least one address to import');
+    }
+
+    // Derive once per format, up to the highest selected index
+    const byFormat = new Map();
+    for (const { format, index } of selections) {
+      if (!Number.isInteger(index) || index < 0 || index >= MAX_LEGACY_ADDRESSES) {
+        throw new Error(`Invalid address index: ${index}`);
+      }
+      byFormat.set(format, Math.max(byFormat.get(format) ?? 0, index + 1));
+    }
+
+    await openVault(password);
+
+    const imported = [];
+    for (const [format, count] of byFormat) {
+      const keys = await LegacyMnemonic.deriveKeys(phrase || '', format, count);
+      const selected = selections.filter(sel => sel.format === format).map(sel => sel.index);
+
+      for (const key of keys.filter(k => selected.includes(k.index))) {
+        const accountScriptType = key.compressed ? scriptType : 'p2pkh';
+        const address = await BitcoinSigner.deriveAddress(
+          key.privateKey, accountScriptType, key.compressed, walletState.network
+        );
+        const privateKeyWif = await BitcoinSigner.encodeWIF(key.privateKey, key.compressed, walletState.network);
+
+        const accountName = await addAccount({
+          address,
+          scriptType: accountScriptType,
+          privateKeyWif,
+          derivationPath: key.derivationPath,
+          phraseFormat: format
+        });
+        imported.push({ address, accountName });
+      }
+    }
+
+    sendResponse({
+      success: true,
+      data: { accounts: imported, address: imported[0].address }
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Derive the next unused account of a script type from the recovery phrase, on the active network
+ * Addresses already in the wallet (e.g. imported as WIF) are skipped
+ * @returns {Promise<{address: string, scriptType: string, privateKeyWif: string, derivationPath: string}>}
+ */
+async function deriveHdAccount(mnemonic, scriptType) {
+  const master = await Bip32.fromSeed(await Bip39.mnemonicToSeed(mnemonic));
+  const network = walletState.network;
+
+  // Continue after the highest index already used for this purpose on this network
+  const prefix = Bip32.getAccountPath(scriptType, '', network.coinType);
+  const usedIndexes = walletState.accounts
+    .filter(acc => acc.network === network.id && !acc.phraseFormat && acc.derivationPath?.startsWith(prefix))
+    .map(acc => Number(acc.derivationPath.slice(prefix.length)));
+  let index = usedIndexes.length > 0 ? Math.max(...usedIndexes) + 1 : 0;
+
+  while (true) {
+    const account = await deriveHdKey(master, scriptType, index);
+    if (!findAccount(account.address)) {
+      return account;
+    }
+    index++;
+  }
+}
+
+/**
+ * Find the used accounts of a recovery phrase with a gap-limit scan of each script type's receive path
+ * Addresses already in the wallet are left out
+ */
+async function discoverHdAccounts(mnemonic, scriptTypes, gapLimit) {
+  const master = await Bip32.fromSeed(await Bip39.mnemonicToSeed(mnemonic));
+  const isUsed = AccountDiscovery.createHistoryChecker(walletState.network.historyApi);
+
+  const found = [];
+  for (const scriptType of scriptTypes) {
+    const used = await AccountDiscovery.scan({
+      derive: index => deriveHdKey(master, scriptType, index),
+      isUsed,
+      gapLimit
+    });
+    found.push(...used.filter(account => !findAccount(account.address)));
+  }
+
+  return found;
+}
+
+/**
+ * Account of a script type at a receive index of the master node, using the active network's coin type
+ * @returns {Promise<{address: string, scriptType: string, privateKeyWif: string, derivationPath: string}>}
+ */
+async function deriveHdKey(master, scriptType, index) {
+  const network = walletState.network;
+  const derivationPath = Bip32.getAccountPath(scriptType, index, network.coinType);
+  const node = await Bip32.derivePath(master, derivationPath);
+  const address = await BitcoinSigner.deriveAddress(node.privateKey, scriptType, true, network);
+  const privateKeyWif = await BitcoinSigner.encodeWIF(node.privateKey, true, network);
+  return { address, scriptType, privateKeyWif, derivationPath };
+}
+
+/**
+ * Open the vault with the master password and keep its key and contents in memory
+ * The first call creates the vault; a wallet from before the vault is migrated instead
+ */
+async function openVault(password) {
+  if (walletState.vault) {
+    const { secrets, key } = await Vault.open(walletState.vault, password);
+    walletState.vaultKey = key;
+    walletState.vaultKdf = walletState.vault.kdf;
+    walletState.secrets = secrets;
+    return;
+  }
+
+  // Before the vault every secret had its own ciphertext: the password must open at least one of them
+  const secrets = { mnemonic: null, keys: {} };
+  const hasLegacySecrets = Boolean(walletState.encryptedMnemonic) || walletState.accounts.some(acc => acc.encryptedPrivateKey);
+  const migrated = hasLegacySecrets ? await Vault.migrateLegacy(walletState, password, secrets, accountId) : 0;
+  if (hasLegacySecrets && migrated === 0) {
+    throw new Error('Incorrect password');
+  }
+
+  // Not stored until the first saveVault, so a failed first request leaves no vault behind
+  const { vault, key } = await Vault.create(password, secrets);
+  walletState.vaultKey = key;
+  walletState.vaultKdf = vault.kdf;
+  walletState.secrets = secrets;
+
+  if (migrated > 0) {
+    await saveVault();
+    console.log(`[Background] Migrated ${migrated} encrypted secret(s) into the vault`);
+  }
+}
+
+/**
+ * Seal the in-memory vault contents and store them with the account list
+ * Keys of deleted accounts are dropped here. Needs the vault key of a password unlock; the session copy follows
+ */
+async function saveVault() {
+  if (!walletState.vaultKey) {
+    throw new Error('Enter your password again to save changes to the wallet');
+  }
+
+  const ids = new Set(walletState.accounts.map(accountId));
+  walletState.secrets.keys = Object.fromEntries(
+    Object.entries(walletState.secrets.keys).filter(([id]) => ids.has(id))
+  );
+
+  walletState.vault = await Vault.seal(
+    { version: Vault.VERSION, kdf: walletState.vaultKdf },
+    walletState.vaultKey,
+    walletState.secrets
+  );
+
+  await chrome.storage.local.set({
+    vault: walletState.vault,
+    accounts: walletState.accounts,
+    currentAccountIndex: walletState.currentAccountIndex,
+    encryptedMnemonic: walletState.encryptedMnemonic
+  });
+
+  if (walletState.isUnlocked) {
+    await saveSession();
+  }
+}
+
+/**
+ * Forget the vault key, its contents and the current private key, here and in session storage
+ */
+function lockWallet() {
+  walletState.currentPrivateKey = null;
+  walletState.secrets = null;
+  walletState.vaultKey = null;
+  walletState.sessionKey = null;
+  walletState.vaultKdf = null;
+  walletState.isUnlocked = false;
+  walletState.autoLockAt = null;
+  chrome.alarms.clear(AUTO_LOCK_ALARM);
+  chrome.storage.session.remove(['sessionKey', 'sessionSecrets', 'autoLockAt']);
+}
+
+/**
+ * Lock without the user asking, and fail every pending sign request with the reason
+ * Their approval windows are closed, as there is nothing left to approve
+ */
+function autoLock(reason) {
+  if (!walletState.isUnlocked) return;
+
+  lockWallet();
+  console.log(`[Background] Wallet auto-locked (${reason})`);
+
+  for (const [requestId, request] of pendingSignRequests) {
+    request.reject(requestError('WALLET_LOCKED', `Wallet auto-locked (${reason})`));
+    pendingSignRequests.delete(requestId);
+    if (request.windowId !== undefined) {
+      chrome.windows.remove(request.windowId).catch(() => {});
+    }
+  }
+  savePendingRequests();
+}
+
+/**
+ * Restart the inactivity timer while unlocked
+ */
+function recordActivity() {
+  if (!walletState.isUnlocked) return;
+
+  walletState.autoLockAt = Date.now() + walletState.autoLockMinutes * 60000;
+  chrome.alarms.create(AUTO_LOCK_ALARM, { when: walletState.autoLockAt });
+  chrome.storage.session.set({ autoLockAt: walletState.autoLockAt });
+}
+
+/**
+ * Popup, approval windows and other pages of this extension, as a top-level document
+ * Pages listed in web_accessible_resources can be framed by any site; those frames do not count
+ */
+function isExtensionPage(sender) {
+  return sender?.id === chrome.runtime.id &&
+    typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL('')) &&
+    (!sender.tab || sender.frameId === 0);
+}
+
+/**
+ * This extension's content script in a web page's tab
+ */
+function isContentScript(sender) {
+  return sender?.id === chrome.runtime.id && Number.isInteger(sender.tab?.id) && sender.tab.id >= 0 &&
+    typeof sender.url === 'string' && /^(https?|file):/.test(sender.url);
+}
+
+/**
+ * 'extension', 'page' or null for any other sender
+ */
+function getSenderKind(sender) {
+  if (isExtensionPage(sender)) return 'extension';
+  if (isContentScript(sender)) return 'page';
+  return null;
+}
+
+/**
+ * Sender for logs: URL and tab
+ */
+function describeSender(sender) {
+  return `${sender?.url || 'unknown URL'}${sender?.tab ? ` (tab ${sender.tab.id})` : ''}`;
+}
+
+/**
+ * Whether the wallet has a recovery phrase, in the vault or still awaiting migration
+ */
+function hasSeed() {
+  return Boolean(walletState.vault?.hasMnemonic || walletState.encryptedMnemonic);
+}
+
+/**
+ * Throw unless the current account's key is in memory, saying why not
+ */
+function assertCurrentKey() {
+  if (!walletState.isUnlocked) {
+    throw requestError('WALLET_LOCKED', 'Wallet is locked. Please unlock it first.');
+  }
+  if (!walletState.currentPrivateKey) {
+    throw new Error('This account still uses an older password. Enter it in the wallet to move the account into the vault.');
+  }
+}
+
+/**
+ * Account and network a pending request was made for
+ * Requests keep the account that was current when they arrived, so switching accounts or networks while the
+ * approval window is open cannot change who signs
+ * @throws {Error} INVALID_PARAMS if the account or its network has been removed since
+ */
+function getRequestAccount(request) {
+  const account = walletState.accounts.find(acc => accountId(acc) === request.accountId);
+  let network = null;
+  try {
+    network = account && Networks.get(account.network, walletState.customNetworks);
+  } catch (error) {
+    // Custom network removed
+  }
+  if (!account || !network) {
+    throw requestError('INVALID_PARAMS', 'The account this request was made for no longer exists');
+  }
+  return { account, network };
+}
+
+/**
+ * Request account with its key, for signing at approval time
+ * @returns {{account: Object, network: Object, privateKeyWif: string}}
+ */
+function getRequestSigner(request) {
+  if (!walletState.isUnlocked) {
+    throw requestError('WALLET_LOCKED', 'Wallet is locked. Please unlock it first.');
+  }
+  const { account, network } = getRequestAccount(request);
+  const privateKeyWif = getAccountKey(account);
+  if (!privateKeyWif) {
+    throw new Error('This account still uses an older password. Enter it in the wallet to move the account into the vault.');
+  }
+  return { account, network, privateKeyWif };
+}
+
+/**
+ * Vault key id of an account: network and address, as testnet and regtest addresses can coincide
+ */
+function accountId(account) {
+  return `${account.network}:${account.address}`;
+}
+
+/**
+ * WIF of an account from the open vault, or null if locked or the account awaits migration
+ */
+function getAccountKey(account) {
+  if (!account || !walletState.secrets) return null;
+  return walletState.secrets.keys[accountId(account)] || null;
+}
+
+/**
+ * Current account, or null if the active network has none
+ */
+function getCurrentAccount() {
+  const account = walletState.accounts[walletState.currentAccountIndex];
+  return account && account.network === walletState.network.id ? account : null;
+}
 
-    case 'SIGN_TRANSACTION':
-      handleSignTransactionRequest(message.data, sender, sendResponse);
-      return true;
+/**
+ * Index of the first account on the active network, or -1
+ */
+function firstAccountIndexOnNetwork() {
+  return walletState.accounts.findIndex(acc => acc.network === walletState.network.id);
+}
 
-    case 'APPROVE_SIGNING':
-      handleApproveSign(message.data, sendResponse);
-      return true;
+/**
+ * Account with an address on the active network
+ * Testnet and regtest share base58 version bytes, so the address alone is not unique
+ */
+function findAccount(address) {
+  return walletState.accounts.find(acc => acc.address === address && acc.network === walletState.network.id);
+}
 
-    case 'REJECT_SIGNING':
-      handleRejectSign(message.data, sendResponse);
-      return true;
+/**
+ * Append a new account on the active network to the open vault, make it current and save the wallet
+ * @returns {Promise<string>} Account name
+ */
+async function addAccount({ address, scriptType, privateKeyWif, derivationPath, phraseFormat }) {
+  if (findAccount(address)) {
+    throw new Error('This account already exists');
+  }
 
-    default:
-      sendResponse({ success: false, error: 'Unknown message type' });
+  const network = walletState.network.id;
+  const accountName = `Account ${walletState.accounts.filter(acc => acc.network === network).length + 1}`;
+  const account = { name: accountName, address, scriptType, network };
+  if (derivationPath) {
+    account.derivationPath = derivationPath;
+  }
+  if (phraseFormat) {
+    account.phraseFormat = phraseFormat; // Derived from a legacy phrase, not the wallet's own
   }
+  walletState.accounts.push(account);
+  walletState.secrets.keys[accountId(account)] = privateKeyWif;
 
-  return false;
-});
+  // Set as current account
+  walletState.currentAccountIndex = walletState.accounts.length - 1;
+  walletState.currentPrivateKey = privateKeyWif; // Store as WIF
+  walletState.isUnlocked = true;
+  recordActivity();
 
-/**
- * Get wallet status
- */
-async function handleGetWalletStatus(sendResponse) {
-  const hasWallet = walletState.accounts.length > 0;
-  const currentAccount = walletState.accounts[walletState.currentAccountIndex];
+  // Store in chrome.storage
+  try {
+    await saveVault();
+  } catch (storageError) {
+    throw new Error('Failed to save wallet to storage: ' + storageError.message);
+  }
 
-  sendResponse({
-    success: true,
-    data: {
-      hasWallet,
-      isUnlocked: walletState.isUnlocked,
-      address: currentAccount?.address || null,
-      accountName: currentAccount?.name || null,
-      currentAccountIndex: walletState.currentAccountIndex,
-      totalAccounts: walletState.accounts.length
-    }
-  });
+  return accountName;
 }
 
 /**
- * Create new wallet
+ * Unlock wallet with the master password; every account in the vault becomes available
  */
-async function handleCreateWallet(data, sendResponse) {
+async function handleUnlockWallet(data, sendResponse) {
   try {
     const { password } = data;
 
-    if (!password || password.length < 8) {
-      throw new Error('Password must be at least 8 characters');
+    const currentAccount = getCurrentAccount();
+    if (!currentAccount) {
+      throw new Error('No accounts found');
     }
 
-    // Generate new private key
-    const privateKeyHex = BitcoinSigner.generatePrivateKey();
-
-    // Derive address
-    const address = await BitcoinSigner.deriveAddress(privateKeyHex);
-
-    // Encrypt private key with password
-    const encryptedPrivateKey = await Encryption.encrypt(privateKeyHex, password);
+    await openVault(password);
 
-    // Create account name
-    const accountName = `Account ${walletState.accounts.length + 1}`;
-
-    // Add to accounts array
-    walletState.accounts.push({
-      name: accountName,
-      address: address,
-      encryptedPrivateKey: encryptedPrivateKey
-    });
-
-    // Set as current account
-    walletState.currentAccountIndex = walletState.accounts.length - 1;
-    walletState.currentPrivateKey = privateKeyHex;
+    // Update state
+    walletState.currentPrivateKey = getAccountKey(currentAccount);
     walletState.isUnlocked = true;
-
-    // Store in chrome.storage
-    try {
-      await chrome.storage.local.set({
-        accounts: walletState.accounts,
-        currentAccountIndex: walletState.currentAccountIndex
-      });
-    } catch (storageError) {
-      throw new Error('Failed to save wallet to storage: ' + storageError.message);
-    }
+    recordActivity();
+    await saveSession();
 
     sendResponse({
       success: true,
-      data: { address, accountName }
+      data: { address: currentAccount.address, needsPassword: !walletState.currentPrivateKey }
     });
   } catch (error) {
     sendResponse({
@@ -234,62 +1365,52 @@ async function handleCreateWallet(data, sendResponse) {
 }
 
 /**
- * Import existing wallet
+ * Lock wallet (clear keys from memory)
  */
-async function handleImportWallet(data, sendResponse) {
+function handleLockWallet(sendResponse) {
+  lockWallet();
+
+  sendResponse({ success: true });
+}
+
+/**
+ * Move accounts (and the recovery phrase) still encrypted with an older password into the unlocked vault
+ */
+async function handleMigrateAccounts(data, sendResponse) {
   try {
-    const { address, privateKey, password } = data;
+    const { password } = data;
 
-    if (!password || password.length < 8) {
-      throw new Error('Password must be at least 8 characters');
+    if (!walletState.isUnlocked) {
+      throw new Error('Wallet is locked. Please unlock it first.');
     }
 
-    if (!address) {
-      throw new Error('Bitcoin address is required');
+    if (!password) {
+      throw new Error('Please enter the old password');
     }
 
-    // Validate WIF format (privateKey is now WIF, not hex)
-    if (!privateKey || (privateKey.length !== 51 && privateKey.length !== 52)) {
-      throw new Error('Invalid WIF private key format');
+    if (!walletState.vaultKey) {
+      throw new Error('Unlock the wallet with your password again before moving accounts');
     }
 
-    // Check if address already exists
-    const existingAccount = walletState.accounts.find(acc => acc.address === address);
-    if (existingAccount) {
-      throw new Error('This account already exists');
+    if (walletState.encryptedMnemonic && walletState.secrets.mnemonic) {
+      throw new Error('The vault already has a recovery phrase');
     }
 
-    // Encrypt WIF private key with password
-    const encryptedPrivateKey = await Encryption.encrypt(privateKey, password);
-
-    // Create account name
-    const accountName = `Account ${walletState.accounts.length + 1}`;
-
-    // Add to accounts array
-    walletState.accounts.push({
-      name: accountName,
-      address: address,
-      encryptedPrivateKey: encryptedPrivateKey
-    });
-
-    // Set as current account
-    walletState.currentAccountIndex = walletState.accounts.length - 1;
-    walletState.currentPrivateKey = privateKey; // Store as WIF
-    walletState.isUnlocked = true;
-
-    // Store in chrome.storage
-    try {
-      await chrome.storage.local.set({
-        accounts: walletState.accounts,
-        currentAccountIndex: walletState.currentAccountIndex
-      });
-    } catch (storageError) {
-      throw new Error('Failed to save wallet to storage: ' + storageError.message);
+    const migrated = await Vault.migrateLegacy(walletState, password, walletState.secrets, accountId);
+    if (migrated === 0) {
+      throw new Error('This password does not decrypt any of the remaining accounts');
     }
 
+    await saveVault();
+    walletState.currentPrivateKey = getAccountKey(getCurrentAccount());
+
     sendResponse({
       success: true,
-      data: { address, accountName }
+      data: {
+        migrated,
+        legacyAccounts: walletState.accounts.filter(acc => acc.encryptedPrivateKey).length,
+        legacyMnemonic: Boolean(walletState.encryptedMnemonic)
+      }
     });
   } catch (error) {
     sendResponse({
@@ -300,82 +1421,69 @@ async function handleImportWallet(data, sendResponse) {
 }
 
 /**
- * Unlock wallet with password
+ * Set the inactivity timeout and whether closing the browser locks the wallet
+ * The system idle threshold follows the timeout
  */
-async function handleUnlockWallet(data, sendResponse) {
+async function handleSetAutoLock(data, sendResponse) {
   try {
-    const { password } = data;
+    const { minutes = walletState.autoLockMinutes, lockOnBrowserClose = walletState.lockOnBrowserClose } = data;
 
-    if (walletState.accounts.length === 0) {
-      throw new Error('No accounts found');
+    if (!AUTO_LOCK_MINUTES.includes(minutes)) {
+      throw new Error(`Auto-lock timeout must be one of ${AUTO_LOCK_MINUTES.join(', ')} minutes`);
     }
 
-    const currentAccount = walletState.accounts[walletState.currentAccountIndex];
-
-    // Decrypt private key for current account
-    const privateKey = await Encryption.decrypt(
-      currentAccount.encryptedPrivateKey,
-      password
-    );
+    walletState.autoLockMinutes = minutes;
+    walletState.lockOnBrowserClose = Boolean(lockOnBrowserClose);
+    chrome.idle.setDetectionInterval(minutes * 60);
+    recordActivity();
 
-    // Update state
-    walletState.currentPrivateKey = privateKey;
-    walletState.isUnlocked = true;
+    await chrome.storage.local.set({
+      autoLockMinutes: walletState.autoLockMinutes,
+      lockOnBrowserClose: walletState.lockOnBrowserClose
+    });
 
     sendResponse({
       success: true,
-      data: { address: currentAccount.address }
+      data: {
+        autoLockMinutes: walletState.autoLockMinutes,
+        lockOnBrowserClose: walletState.lockOnBrowserClose,
+        autoLockAt: walletState.autoLockAt
+      }
     });
   } catch (error) {
     sendResponse({
       success: false,
-      error: 'Incorrect password or corrupted data'
+      error: error.message
     });
   }
 }
 
-/**
- * Lock wallet (clear private key from memory)
- */
-function handleLockWallet(sendResponse) {
-  walletState.currentPrivateKey = null;
-  walletState.isUnlocked = false;
-
-  sendResponse({ success: true });
-}
-
 /**
  * Switch to different account
+ * An unlocked wallet stays unlocked: the key comes from the open vault
  */
 async function handleSwitchAccount(data, sendResponse) {
   try {
-    const { accountIndex, password } = data;
+    const { accountIndex } = data;
 
-    if (accountIndex < 0 || accountIndex >= walletState.accounts.length) {
+    if (walletState.accounts[accountIndex]?.network !== walletState.network.id) {
       throw new Error('Invalid account index');
     }
 
-    // If unlocked, decrypt the new account's private key
-    if (password) {
-      const account = walletState.accounts[accountIndex];
-      const privateKey = await Encryption.decrypt(account.encryptedPrivateKey, password);
-      walletState.currentPrivateKey = privateKey;
-      walletState.isUnlocked = true;
-    } else {
-      // Just switch account, remain locked
-      walletState.currentPrivateKey = null;
-      walletState.isUnlocked = false;
-    }
-
+    const currentAccount = walletState.accounts[accountIndex];
     walletState.currentAccountIndex = accountIndex;
+    walletState.currentPrivateKey = getAccountKey(currentAccount);
 
     // Save current index
     await chrome.storage.local.set({ currentAccountIndex: accountIndex });
 
-    const currentAccount = walletState.accounts[accountIndex];
     sendResponse({
       success: true,
-      data: { address: currentAccount.address, accountName: currentAccount.name }
+      data: {
+        address: currentAccount.address,
+        accountName: currentAccount.name,
+        needsPassword: walletState.isUnlocked && !walletState.currentPrivateKey
+      }
     });
   } catch (error) {
     sendResponse({
@@ -386,15 +1494,22 @@ async function handleSwitchAccount(data, sendResponse) {
 }
 
 /**
- * Get all accounts
+ * Get the accounts of the active network
+ * Indexes refer to the full account list, as used by SWITCH_ACCOUNT, RENAME_ACCOUNT and DELETE_ACCOUNT
  */
 function handleGetAccounts(sendResponse) {
-  const accounts = walletState.accounts.map((acc, index) => ({
-    index,
-    name: acc.name,
-    address: acc.address,
-    isCurrent: index === walletState.currentAccountIndex
-  }));
+  const accounts = walletState.accounts
+    .map((acc, index) => ({
+      index,
+      name: acc.name,
+      address: acc.address,
+      scriptType: acc.scriptType,
+      network: acc.network,
+      derivationPath: acc.derivationPath || null,
+      needsPassword: Boolean(acc.encryptedPrivateKey),
+      isCurrent: index === walletState.currentAccountIndex
+    }))
+    .filter(acc => acc.network === walletState.network.id);
 
   sendResponse({
     success: true,
@@ -409,7 +1524,8 @@ async function handleRenameAccount(data, sendResponse) {
   try {
     const { accountIndex, newName } = data;
 
-    if (accountIndex < 0 || accountIndex >= walletState.accounts.length) {
+    // Only the active network's accounts are listed, so only they can be renamed
+    if (walletState.accounts[accountIndex]?.network !== walletState.network.id) {
       throw new Error('Invalid account index');
     }
 
@@ -438,31 +1554,39 @@ async function handleDeleteAccount(data, sendResponse) {
   try {
     const { accountIndex } = data;
 
-    if (walletState.accounts.length === 1) {
-      throw new Error('Cannot delete the only account');
+    // Only the active network's accounts are listed, so only they can be deleted
+    if (walletState.accounts[accountIndex]?.network !== walletState.network.id) {
+      throw new Error('Invalid account index');
     }
 
-    if (accountIndex < 0 || accountIndex >= walletState.accounts.length) {
-      throw new Error('Invalid account index');
+    const networkAccounts = walletState.accounts.filter(acc => acc.network === walletState.network.id);
+    if (networkAccounts.length === 1) {
+      throw new Error(`Cannot delete the only ${walletState.network.name} account`);
     }
 
     // Remove account
     walletState.accounts.splice(accountIndex, 1);
 
-    // Adjust current index if needed
+    // Adjust current index if needed, staying on the active network
     if (walletState.currentAccountIndex >= accountIndex) {
       walletState.currentAccountIndex = Math.max(0, walletState.currentAccountIndex - 1);
     }
+    if (!getCurrentAccount()) {
+      walletState.currentAccountIndex = firstAccountIndexOnNetwork();
+    }
 
-    // Lock wallet after deletion
-    walletState.currentPrivateKey = null;
-    walletState.isUnlocked = false;
+    // Save to storage; an open vault also drops the key, otherwise that happens on the next save
+    if (walletState.vaultKey) {
+      await saveVault();
+    } else {
+      await chrome.storage.local.set({
+        accounts: walletState.accounts,
+        currentAccountIndex: walletState.currentAccountIndex
+      });
+    }
 
-    // Save to storage
-    await chrome.storage.local.set({
-      accounts: walletState.accounts,
-      currentAccountIndex: walletState.currentAccountIndex
-    });
+    // Lock wallet after deletion
+    lockWallet();
 
     sendResponse({ success: true });
   } catch (error) {
@@ -478,56 +1602,220 @@ async function handleDeleteAccount(data, sendResponse) {
  */
 async function handleSignTransactionRequest(data, sender, sendResponse) {
   try {
-    const { unsignedTx, details, requestId } = data;
+    const { unsignedTx, details, prevouts, sighashTypes, inputsToSign, requestId } = data;
 
-    if (!walletState.isUnlocked) {
-      throw new Error('Wallet is locked. Please unlock it first.');
-    }
+    assertCurrentKey();
 
-    // Store request
-    pendingSignRequests.set(requestId, {
+    // Wait for user approval
+    const result = await requestUserApproval(requestId, {
+      type: 'transaction',
       unsignedTx,
       details,
-      sender,
-      resolve: null,
-      reject: null
+      prevouts,
+      sighashTypes,
+      inputsToSign,
+      sender
+    });
+
+    sendResponse({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message,
+      code: error.code
     });
+  }
+}
+
+/**
+ * Handle PSBT signing request from web page
+ */
+async function handleSignPsbtRequest(data, sender, sendResponse) {
+  try {
+    const { psbt, finalize = false, inputsToSign, details, requestId } = data;
+
+    assertCurrentKey();
+
+    // Reject malformed PSBTs before opening the signing window
+    const decoded = Psbt.decode(psbt);
+
+    // Sighash types to show: fixed by the PSBT, or requested per input
+    const sighashTypes = decoded.tx.inputs.map((_, i) => Psbt.getSighashType(decoded, i));
 
-    // Create promise to wait for user approval
-    const signaturePromise = new Promise((resolve, reject) => {
-      const request = pendingSignRequests.get(requestId);
-      request.resolve = resolve;
-      request.reject = reject;
-      pendingSignRequests.set(requestId, request);
+    // Spent outputs from the PSBT UTXO fields, for the fee shown in the signing window
+    const prevouts = [];
+    for (let i = 0; i < decoded.tx.inputs.length; i++) {
+      const utxo = await Psbt.getInputUtxo(decoded, i);
+      prevouts.push(utxo ? { value: utxo.value.toString(), script: BitcoinSigner.bytesToHex(utxo.script) } : null);
+    }
+    for (const entry of Array.isArray(inputsToSign) ? inputsToSign : []) {
+      if (entry && typeof entry === 'object' && sighashTypes[entry.index] === null && entry.sighashType !== undefined) {
+        sighashTypes[entry.index] = entry.sighashType;
+      }
+    }
+
+    const result = await requestUserApproval(requestId, {
+      type: 'psbt',
+      psbt,
+      finalize: Boolean(finalize),
+      inputsToSign,
+      unsignedTx: BitcoinSigner.serializeTransaction(decoded.tx, false),
+      details,
+      prevouts,
+      sighashTypes,
+      sender
     });
 
-    // Open signing window
-    const windowUrl = chrome.runtime.getURL('signing.html') + `?requestId=${requestId}`;
+    sendResponse({
+      success: true,
+      data: result
+    });
 
-    chrome.windows.create({
-      url: windowUrl,
-      type: 'popup',
-      width: 400,
-      height: 600,
-      focused: true
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message,
+      code: error.code
     });
+  }
+}
 
-    // Wait for user approval
-    const signedTx = await signaturePromise;
+/**
+ * Handle message signing request from web page
+ * The approval window shows the exact text and the requesting site
+ */
+async function handleSignMessageRequest(data, sender, sendResponse) {
+  try {
+    const { message, address, requestId, format = 'legacy' } = data;
+
+    assertCurrentKey();
+
+    if (typeof message !== 'string' || message.length === 0) {
+      throw requestError('INVALID_PARAMS', 'Message must be a non-empty string');
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      throw requestError('INVALID_PARAMS', `Message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const currentAccount = getCurrentAccount();
+    if (address && address !== currentAccount.address) {
+      throw requestError('INVALID_PARAMS', `Address ${address} is not the current account`);
+    }
+
+    if (!MESSAGE_FORMATS.includes(format)) {
+      throw requestError('INVALID_PARAMS', `Unsupported message format: ${format}`);
+    }
+
+    if (format === 'legacy' && currentAccount.scriptType === 'p2tr') {
+      throw requestError('INVALID_PARAMS', "Taproot addresses cannot sign with the legacy message format; use format 'bip322-simple'");
+    }
+
+    if (format === 'bip322-simple' && currentAccount.scriptType !== 'p2wpkh' && currentAccount.scriptType !== 'p2tr') {
+      throw requestError('INVALID_PARAMS', "BIP322 simple signatures need a native SegWit or Taproot address; use format 'bip322-full'");
+    }
+
+    const result = await requestUserApproval(requestId, {
+      type: 'message',
+      message,
+      format,
+      sender
+    }, 'message.html');
 
     sendResponse({
       success: true,
-      data: { signedTx }
+      data: result
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message,
+      code: error.code
     });
+  }
+}
+
+/**
+ * Verify a signed message against an address of the active network (no approval needed)
+ */
+async function handleVerifyMessage(data, sendResponse) {
+  try {
+    const { message, signature, address, format = 'legacy' } = data;
+
+    if (typeof message !== 'string' || typeof signature !== 'string' || typeof address !== 'string') {
+      throw requestError('INVALID_PARAMS', 'message, signature and address must be strings');
+    }
+
+    if (!MESSAGE_FORMATS.includes(format)) {
+      throw requestError('INVALID_PARAMS', `Unsupported message format: ${format}`);
+    }
+
+    const valid = format === 'legacy'
+      ? await MessageSigner.verify(message, signature, address, walletState.network)
+      : await BitcoinSigner.verifyMessageBip322(message, signature, address, format, walletState.network);
 
+    sendResponse({
+      success: true,
+      data: { valid }
+    });
   } catch (error) {
     sendResponse({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code
     });
   }
 }
 
+/**
+ * Store a pending request and open its approval window
+ * The request is stored under a new random id, so a sender cannot replace a request whose window is open;
+ * its own id is only used to deliver the result after a worker restart (see deliverToTab)
+ * @param {string} clientRequestId - Id the content script gave the request
+ * @param {string} page - signing.html for transactions, message.html for messages
+ * @returns {Promise} Settled when the user approves or rejects
+ */
+function requestUserApproval(clientRequestId, request, page = 'signing.html') {
+  const requestId = crypto.randomUUID();
+
+  // Create promise to wait for user approval
+  const approvalPromise = new Promise((resolve, reject) => {
+    pendingSignRequests.set(requestId, {
+      ...request,
+      clientRequestId,
+      accountId: accountId(getCurrentAccount()), // Includes the network
+      createdAt: Date.now(),
+      resolve,
+      reject
+    });
+  });
+  savePendingRequests();
+
+  // Open signing window
+  const windowUrl = chrome.runtime.getURL(page) + `?requestId=${encodeURIComponent(requestId)}`;
+
+  chrome.windows.create({
+    url: windowUrl,
+    type: 'popup',
+    width: 400,
+    height: 600,
+    focused: true
+  }).then((approvalWindow) => {
+    // Kept so an auto-lock can close the window, and closing it rejects the request
+    const pending = pendingSignRequests.get(requestId);
+    if (pending) {
+      pending.windowId = approvalWindow.id;
+      savePendingRequests();
+    }
+  });
+
+  return approvalPromise;
+}
+
 /**
  * User approved signing
  */
@@ -540,15 +1828,27 @@ async function handleApproveSign(data, sendResponse) {
       throw new Error('Request not found');
     }
 
-    // Sign transaction using backend API (MVP approach)
-    // In production, this would use bitcoinjs-lib locally
-    const signedTx = await signTransactionLocally(request.unsignedTx);
+    const signer = getRequestSigner(request);
+
+    let result;
+    if (request.type === 'message') {
+      result = await signMessageLocally(signer, request.message, request.format);
+    } else if (request.type === 'psbt') {
+      result = await signPsbtLocally(signer, request.psbt, { finalize: request.finalize, inputsToSign: request.inputsToSign });
+    } else {
+      result = await signTransactionLocally(signer, request.unsignedTx, {
+        prevouts: request.prevouts,
+        sighashTypes: request.sighashTypes,
+        inputsToSign: request.inputsToSign
+      });
+    }
 
     // Resolve the promise
-    request.resolve(signedTx);
+    request.resolve(result);
 
     // Clean up
     pendingSignRequests.delete(requestId);
+    savePendingRequests();
 
     sendResponse({ success: true });
   } catch (error) {
@@ -556,6 +1856,7 @@ async function handleApproveSign(data, sendResponse) {
     if (request) {
       request.reject(error);
       pendingSignRequests.delete(data.requestId);
+      savePendingRequests();
     }
 
     sendResponse({
@@ -573,8 +1874,10 @@ function handleRejectSign(data, sendResponse) {
   const request = pendingSignRequests.get(requestId);
 
   if (request) {
-    request.reject(new Error('User rejected transaction'));
+    const message = request.type === 'message' ? 'User rejected message signing' : 'User rejected transaction';
+    request.reject(requestError('USER_REJECTED', message));
     pendingSignRequests.delete(requestId);
+    savePendingRequests();
   }
 
   sendResponse({ success: true });
@@ -584,35 +1887,134 @@ function handleRejectSign(data, sendResponse) {
  * Sign transaction locally in the extension (TRUE EXTERNAL SIGNING)
  * Uses BitcoinSigner with noble-secp256k1 and noble-hashes
  * Private key NEVER leaves the extension!
+ * Only inputs spending the signing account's script are signed
+ * @param {{account: Object, network: Object, privateKeyWif: string}} signer - From getRequestSigner
+ * @param {Object} options
+ * @param {Array<{value: number|string, script: string}>} options.prevouts - Spent outputs (scripts detect ownership)
+ * @param {Array<number|null>} options.sighashTypes - Per-input sighash types (default: ALL)
+ * @param {Array<number|{index: number}>} options.inputsToSign - Optional explicit input indexes
+ * @returns {Promise<{signedTx: string, signedInputs: number[]}>}
  */
-async function signTransactionLocally(unsignedTx) {
+async function signTransactionLocally(signer, unsignedTx, { prevouts = [], sighashTypes = [], inputsToSign } = {}) {
   console.log('[Signing] Using LOCAL signing in extension (no backend key exposure)');
 
-  // Check if wallet is unlocked in memory
-  if (!walletState.isUnlocked || !walletState.currentPrivateKey) {
-    throw new Error('Wallet is locked. Please unlock first.');
-  }
-
-  const privateKeyWif = walletState.currentPrivateKey;
-  const currentAccount = walletState.accounts[walletState.currentAccountIndex];
-  const address = currentAccount.address;
+  const { account, network, privateKeyWif } = signer;
+  const address = account.address;
 
   console.log('[Signing] Wallet address:', address);
   console.log('[Signing] Unsigned TX length:', unsignedTx.length);
 
+  let result;
   try {
     // Sign transaction using our custom BitcoinSigner
-    const signedTx = await BitcoinSigner.signTransaction(privateKeyWif, unsignedTx);
+    result = await BitcoinSigner.signTransaction(privateKeyWif, unsignedTx, {
+      scriptType: account.scriptType,
+      prevouts,
+      sighashTypes,
+      inputsToSign,
+      network
+    });
 
     console.log('[Signing] Transaction signed successfully (LOCAL)');
-    console.log('[Signing] Signed TX length:', signedTx.length);
+    console.log('[Signing] Signed TX length:', result.signedTx.length);
+    console.log('[Signing] Signed inputs:', result.signedInputs);
     console.log('[Signing] ✅ Private key NEVER left the extension!');
-
-    return signedTx;
   } catch (error) {
     console.error('[Signing] Local signing error:', error);
     throw new Error(`Failed to sign transaction locally: ${error.message}`);
   }
+
+  // Never hand a broken transaction to the dapp
+  try {
+    await ScriptInterpreter.verifySignedTransaction(unsignedTx, result.signedTx, prevouts, result.signedInputs);
+    console.log('[Signing] Signed transaction verified');
+  } catch (error) {
+    console.error('[Signing] Verification failed:', error);
+    throw new Error(`Signed transaction failed verification: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Sign the signing account's inputs of a PSBT locally
+ * @returns {Promise<{psbt: string, signedInputs: number[], txHex: string|null}>}
+ */
+async function signPsbtLocally({ account, network, privateKeyWif }, psbt, { finalize, inputsToSign }) {
+  console.log('[Signing] Signing PSBT for', account.address);
+
+  let result;
+  try {
+    result = await BitcoinSigner.signPsbt(privateKeyWif, psbt, {
+      scriptType: account.scriptType,
+      finalize,
+      inputsToSign,
+      network
+    });
+
+    console.log('[Signing] PSBT signed, inputs:', result.signedInputs);
+  } catch (error) {
+    console.error('[Signing] PSBT signing error:', error);
+    throw new Error(`Failed to sign PSBT: ${error.message}`);
+  }
+
+  // Same check as signed transactions, against the spent outputs in the PSBT's UTXO fields
+  try {
+    const { privateKey, compressed } = await BitcoinSigner.parseWIF(privateKeyWif, network);
+    const publicKey = await BitcoinSigner.getPublicKey(privateKey, compressed);
+    await ScriptInterpreter.verifySignedPsbt(result.psbt, result.signedInputs, { scriptType: account.scriptType, publicKey });
+    console.log('[Signing] Signed PSBT inputs verified');
+  } catch (error) {
+    console.error('[Signing] Verification failed:', error);
+    throw new Error(`Signed PSBT failed verification: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Sign a message with the signing account's key
+ * @param {string} format - 'legacy', 'bip322-simple' or 'bip322-full'
+ * @returns {Promise<{address: string, signature: string}>}
+ */
+async function signMessageLocally({ account, network, privateKeyWif }, message, format = 'legacy') {
+  let signature;
+  if (format === 'legacy') {
+    const { privateKey, compressed } = await BitcoinSigner.parseWIF(privateKeyWif, network);
+    signature = await MessageSigner.sign(message, privateKey, account.scriptType, compressed);
+  } else {
+    signature = await BitcoinSigner.signMessageBip322(privateKeyWif, message, {
+      scriptType: account.scriptType,
+      format,
+      network
+    });
+  }
+
+  console.log('[Signing] Message signed for', account.address);
+  return { address: account.address, signature };
+}
+
+/**
+ * Origin of the frame that sent a request, as reported by the browser, for display
+ * Not the tab's URL: the content script's frame is the one that asked
+ */
+function getSenderOrigin(sender) {
+  if (sender?.origin) return sender.origin;
+  try {
+    return new URL(sender?.url).origin;
+  } catch (error) {
+    return 'Unknown site';
+  }
+}
+
+/**
+ * Error with a code for web pages: USER_REJECTED, WALLET_LOCKED or INVALID_PARAMS
+ * Responses to pages carry it as `code`; errors without one reach the page as REQUEST_FAILED
+ */
+function requestError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 }
 
 /**
@@ -620,15 +2022,54 @@ async function signTransactionLocally(unsignedTx) {
  */
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name === 'signing-window') {
-    port.onMessage.addListener((message) => {
+    // Request details are for the approval windows only
+    if (!isExtensionPage(port.sender)) {
+      console.warn('[Background] Rejected signing-window port from', describeSender(port.sender));
+      port.disconnect();
+      return;
+    }
+
+    port.onMessage.addListener(async (message) => {
+      await walletReady;
       if (message.type === 'GET_SIGN_REQUEST') {
         const request = pendingSignRequests.get(message.requestId);
-        if (request) {
+        if (!request) return;
+
+        let account, network;
+        try {
+          ({ account, network } = getRequestAccount(request));
+        } catch (error) {
+          request.reject(error);
+          pendingSignRequests.delete(message.requestId);
+          savePendingRequests();
+          port.postMessage({ type: 'SIGN_REQUEST_ERROR', error: error.message });
+          return;
+        }
+
+        if (request.type === 'message') {
+          port.postMessage({
+            type: 'SIGN_REQUEST_DATA',
+            data: {
+              message: request.message,
+              format: request.format,
+              origin: getSenderOrigin(request.sender),
+              address: account.address,
+              accountName: account.name,
+              network
+            }
+          });
+        } else {
           port.postMessage({
             type: 'SIGN_REQUEST_DATA',
             data: {
               unsignedTx: request.unsignedTx,
-              details: request.details
+              details: request.details,
+              sighashTypes: request.sighashTypes || [],
+              prevouts: request.prevouts || [],
+              address: account.address,
+              network,
+              isPsbt: request.type === 'psbt',
+              finalize: request.finalize
             }
           });
         }
@@ -637,4 +2078,15 @@ chrome.runtime.onConnect.addListener((port) => {
   }
 });
 
+// Runs on every worker start, not only on install and browser startup: an idle worker is stopped and
+// woken again by the next event, with everything in memory gone
+// Session storage holds the unlocked session key: never let content scripts read it, whatever the default
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' }).catch((error) => {
+  console.error('[Background] Failed to restrict session storage:', error);
+});
+
+const walletReady = loadWalletFromStorage().then(restoreSession).catch((error) => {
+  console.error('[Background] Failed to restore session:', error);
+});
+
 console.log('Counterparty Signer background service worker loaded');
@@ -9,113 +9,171 @@ function generateRequestId() {
   return `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 }
 
-// Inject the API script file into the page context
-const script = document.createElement('script');
-script.src = chrome.runtime.getURL('src/content/inject.js');
-script.onload = function() {
-  this.remove();
-};
-(document.head || document.documentElement).appendChild(script);
+// Sign requests waiting for a result pushed by the background (see sendSignRequest)
+const pendingSignResults = new Map();
 
 /**
- * Listen for messages from the page
+ * Send a sign request to the background and wait for the user's answer
+ * If the service worker restarts meanwhile, the response channel closes and the background sends the
+ * result later as a SIGN_REQUEST_RESULT message for the same requestId. Every closed channel is treated
+ * that way, unless the extension itself is gone (reloaded or removed); the page's own timeout ends the wait
  */
-window.addEventListener('message', async (event) => {
-  // Only accept messages from same window
-  if (event.source !== window) return;
-
-  const message = event.data;
-
-  // Handle GET_ADDRESS request
-  if (message.type === 'COUNTERPARTY_WALLET_GET_ADDRESS') {
-    try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_WALLET_STATUS'
-      });
-
-      if (response.success && response.data.hasWallet) {
-        window.postMessage({
-          type: 'COUNTERPARTY_WALLET_RESPONSE',
-          requestId: message.requestId,
-          success: true,
-          data: {
-            address: response.data.address
-          }
-        }, '*');
-      } else {
-        window.postMessage({
-          type: 'COUNTERPARTY_WALLET_RESPONSE',
-          requestId: message.requestId,
-          success: false,
-          error: 'No wallet found. Please create or import a wallet first.'
-        }, '*');
+function sendSignRequest(message) {
+  return new Promise((resolve, reject) => {
+    const { requestId } = message.data;
+    pendingSignResults.set(requestId, resolve);
+
+    chrome.runtime.sendMessage(message).then((response) => {
+      pendingSignResults.delete(requestId);
+      resolve(response);
+    }, (error) => {
+      // An orphaned content script loses its extension id; nothing will ever answer
+      if (!chrome.runtime?.id) {
+        pendingSignResults.delete(requestId);
+        reject(error);
       }
-    } catch (error) {
-      window.postMessage({
-        type: 'COUNTERPARTY_WALLET_RESPONSE',
-        requestId: message.requestId,
-        success: false,
-        error: error.message
-      }, '*');
-    }
+    });
+  });
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'SIGN_REQUEST_RESULT' && pendingSignResults.has(message.requestId)) {
+    pendingSignResults.get(message.requestId)(message.response);
+    pendingSignResults.delete(message.requestId);
   }
+});
 
-  // Handle SIGN_TRANSACTION request
-  else if (message.type === 'COUNTERPARTY_WALLET_SIGN_TRANSACTION') {
-    try {
-      const signRequestId = generateRequestId();
-
-      const response = await chrome.runtime.sendMessage({
-        type: 'SIGN_TRANSACTION',
-        data: {
-          unsignedTx: message.data.unsignedTx,
-          details: message.data.details,
-          requestId: signRequestId
-        }
-      });
-
-      window.postMessage({
-        type: 'COUNTERPARTY_WALLET_RESPONSE',
-        requestId: message.requestId,
-        success: response.success,
-        data: response.data,
-        error: response.error
-      }, '*');
-    } catch (error) {
-      window.postMessage({
-        type: 'COUNTERPARTY_WALLET_RESPONSE',
-        requestId: message.requestId,
-        success: false,
-        error: error.message
-      }, '*');
-    }
+/**
+ * Error with a code the page can act on (see walletError in inject.js)
+ */
+function bridgeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Data of a successful background response; a failure becomes an Error with its code
+ */
+function unwrapResponse(response) {
+  if (!response?.success) {
+    throw bridgeError(response?.code || 'REQUEST_FAILED', response?.error || 'Request failed');
+  }
+  return response.data;
+}
+
+/**
+ * Send a message to the background
+ * A rejected send means the extension was reloaded or updated; this script stays orphaned until the page reloads
+ */
+async function callBackground(message, send = chrome.runtime.sendMessage) {
+  let response;
+  try {
+    response = await send(message);
+  } catch (error) {
+    throw bridgeError('DISCONNECTED', error.message);
+  }
+  return unwrapResponse(response);
+}
+
+// Page requests by method; only the listed parameters are passed on
+const PAGE_REQUESTS = {
+  async GET_ADDRESS() {
+    return await callBackground({ type: 'GET_ADDRESS' });
+  },
+
+  async GET_STATUS() {
+    return await callBackground({ type: 'GET_PAGE_STATUS' });
+  },
+
+  async GET_NETWORK() {
+    return await callBackground({ type: 'GET_NETWORK' });
+  },
+
+  async SIGN_TRANSACTION(params) {
+    return await callBackground({
+      type: 'SIGN_TRANSACTION',
+      data: {
+        unsignedTx: params.unsignedTx,
+        details: params.details,
+        prevouts: params.prevouts,
+        sighashTypes: params.sighashTypes,
+        inputsToSign: params.inputsToSign,
+        requestId: generateRequestId()
+      }
+    }, sendSignRequest);
+  },
+
+  async SIGN_PSBT(params) {
+    return await callBackground({
+      type: 'SIGN_PSBT',
+      data: {
+        psbt: params.psbt,
+        finalize: params.finalize,
+        inputsToSign: params.inputsToSign,
+        details: params.details,
+        requestId: generateRequestId()
+      }
+    }, sendSignRequest);
+  },
+
+  async SIGN_MESSAGE(params) {
+    return await callBackground({
+      type: 'SIGN_MESSAGE',
+      data: {
+        message: params.message,
+        address: params.address,
+        format: params.format,
+        requestId: generateRequestId()
+      }
+    }, sendSignRequest);
+  },
+
+  async VERIFY_MESSAGE(params) {
+    return await callBackground({
+      type: 'VERIFY_MESSAGE',
+      data: {
+        message: params.message,
+        signature: params.signature,
+        address: params.address,
+        format: params.format
+      }
+    });
   }
+};
 
-  // Handle GET_STATUS request
-  else if (message.type === 'COUNTERPARTY_WALLET_GET_STATUS') {
-    try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_WALLET_STATUS'
-      });
-
-      window.postMessage({
-        type: 'COUNTERPARTY_WALLET_RESPONSE',
-        requestId: message.requestId,
-        success: true,
-        data: {
-          isUnlocked: response.data.isUnlocked,
-          hasWallet: response.data.hasWallet
-        }
-      }, '*');
-    } catch (error) {
-      window.postMessage({
-        type: 'COUNTERPARTY_WALLET_RESPONSE',
-        requestId: message.requestId,
-        success: false,
-        error: error.message
-      }, '*');
+// Private channel to the injected API; port2 is handed over once, by the handshake below
+const channel = new MessageChannel();
+
+/**
+ * Answer a request from the injected API with {id, success, data} or {id, success, error: {code, message}}
+ */
+channel.port1.onmessage = async (event) => {
+  const { id, method, params } = event.data || {};
+
+  try {
+    if (!Object.hasOwn(PAGE_REQUESTS, method)) {
+      throw bridgeError('UNSUPPORTED_METHOD', `Unsupported method: ${method}`);
+    }
+    if (params === null || typeof params !== 'object') {
+      throw bridgeError('INVALID_PARAMS', 'Request parameters must be an object');
     }
+
+    const data = await PAGE_REQUESTS[method](params);
+    channel.port1.postMessage({ id, success: true, data });
+  } catch (error) {
+    channel.port1.postMessage({ id, success: false, error: { code: error.code || 'REQUEST_FAILED', message: error.message } });
   }
-});
+};
+
+// Inject the API script file into the page context
+// Once it has run, its handshake listener takes the port; '/' keeps the handshake within this window's origin
+const script = document.createElement('script');
+script.src = chrome.runtime.getURL('src/content/inject.js');
+script.onload = function() {
+  window.postMessage({ type: 'COUNTERPARTY_WALLET_HANDSHAKE' }, '/', [channel.port2]);
+  this.remove();
+};
+(document.head || document.documentElement).appendChild(script);
 
 console.log('Counterparty Wallet content script loaded');
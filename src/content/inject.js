@@ -1,10 +1,93 @@
 /**
  * Injected Script - Runs in page context
  * Creates window.counterpartyWallet API
+ * Talks to the content script over a private MessageChannel port, handed over once by a handshake;
+ * other frames and windows cannot read its results or forge responses
  */
 (function() {
   'use strict';
 
+  // Private port to the content script, set by the handshake
+  let port = null;
+  let nextRequestId = 0;
+  const pendingRequests = new Map();
+
+  let markConnected;
+  const connected = new Promise((resolve) => {
+    markConnected = resolve;
+  });
+
+  /**
+   * Error with a code: USER_REJECTED, WALLET_LOCKED, NO_WALLET, INVALID_PARAMS, UNAUTHORIZED,
+   * UNSUPPORTED_METHOD, TIMEOUT, DISCONNECTED or REQUEST_FAILED
+   */
+  function walletError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Send a request over the port; waits for the handshake, which the timeout also covers
+   */
+  function request(method, params, timeout) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        reject(walletError('TIMEOUT', 'Request timed out'));
+      }, timeout);
+      pendingRequests.set(id, { resolve, reject, timer });
+
+      connected.then(() => {
+        try {
+          port.postMessage({ id, method, params });
+        } catch (error) {
+          // Parameters that cannot be cloned (functions, DOM nodes)
+          clearTimeout(timer);
+          pendingRequests.delete(id);
+          reject(walletError('INVALID_PARAMS', error.message));
+        }
+      });
+    });
+  }
+
+  /**
+   * Settle a pending request with the content script's answer
+   */
+  function handleResponse(event) {
+    const { id, success, data, error } = event.data || {};
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+
+    pendingRequests.delete(id);
+    clearTimeout(pending.timer);
+    if (success) {
+      pending.resolve(data);
+    } else {
+      pending.reject(walletError(error?.code || 'REQUEST_FAILED', error?.message || 'Request failed'));
+    }
+  }
+
+  /**
+   * One-time handshake: the content script posts its port once this script has loaded
+   * Only the first handshake from this window is taken; the listener is removed after it
+   */
+  window.addEventListener('message', function handshake(event) {
+    if (event.source !== window || event.data?.type !== 'COUNTERPARTY_WALLET_HANDSHAKE' || event.ports.length !== 1) {
+      return;
+    }
+    window.removeEventListener('message', handshake);
+    event.stopImmediatePropagation();
+
+    port = event.ports[0];
+    port.onmessage = handleResponse;
+    markConnected();
+
+    // Notify page that wallet is ready
+    window.dispatchEvent(new Event('counterpartyWalletReady'));
+  });
+
   // Create the Counterparty Wallet API
   window.counterpartyWallet = {
     isInstalled: true,
@@ -14,115 +97,93 @@
      * Get wallet address
      */
     async getAddress() {
-      return new Promise((resolve, reject) => {
-        const requestId = 'addr_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
-
-        // Listen for response
-        const handleResponse = (event) => {
-          if (event.data.type === 'COUNTERPARTY_WALLET_RESPONSE' && event.data.requestId === requestId) {
-            window.removeEventListener('message', handleResponse);
-
-            if (event.data.success) {
-              resolve(event.data.data.address);
-            } else {
-              reject(new Error(event.data.error || 'Failed to get address'));
-            }
-          }
-        };
-
-        window.addEventListener('message', handleResponse);
-
-        // Send request to content script
-        window.postMessage({
-          type: 'COUNTERPARTY_WALLET_GET_ADDRESS',
-          requestId
-        }, '*');
-
-        // Timeout after 30 seconds
-        setTimeout(() => {
-          window.removeEventListener('message', handleResponse);
-          reject(new Error('Request timed out'));
-        }, 30000);
-      });
+      const data = await request('GET_ADDRESS', {}, 30000);
+      return data.address;
     },
 
     /**
      * Sign transaction
+     * Only inputs spending the current account's outputs are signed
+     * @returns {Promise<{signedTx: string, signedInputs: number[]}>}
      */
     async signTransaction(params) {
-      if (!params.unsignedTx) {
-        throw new Error('Missing unsignedTx parameter');
+      if (!params || !params.unsignedTx) {
+        throw walletError('INVALID_PARAMS', 'Missing unsignedTx parameter');
       }
 
-      return new Promise((resolve, reject) => {
-        const requestId = 'sign_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
-
-        // Listen for response
-        const handleResponse = (event) => {
-          if (event.data.type === 'COUNTERPARTY_WALLET_RESPONSE' && event.data.requestId === requestId) {
-            window.removeEventListener('message', handleResponse);
-
-            if (event.data.success) {
-              resolve(event.data.data.signedTx);
-            } else {
-              reject(new Error(event.data.error || 'Failed to sign transaction'));
-            }
-          }
-        };
-
-        window.addEventListener('message', handleResponse);
-
-        // Send request to content script
-        window.postMessage({
-          type: 'COUNTERPARTY_WALLET_SIGN_TRANSACTION',
-          requestId,
-          data: params
-        }, '*');
-
-        // Timeout after 5 minutes
-        setTimeout(() => {
-          window.removeEventListener('message', handleResponse);
-          reject(new Error('Request timed out'));
-        }, 300000);
-      });
+      // Timeout after 5 minutes
+      return await request('SIGN_TRANSACTION', params, 300000);
+    },
+
+    /**
+     * Sign PSBT (BIP174)
+     * Only inputs spending the current account's outputs are signed
+     * @param {Object} params
+     * @param {string} params.psbt - PSBT base64 or hex
+     * @param {boolean} params.finalize - Finalize signed inputs (default: false)
+     * @param {Array<number|{index: number}>} params.inputsToSign - Optional explicit input indexes
+     * @returns {Promise<{psbt: string, signedInputs: number[], txHex: string|null}>}
+     */
+    async signPsbt(params) {
+      if (!params || !params.psbt) {
+        throw walletError('INVALID_PARAMS', 'Missing psbt parameter');
+      }
+
+      // Timeout after 5 minutes
+      return await request('SIGN_PSBT', {
+        psbt: params.psbt,
+        finalize: params.finalize === true,
+        inputsToSign: params.inputsToSign,
+        details: params.details
+      }, 300000);
+    },
+
+    /**
+     * Sign a message with the current account, as a base64 "Bitcoin Signed Message" or BIP322 signature
+     * The user approves the exact text in a window that also shows this site
+     * @param {string} message - Text to sign
+     * @param {Object} options
+     * @param {string} options.address - Address expected to sign; must be the current account
+     * @param {string} options.format - 'legacy' (default, not for Taproot), 'bip322-simple' (native SegWit
+     *   and Taproot) or 'bip322-full'
+     * @returns {Promise<{address: string, signature: string}>}
+     */
+    async signMessage(message, options = {}) {
+      if (typeof message !== 'string' || message.length === 0) {
+        throw walletError('INVALID_PARAMS', 'Missing message parameter');
+      }
+
+      // Timeout after 5 minutes
+      return await request('SIGN_MESSAGE', { message, address: options.address, format: options.format }, 300000);
+    },
+
+    /**
+     * Verify a signed message against an address of the active network
+     * @param {Object} options
+     * @param {string} options.format - Signature format: 'legacy' (default), 'bip322-simple' or 'bip322-full'
+     * @returns {Promise<boolean>}
+     */
+    async verifyMessage(message, signature, address, options = {}) {
+      const data = await request('VERIFY_MESSAGE', { message, signature, address, format: options.format }, 10000);
+      return data.valid;
+    },
+
+    /**
+     * Get the active network
+     * @returns {Promise<{id: string, name: string, bech32: string, pubKeyHash: number, scriptHash: number, custom: boolean}>}
+     */
+    async getNetwork() {
+      return await request('GET_NETWORK', {}, 10000);
     },
 
     /**
      * Check if wallet is unlocked
      */
     async isUnlocked() {
-      return new Promise((resolve, reject) => {
-        const requestId = 'status_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
-
-        const handleResponse = (event) => {
-          if (event.data.type === 'COUNTERPARTY_WALLET_RESPONSE' && event.data.requestId === requestId) {
-            window.removeEventListener('message', handleResponse);
-
-            if (event.data.success) {
-              resolve(event.data.data.isUnlocked);
-            } else {
-              reject(new Error(event.data.error || 'Failed to check status'));
-            }
-          }
-        };
-
-        window.addEventListener('message', handleResponse);
-
-        window.postMessage({
-          type: 'COUNTERPARTY_WALLET_GET_STATUS',
-          requestId
-        }, '*');
-
-        setTimeout(() => {
-          window.removeEventListener('message', handleResponse);
-          reject(new Error('Request timed out'));
-        }, 10000);
-      });
+      const data = await request('GET_STATUS', {}, 10000);
+      return data.isUnlocked;
     }
   };
 
-  // Notify page that wallet is ready
-  window.dispatchEvent(new Event('counterpartyWalletReady'));
-
   console.log('✅ Counterparty Wallet API injected');
 })();
@@ -0,0 +1,85 @@
+/**
+ * Gap-limit account discovery for restored HD seeds
+ * Walks the indexes of a derivation path and stops after a run of unused addresses
+ * Address usage comes from a checker: the network's transaction history API, or a local stand-in
+ */
+
+class AccountDiscovery {
+  // BIP44 recommends 20
+  static DEFAULT_GAP_LIMIT = 20;
+
+  static MAX_GAP_LIMIT = 100;
+
+  /**
+   * Scan one derivation chain
+   * @param {Object} options
+   * @param {function(number): Promise<{address: string}>} options.derive - Derive the entry at an index
+   * @param {function(string): Promise<boolean>} options.isUsed - Whether an address has been used
+   * @param {number} options.gapLimit - Consecutive unused addresses that end the scan
+   * @param {number} options.startIndex - First index to check (default: 0)
+   * @returns {Promise<Array<Object>>} Derived entries of the used addresses, in index order
+   */
+  static async scan({ derive, isUsed, gapLimit = this.DEFAULT_GAP_LIMIT, startIndex = 0 }) {
+    this.assertGapLimit(gapLimit);
+
+    const used = [];
+    let gap = 0;
+    for (let index = startIndex; gap < gapLimit; index++) {
+      const entry = await derive(index);
+      if (await isUsed(entry.address)) {
+        used.push(entry);
+        gap = 0;
+      } else {
+        gap++;
+      }
+    }
+
+    console.log(`[AccountDiscovery] Found ${used.length} used address(es) before a gap of ${gapLimit}`);
+    return used;
+  }
+
+  /**
+   * Checker backed by an Esplora-compatible address API (mempool.space, Blockstream)
+   * An address counts as used when it has any confirmed or mempool transaction, so addresses that were
+   * emptied since still count. API errors are thrown rather than read as "unused", which would end the scan early
+   */
+  static createHistoryChecker(baseUrl) {
+    return async (address) => {
+      let data;
+      try {
+        const response = await fetch(`${baseUrl}/address/${encodeURIComponent(address)}`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        data = await response.json();
+      } catch (error) {
+        throw new Error(`Address history API unavailable: ${error.message}`);
+      }
+
+      const txCount = (data.chain_stats?.tx_count ?? NaN) + (data.mempool_stats?.tx_count ?? 0);
+      if (!Number.isInteger(txCount)) {
+        throw new Error(`Address history API returned no transaction count for ${address}`);
+      }
+      return txCount > 0;
+    };
+  }
+
+  /**
+   * Checker that treats a fixed list of addresses as used (offline development and testing)
+   */
+  static createLocalChecker(usedAddresses) {
+    const used = new Set(usedAddresses);
+    return async (address) => used.has(address);
+  }
+
+  static assertGapLimit(gapLimit) {
+    if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > this.MAX_GAP_LIMIT) {
+      throw new Error(`Gap limit must be between 1 and ${this.MAX_GAP_LIMIT}`);
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountDiscovery;
+}
@@ -0,0 +1,167 @@
+/**
+ * Address codec: Base58Check (P2PKH, P2SH) and bech32/bech32m (SegWit, Taproot) addresses
+ * to scriptPubKeys and back, for a given network profile
+ * Requires Bech32 (bech32.js), Networks (networks.js) and BitcoinSigner (bitcoin-simple.js) for Base58Check
+ */
+
+class AddressCodec {
+  /**
+   * Address of a script template and its hash or witness program
+   * @param {string} type - p2pkh, p2sh, p2wpkh, p2wsh or p2tr
+   * @param {Uint8Array} hash - 20-byte hash (p2pkh, p2sh, p2wpkh) or 32-byte program (p2wsh, p2tr)
+   */
+  static async encode(type, hash, network = Networks.MAINNET) {
+    const expectedLength = { p2pkh: 20, p2sh: 20, p2wpkh: 20, p2wsh: 32, p2tr: 32 }[type];
+    if (!expectedLength) {
+      throw new Error(`Unsupported address type: ${type}`);
+    }
+    if (hash.length !== expectedLength) {
+      throw new Error(`Invalid ${type} hash: expected ${expectedLength} bytes, got ${hash.length}`);
+    }
+
+    switch (type) {
+      case 'p2pkh':
+        return await BitcoinSigner.base58CheckEncode(new Uint8Array([network.pubKeyHash, ...hash]));
+      case 'p2sh':
+        return await BitcoinSigner.base58CheckEncode(new Uint8Array([network.scriptHash, ...hash]));
+      case 'p2tr':
+        return Bech32.encodeSegwitAddress(network.bech32, 1, hash);
+      default:
+        return Bech32.encodeSegwitAddress(network.bech32, 0, hash);
+    }
+  }
+
+  /**
+   * Decode an address of the given network
+   * Addresses of other known networks are rejected by name
+   * @param {Array<Object>} knownNetworks - Custom profiles to recognize besides the built-ins
+   * @returns {Promise<{type: string, hash: Uint8Array, version?: number, script: Uint8Array}>}
+   *   version is set for SegWit addresses; type 'witness' is a valid but unassigned program (v1 not 32 bytes, v2-v16)
+   */
+  static async decode(address, network = Networks.MAINNET, knownNetworks = []) {
+    if (typeof address !== 'string' || address.length === 0) {
+      throw new Error('Invalid address: empty');
+    }
+    if (/\s/.test(address)) {
+      throw new Error('Invalid address: contains whitespace');
+    }
+
+    const others = [...Networks.BUILTIN, ...knownNetworks].filter(profile => profile.id !== network.id);
+
+    if (address.toLowerCase().startsWith(`${network.bech32}1`)) {
+      return this.decodeSegwit(address, network);
+    }
+
+    // Well-formed bech32 with another prefix: name the network it belongs to
+    let bech32 = null;
+    let bech32Error = null;
+    try {
+      bech32 = Bech32.decode(address);
+    } catch (error) {
+      bech32Error = error;
+    }
+    if (bech32) {
+      const owners = others.filter(profile => profile.bech32 === bech32.hrp);
+      if (owners.length > 0) {
+        throw this.wrongNetworkError(owners, network);
+      }
+      throw new Error(`Invalid address: unknown prefix '${bech32.hrp}' (expected '${network.bech32}')`);
+    }
+
+    let payload;
+    try {
+      payload = await BitcoinSigner.base58CheckDecode(address);
+    } catch (error) {
+      // Not Base58 either: for strings that look like bech32 its error (checksum, mixed case) says more
+      const lower = address.toLowerCase();
+      const bech32Like = others.some(profile => lower.startsWith(`${profile.bech32}1`)) || /[0OIl]/.test(address);
+      throw bech32Like ? bech32Error : error;
+    }
+    if (payload.length !== 21) {
+      throw new Error(`Invalid address: Base58Check payload is ${payload.length} bytes, expected 21`);
+    }
+
+    const version = payload[0];
+    const hash = payload.slice(1);
+    if (version === network.pubKeyHash) {
+      return { type: 'p2pkh', hash, script: BitcoinSigner.createP2PKHScript(hash) };
+    }
+    if (version === network.scriptHash) {
+      return { type: 'p2sh', hash, script: BitcoinSigner.createP2SHScript(hash) };
+    }
+
+    const owners = others.filter(profile => profile.pubKeyHash === version || profile.scriptHash === version);
+    if (owners.length > 0) {
+      throw this.wrongNetworkError(owners, network);
+    }
+    throw new Error(`Invalid address: unknown version byte 0x${version.toString(16).padStart(2, '0')}`);
+  }
+
+  /**
+   * scriptPubKey an address pays to
+   */
+  static async toScriptPubKey(address, network = Networks.MAINNET, knownNetworks = []) {
+    const { script } = await this.decode(address, network, knownNetworks);
+    return script;
+  }
+
+  /**
+   * Address paid by a scriptPubKey, or null (OP_RETURN, bare multisig, non-standard)
+   */
+  static async fromScriptPubKey(script, network = Networks.MAINNET) {
+    const { type, hash } = BitcoinSigner.classifyScript(script);
+    if (type === 'p2pkh' || type === 'p2sh' || type === 'p2wpkh' || type === 'p2wsh' || type === 'p2tr') {
+      return await this.encode(type, hash, network);
+    }
+
+    // Other witness programs: OP_1..OP_16 followed by a single 2-40 byte push
+    const version = script[0] >= 0x51 && script[0] <= 0x60 ? script[0] - 0x50 : -1;
+    if (version >= 1 && script.length >= 4 && script.length <= 42 && script[1] === script.length - 2) {
+      return Bech32.encodeSegwitAddress(network.bech32, version, script.slice(2));
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an address without throwing, for form validation
+   * @returns {Promise<{valid: boolean, type?: string, error?: string}>}
+   */
+  static async validate(address, network = Networks.MAINNET, knownNetworks = []) {
+    try {
+      const { type } = await this.decode(address, network, knownNetworks);
+      return { valid: true, type };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Decode a bech32/bech32m address with the network's prefix
+   * Bech32 reports mixed case and checksum errors; decodeSegwitAddress the witness version rules (BIP350)
+   */
+  static decodeSegwit(address, network) {
+    const { version, program } = Bech32.decodeSegwitAddress(network.bech32, address);
+
+    let type = 'witness';
+    if (version === 0) {
+      type = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+    } else if (version === 1 && program.length === 32) {
+      type = 'p2tr';
+    }
+
+    const opcode = version === 0 ? 0x00 : 0x50 + version;
+    const script = new Uint8Array([opcode, program.length, ...program]);
+    return { type, hash: program, version, script };
+  }
+
+  static wrongNetworkError(owners, network) {
+    const names = owners.map(profile => profile.name).join(' or ');
+    return new Error(`Wrong network: this is a ${names} address, but the wallet is on ${network.name}`);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AddressCodec;
+}
@@ -0,0 +1,166 @@
+/**
+ * Bech32 (BIP173) and Bech32m (BIP350) encoding for native SegWit addresses
+ * Witness v0 addresses use bech32, v1+ (Taproot) use bech32m
+ */
+
+class Bech32 {
+  static CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+  static GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+  // Checksum constants per encoding variant
+  static CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+
+  /**
+   * BCH checksum over 5-bit values
+   */
+  static polymod(values) {
+    let chk = 1;
+    for (const value of values) {
+      const top = chk >>> 25;
+      chk = ((chk & 0x1ffffff) << 5) ^ value;
+      for (let i = 0; i < 5; i++) {
+        if ((top >>> i) & 1) chk ^= this.GENERATOR[i];
+      }
+    }
+    return chk >>> 0;
+  }
+
+  /**
+   * Expand human-readable part for checksum computation
+   */
+  static hrpExpand(hrp) {
+    const result = [];
+    for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+    result.push(0);
+    for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+    return result;
+  }
+
+  /**
+   * Compute the 6-character checksum for the given encoding variant
+   */
+  static createChecksum(hrp, data, encoding) {
+    const values = [...this.hrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0];
+    const mod = (this.polymod(values) ^ this.CONSTANTS[encoding]) >>> 0;
+    const checksum = [];
+    for (let i = 0; i < 6; i++) checksum.push((mod >>> (5 * (5 - i))) & 31);
+    return checksum;
+  }
+
+  /**
+   * Encode 5-bit data with human-readable part
+   * @param {string} encoding - 'bech32' or 'bech32m'
+   */
+  static encode(hrp, data, encoding = 'bech32') {
+    const combined = [...data, ...this.createChecksum(hrp, data, encoding)];
+    return hrp + '1' + combined.map(d => this.CHARSET[d]).join('');
+  }
+
+  /**
+   * Decode bech32 or bech32m string
+   * @returns {{hrp: string, data: number[], encoding: string}} 5-bit data without checksum
+   */
+  static decode(str) {
+    if (str.length > 90) {
+      throw new Error('Invalid bech32: too long');
+    }
+    if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+      throw new Error('Invalid bech32: mixed case');
+    }
+
+    const lower = str.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length) {
+      throw new Error('Invalid bech32: missing separator or checksum');
+    }
+
+    const hrp = lower.slice(0, separator);
+    const data = [];
+    for (const char of lower.slice(separator + 1)) {
+      const value = this.CHARSET.indexOf(char);
+      if (value === -1) throw new Error(`Invalid bech32 character '${char}'`);
+      data.push(value);
+    }
+
+    const check = this.polymod([...this.hrpExpand(hrp), ...data]);
+    const encoding = Object.keys(this.CONSTANTS).find(name => this.CONSTANTS[name] === check);
+    if (!encoding) {
+      throw new Error('Invalid bech32: checksum mismatch');
+    }
+
+    return { hrp, data: data.slice(0, -6), encoding };
+  }
+
+  /**
+   * Regroup bits (e.g. 8-bit bytes to 5-bit words and back)
+   */
+  static convertBits(data, fromBits, toBits, pad) {
+    let acc = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+      acc = (acc << fromBits) | value;
+      bits += fromBits;
+      while (bits >= toBits) {
+        bits -= toBits;
+        result.push((acc >>> bits) & maxValue);
+      }
+    }
+
+    if (pad) {
+      if (bits > 0) result.push((acc << (toBits - bits)) & maxValue);
+    } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+      throw new Error('Invalid bech32: non-zero padding');
+    }
+
+    return result;
+  }
+
+  /**
+   * Encode SegWit address from witness version and program
+   */
+  static encodeSegwitAddress(hrp, version, program) {
+    const encoding = version === 0 ? 'bech32' : 'bech32m';
+    return this.encode(hrp, [version, ...this.convertBits(program, 8, 5, true)], encoding);
+  }
+
+  /**
+   * Decode SegWit address
+   * @returns {{version: number, program: Uint8Array}}
+   */
+  static decodeSegwitAddress(hrp, address) {
+    const decoded = this.decode(address);
+    if (decoded.hrp !== hrp) {
+      throw new Error(`Invalid address: expected prefix '${hrp}', got '${decoded.hrp}'`);
+    }
+    if (decoded.data.length === 0) {
+      throw new Error('Invalid address: empty witness data');
+    }
+
+    const version = decoded.data[0];
+    const program = new Uint8Array(this.convertBits(decoded.data.slice(1), 5, 8, false));
+
+    if (version > 16) {
+      throw new Error(`Invalid address: witness version ${version}`);
+    }
+    if ((version === 0) !== (decoded.encoding === 'bech32')) {
+      throw new Error(`Invalid address: witness v${version} must use ${version === 0 ? 'bech32' : 'bech32m'} checksum`);
+    }
+    if (program.length < 2 || program.length > 40) {
+      throw new Error('Invalid address: witness program length');
+    }
+    if (version === 0 && program.length !== 20 && program.length !== 32) {
+      throw new Error('Invalid address: v0 witness program must be 20 or 32 bytes');
+    }
+
+    return { version, program };
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bech32;
+}
@@ -0,0 +1,223 @@
+/**
+ * BIP32 hierarchical deterministic keys
+ * Master key from seed, private/public child derivation, xprv/xpub serialization
+ * Requires nobleSecp256k1, BitcoinSigner (bitcoin-simple.js) and Networks (networks.js)
+ */
+
+class Bip32 {
+  static HARDENED_OFFSET = 0x80000000;
+
+  // BIP44/49/84/86 purpose per account script type
+  static PURPOSES = { 'p2pkh': 44, 'p2sh-p2wpkh': 49, 'p2wpkh': 84, 'p2tr': 86 };
+
+  /**
+   * Master node from a BIP39 seed (16-64 bytes)
+   * @returns {Promise<{privateKey: Uint8Array|null, publicKey: Uint8Array, chainCode: Uint8Array,
+   *   depth: number, index: number, parentFingerprint: number}>}
+   */
+  static async fromSeed(seed) {
+    if (seed.length < 16 || seed.length > 64) {
+      throw new Error('Seed must be between 16 and 64 bytes');
+    }
+
+    const I = await this.hmacSha512(new TextEncoder().encode('Bitcoin seed'), seed);
+    const privateKey = I.slice(0, 32);
+    if (!this.isValidPrivateKey(privateKey)) {
+      throw new Error('Seed produces an invalid master key');
+    }
+
+    return this.createNode(privateKey, null, I.slice(32), 0, 0, 0);
+  }
+
+  /**
+   * Derive a node from a path such as m/84'/0'/0'/0/0 (' or h marks hardened levels)
+   */
+  static async derivePath(node, path) {
+    const levels = path.trim().split('/');
+    if (levels[0] !== 'm' && levels[0] !== 'M') {
+      throw new Error(`Invalid derivation path: ${path}`);
+    }
+    if (levels.length > 1 && node.depth !== 0) {
+      throw new Error('Absolute derivation path requires the master node');
+    }
+
+    for (const level of levels.slice(1)) {
+      const match = /^(\d+)(['hH]?)$/.exec(level);
+      if (!match || Number(match[1]) >= this.HARDENED_OFFSET) {
+        throw new Error(`Invalid derivation path level '${level}' in ${path}`);
+      }
+      node = await this.deriveChild(node, Number(match[1]) + (match[2] ? this.HARDENED_OFFSET : 0));
+    }
+
+    return node;
+  }
+
+  /**
+   * Child key derivation: CKDpriv for private nodes, CKDpub for public-only nodes
+   */
+  static async deriveChild(node, index) {
+    if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+      throw new Error(`Invalid child index: ${index}`);
+    }
+
+    const hardened = index >= this.HARDENED_OFFSET;
+    if (hardened && !node.privateKey) {
+      throw new Error('Cannot derive a hardened child from a public key');
+    }
+
+    // Hardened: 0x00 || k_par || index, normal: K_par || index
+    const data = new Uint8Array(37);
+    if (hardened) {
+      data.set(node.privateKey, 1);
+    } else {
+      data.set(node.publicKey, 0);
+    }
+    new DataView(data.buffer).setUint32(33, index, false);
+
+    const I = await this.hmacSha512(node.chainCode, data);
+    const IL = I.slice(0, 32);
+    const chainCode = I.slice(32);
+
+    // IL >= n or a zero/infinity child is invalid; BIP32 says to move on to the next index
+    const tweak = BigInt('0x' + BitcoinSigner.bytesToHex(IL));
+    if (tweak >= nobleSecp256k1.CURVE.n) {
+      throw new Error(`Child ${index} is invalid, use the next index`);
+    }
+
+    const parentFingerprint = await this.fingerprint(node);
+
+    if (node.privateKey) {
+      const parentKey = BigInt('0x' + BitcoinSigner.bytesToHex(node.privateKey));
+      const childKey = nobleSecp256k1.utils.mod(parentKey + tweak, nobleSecp256k1.CURVE.n);
+      if (childKey === 0n) {
+        throw new Error(`Child ${index} is invalid, use the next index`);
+      }
+      const privateKey = BitcoinSigner.hexToBytes(childKey.toString(16).padStart(64, '0'));
+      return this.createNode(privateKey, null, chainCode, node.depth + 1, index, parentFingerprint);
+    }
+
+    let point;
+    try {
+      point = nobleSecp256k1.Point.fromPrivateKey(IL).add(nobleSecp256k1.Point.fromHex(node.publicKey));
+      point.assertValidity();
+    } catch (error) {
+      throw new Error(`Child ${index} is invalid, use the next index`);
+    }
+    return this.createNode(null, point.toRawBytes(true), chainCode, node.depth + 1, index, parentFingerprint);
+  }
+
+  /**
+   * Path of the index-th receive address for a script type: m/purpose'/coin'/0'/0/index
+   */
+  static getAccountPath(scriptType, index, coinType = 0) {
+    const purpose = this.PURPOSES[scriptType];
+    if (!purpose) {
+      throw new Error(`Unsupported script type: ${scriptType}`);
+    }
+    return `m/${purpose}'/${coinType}'/0'/0/${index}`;
+  }
+
+  /**
+   * Serialize node as xprv (private) or xpub, using the network's version bytes (tprv/tpub on testnet)
+   */
+  static async toExtendedKey(node, isPrivate = Boolean(node.privateKey), network = Networks.MAINNET) {
+    if (isPrivate && !node.privateKey) {
+      throw new Error('Cannot serialize a public-only node as xprv');
+    }
+
+    const bytes = new Uint8Array(78);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, isPrivate ? network.bip32.private : network.bip32.public, false);
+    bytes[4] = node.depth;
+    view.setUint32(5, node.parentFingerprint, false);
+    view.setUint32(9, node.index, false);
+    bytes.set(node.chainCode, 13);
+    if (isPrivate) {
+      bytes.set(node.privateKey, 46); // 0x00 padding at byte 45
+    } else {
+      bytes.set(node.publicKey, 45);
+    }
+
+    return await BitcoinSigner.base58CheckEncode(bytes);
+  }
+
+  /**
+   * Parse xprv or xpub for the given network
+   */
+  static async fromExtendedKey(extendedKey, network = Networks.MAINNET) {
+    const bytes = await BitcoinSigner.base58CheckDecode(extendedKey);
+    if (bytes.length !== 78) {
+      throw new Error('Invalid extended key: wrong length');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const version = view.getUint32(0, false);
+    const depth = bytes[4];
+    const parentFingerprint = view.getUint32(5, false);
+    const index = view.getUint32(9, false);
+    const chainCode = bytes.slice(13, 45);
+    const key = bytes.slice(45);
+
+    if (depth === 0 && (parentFingerprint !== 0 || index !== 0)) {
+      throw new Error('Invalid extended key: master key with parent fingerprint or index');
+    }
+
+    if (version === network.bip32.private) {
+      if (key[0] !== 0x00 || !this.isValidPrivateKey(key.slice(1))) {
+        throw new Error('Invalid extended key: bad private key');
+      }
+      return this.createNode(key.slice(1), null, chainCode, depth, index, parentFingerprint);
+    }
+
+    if (version === network.bip32.public) {
+      try {
+        nobleSecp256k1.Point.fromHex(key).assertValidity();
+      } catch (error) {
+        throw new Error('Invalid extended key: bad public key');
+      }
+      if (key[0] !== 0x02 && key[0] !== 0x03) {
+        throw new Error('Invalid extended key: public key must be compressed');
+      }
+      return this.createNode(null, key, chainCode, depth, index, parentFingerprint);
+    }
+
+    throw new Error(`Invalid extended key: version 0x${version.toString(16)} is not a ${network.name} key`);
+  }
+
+  /**
+   * First 4 bytes of HASH160 of the node's public key, as uint32
+   */
+  static async fingerprint(node) {
+    const hash = await BitcoinSigner.hash160(node.publicKey);
+    return new DataView(hash.buffer, hash.byteOffset).getUint32(0, false);
+  }
+
+  static createNode(privateKey, publicKey, chainCode, depth, index, parentFingerprint) {
+    if (depth > 255) {
+      throw new Error('Derivation depth exceeds 255');
+    }
+    return {
+      privateKey,
+      publicKey: publicKey || nobleSecp256k1.getPublicKey(privateKey, true),
+      chainCode,
+      depth,
+      index,
+      parentFingerprint
+    };
+  }
+
+  static isValidPrivateKey(privateKey) {
+    const value = BigInt('0x' + BitcoinSigner.bytesToHex(privateKey));
+    return value > 0n && value < nobleSecp256k1.CURVE.n;
+  }
+
+  static async hmacSha512(key, data) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bip32;
+}
@@ -5,54 +5,249 @@
 
 // Import noble-secp256k1 (will be loaded via importScripts)
 // This is a minimal, audited secp256k1 implementation
+// Requires ByteReader/ByteWriter from byte-stream.js, Networks from networks.js,
+// AddressCodec from address-codec.js (with Bech32 from bech32.js) and Psbt from psbt.js;
+// BIP322 verification also needs ScriptInterpreter from script-interpreter.js
 
 class BitcoinSigner {
+  /**
+   * Supported account script types
+   * p2pkh: legacy (1...), p2sh-p2wpkh: nested SegWit (3...), p2wpkh: native SegWit (bc1q...),
+   * p2tr: Taproot key-path (bc1p...)
+   */
+  static SCRIPT_TYPES = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+  // Signature hash types
+  static SIGHASH_DEFAULT = 0x00; // Taproot only: ALL without the trailing byte
+  static SIGHASH_ALL = 0x01;
+  static SIGHASH_NONE = 0x02;
+  static SIGHASH_SINGLE = 0x03;
+  static SIGHASH_ANYONECANPAY = 0x80;
+
   /**
    * Decode WIF private key to raw bytes
    */
-  static decodeWIF(wif) {
-    // Base58 alphabet
+  static async decodeWIF(wif, network = Networks.MAINNET) {
+    const { privateKey } = await this.parseWIF(wif, network);
+    return privateKey;
+  }
+
+  /**
+   * Parse and validate WIF private key
+   * Checks the Base58Check checksum, the network's version byte, compression flag and key range
+   * @returns {Promise<{privateKey: Uint8Array, compressed: boolean}>}
+   */
+  static async parseWIF(wif, network = Networks.MAINNET) {
+    const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+    if (typeof wif !== 'string' || wif.length === 0) {
+      throw new Error('Invalid WIF: empty private key');
+    }
+
+    const bytes = await this.base58CheckDecode(wif);
+
+    // WIF format: [version(1)][private_key(32)][compressed_flag(1), optional]
+    if (bytes[0] !== network.wif) {
+      const hex = value => `0x${value.toString(16).padStart(2, '0')}`;
+      throw new Error(`Invalid WIF: version byte ${hex(bytes[0])} is not a ${network.name} key (expected ${hex(network.wif)})`);
+    }
+
+    let compressed;
+    if (bytes.length === 34) {
+      if (bytes[33] !== 0x01) {
+        throw new Error('Invalid WIF: bad compression flag');
+      }
+      compressed = true;
+    } else if (bytes.length === 33) {
+      compressed = false;
+    } else {
+      throw new Error('Invalid WIF: wrong length');
+    }
+
+    const privateKey = bytes.slice(1, 33);
+    const value = BigInt('0x' + this.bytesToHex(privateKey));
+    if (value === 0n || value >= CURVE_ORDER) {
+      throw new Error('Invalid WIF: private key out of range');
+    }
+
+    return { privateKey, compressed };
+  }
+
+  /**
+   * Generate a new random private key
+   * Uses the CSPRNG and rejects values outside the secp256k1 range [1, n-1]
+   * @returns {string} Private key hex (32 bytes)
+   */
+  static generatePrivateKey() {
+    const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+    // Rejection sampling: the chance of a retry is about 2^-128
+    while (true) {
+      const candidate = crypto.getRandomValues(new Uint8Array(32));
+      const value = BigInt('0x' + this.bytesToHex(candidate));
+
+      if (value > 0n && value < CURVE_ORDER) {
+        return this.bytesToHex(candidate);
+      }
+    }
+  }
+
+  /**
+   * Encode raw private key as WIF
+   * @param {string|Uint8Array} privateKey - Private key hex or bytes
+   * @param {boolean} compressed - Append the compressed public key flag
+   * @param {Object} network - Network profile (default: mainnet)
+   * @returns {string} WIF private key
+   */
+  static async encodeWIF(privateKey, compressed = true, network = Networks.MAINNET) {
+    const privateKeyBytes = typeof privateKey === 'string' ? this.hexToBytes(privateKey) : privateKey;
+
+    if (privateKeyBytes.length !== 32) {
+      throw new Error('Private key must be 32 bytes');
+    }
+
+    // WIF format: [version(1)][private_key(32)][compressed_flag(1)]
+    const payload = compressed
+      ? new Uint8Array([network.wif, ...privateKeyBytes, 0x01])
+      : new Uint8Array([network.wif, ...privateKeyBytes]);
+
+    return await this.base58CheckEncode(payload);
+  }
+
+  /**
+   * Derive address from private key
+   * @param {string|Uint8Array} privateKey - Private key hex or bytes
+   * @param {string} scriptType - One of SCRIPT_TYPES (default: p2pkh)
+   * @param {boolean} compressed - Use the compressed public key (uncompressed keys are P2PKH only)
+   * @param {Object} network - Network profile (default: mainnet)
+   * @returns {string} Address
+   */
+  static async deriveAddress(privateKey, scriptType = 'p2pkh', compressed = true, network = Networks.MAINNET) {
+    const privateKeyBytes = typeof privateKey === 'string' ? this.hexToBytes(privateKey) : privateKey;
+    this.assertKeyFormat(scriptType, compressed);
+
+    if (scriptType === 'p2tr') {
+      // Witness version 1, BIP86 tweaked x-only output key
+      const { outputKey } = await this.getTaprootKeys(privateKeyBytes);
+      return await AddressCodec.encode('p2tr', outputKey, network);
+    }
+
+    const publicKey = await this.getPublicKey(privateKeyBytes, compressed);
+    const publicKeyHash = await this.hash160(publicKey);
+
+    switch (scriptType) {
+      case 'p2pkh':
+        return await AddressCodec.encode('p2pkh', publicKeyHash, network);
+
+      case 'p2sh-p2wpkh': {
+        // P2SH of the P2WPKH redeemScript
+        const scriptHash = await this.hash160(this.createP2WPKHScript(publicKeyHash));
+        return await AddressCodec.encode('p2sh', scriptHash, network);
+      }
+
+      case 'p2wpkh':
+        // Witness version 0, 20-byte key hash
+        return await AddressCodec.encode('p2wpkh', publicKeyHash, network);
+
+      default:
+        throw new Error(`Unsupported script type: ${scriptType}`);
+    }
+  }
+
+  /**
+   * Encode bytes as Base58
+   */
+  static base58Encode(bytes) {
     const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
 
-    // Decode base58
-    let decoded = 0n;
-    for (let i = 0; i < wif.length; i++) {
-      const char = wif[i];
-      const value = ALPHABET.indexOf(char);
-      if (value === -1) throw new Error('Invalid WIF character');
-      decoded = decoded * 58n + BigInt(value);
+    let value = bytes.length > 0 ? BigInt('0x' + this.bytesToHex(bytes)) : 0n;
+    let encoded = '';
+    while (value > 0n) {
+      encoded = ALPHABET[Number(value % 58n)] + encoded;
+      value = value / 58n;
     }
 
-    // Convert to hex and then bytes
-    let hex = decoded.toString(16);
+    // Each leading zero byte is encoded as '1'
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+      encoded = '1' + encoded;
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Encode payload with a 4-byte double-SHA256 checksum as Base58
+   */
+  static async base58CheckEncode(payload) {
+    const checksum = (await this.doubleSha256(payload)).slice(0, 4);
+    return this.base58Encode(new Uint8Array([...payload, ...checksum]));
+  }
+
+  /**
+   * Decode Base58 string to bytes
+   */
+  static base58Decode(str) {
+    const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+    let value = 0n;
+    for (let i = 0; i < str.length; i++) {
+      const digit = ALPHABET.indexOf(str[i]);
+      if (digit === -1) throw new Error(`Invalid Base58 character '${str[i]}'`);
+      value = value * 58n + BigInt(digit);
+    }
+
+    let hex = value > 0n ? value.toString(16) : '';
     if (hex.length % 2) hex = '0' + hex;
 
-    const bytes = this.hexToBytes(hex);
+    // Each leading '1' is a zero byte
+    let leadingZeros = 0;
+    while (leadingZeros < str.length && str[leadingZeros] === '1') leadingZeros++;
+
+    return new Uint8Array([...new Uint8Array(leadingZeros), ...this.hexToBytes(hex)]);
+  }
+
+  /**
+   * Decode Base58 string and verify its 4-byte double-SHA256 checksum
+   * @returns {Promise<Uint8Array>} Payload without checksum
+   */
+  static async base58CheckDecode(str) {
+    const bytes = this.base58Decode(str);
+    if (bytes.length < 5) {
+      throw new Error('Invalid Base58Check: too short');
+    }
 
-    // WIF format: [version(1)][private_key(32)][compressed_flag(1)][checksum(4)]
-    // Remove version (first byte) and checksum (last 4 bytes)
-    const privateKeyBytes = bytes.slice(1, -4);
+    const payload = bytes.slice(0, -4);
+    const checksum = bytes.slice(-4);
+    const expected = (await this.doubleSha256(payload)).slice(0, 4);
 
-    // Remove compressed flag if present (33 bytes total means compressed)
-    if (privateKeyBytes.length === 33) {
-      return privateKeyBytes.slice(0, 32);
+    if (!checksum.every((b, i) => b === expected[i])) {
+      throw new Error('Invalid Base58Check: checksum mismatch');
     }
 
-    return privateKeyBytes;
+    return payload;
   }
 
   /**
    * Sign a Bitcoin transaction
    * @param {string} privateKeyWif - WIF format private key
    * @param {string} unsignedTxHex - Unsigned transaction hex
-   * @returns {string} Signed transaction hex
+   * @param {Object} options
+   * @param {string} options.scriptType - Account script type (default: p2pkh)
+   * @param {Array<{value: number|string, script: string}>} options.prevouts - Spent outputs, one per input:
+   *   amount in satoshis (required for SegWit) and scriptPubKey hex (required for Taproot)
+   * @param {Array<number|null>} options.sighashTypes - Per-input sighash type (default: ALL, or DEFAULT for Taproot)
+   * @param {Array<number|{index: number, sighashType: number}>} options.inputsToSign - Explicit inputs to sign;
+   *   each must be owned. Defaults to every owned input
+   * @param {Object} options.network - Network profile the WIF belongs to (default: mainnet)
+   * @returns {Promise<{signedTx: string, signedInputs: number[]}>} Signed transaction hex and the signed input indexes
    */
-  static async signTransaction(privateKeyWif, unsignedTxHex) {
-    console.log('[BitcoinSigner] Signing transaction locally');
+  static async signTransaction(privateKeyWif, unsignedTxHex, options = {}) {
+    const { scriptType = 'p2pkh', prevouts = [], sighashTypes = [], inputsToSign, network = Networks.MAINNET } = options;
+    console.log('[BitcoinSigner] Signing transaction locally as', scriptType);
 
-    // Decode WIF to get raw private key
-    const privateKeyBytes = this.decodeWIF(privateKeyWif);
-    const privateKeyHex = this.bytesToHex(privateKeyBytes);
+    // Decode WIF to get raw private key; the WIF also says which public key form the account uses
+    const { privateKey: privateKeyBytes, compressed } = await this.parseWIF(privateKeyWif, network);
+    this.assertKeyFormat(scriptType, compressed);
 
     console.log('[BitcoinSigner] Private key decoded from WIF');
 
@@ -60,132 +255,741 @@ class BitcoinSigner {
     const tx = this.parseTransaction(unsignedTxHex);
     console.log('[BitcoinSigner] Transaction parsed:', tx.inputs.length, 'inputs');
 
-    // Sign each input
-    for (let i = 0; i < tx.inputs.length; i++) {
-      await this.signInput(tx, i, privateKeyHex, privateKeyBytes);
+    // Only inputs spending this account's script are ours to sign
+    const ownScript = await this.createScriptPubKey(privateKeyBytes, scriptType, compressed);
+    const owned = tx.inputs.map((input, i) => {
+      const spentScript = this.getInputSpentScript(input, prevouts[i]);
+      return spentScript !== null && this.bytesEqual(spentScript, ownScript);
+    });
+
+    const toSign = this.selectInputsToSign(owned, inputsToSign);
+    if (toSign.length === 0) {
+      throw new Error('No inputs in this transaction belong to the current account (prevout scripts are required to detect ownership)');
+    }
+
+    for (const { index, sighashType } of toSign) {
+      await this.signInput(tx, index, privateKeyBytes, {
+        scriptType,
+        compressed,
+        prevout: prevouts[index],
+        prevouts,
+        sighashType: sighashType !== undefined ? sighashType : sighashTypes[index]
+      });
     }
 
     // Serialize signed transaction
     const signedTxHex = this.serializeTransaction(tx);
-    console.log('[BitcoinSigner] Transaction signed successfully');
+    const signedInputs = toSign.map(({ index }) => index);
+    console.log('[BitcoinSigner] Transaction signed successfully, inputs:', signedInputs.join(', '));
+
+    return { signedTx: signedTxHex, signedInputs };
+  }
+
+  /**
+   * Get the scriptPubKey an input spends, if known
+   * Taken from the prevout data, or from the scriptSig placeholder that unsigned
+   * transactions from Counterparty's compose API carry
+   * @returns {Uint8Array|null}
+   */
+  static getInputSpentScript(input, prevout) {
+    if (prevout && prevout.script) {
+      return this.hexToBytes(prevout.script);
+    }
+    if (input.script.length > 0) {
+      return input.script;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the inputs to sign: the explicit list, where each entry must be owned, or every owned input
+   * @param {boolean[]} owned - Whether each input spends an output of the current account
+   * @returns {Array<{index: number, sighashType: number|undefined}>}
+   */
+  static selectInputsToSign(owned, inputsToSign) {
+    if (inputsToSign === undefined || inputsToSign === null) {
+      return owned.flatMap((isOwned, index) => (isOwned ? [{ index }] : []));
+    }
 
-    return signedTxHex;
+    const entries = this.normalizeInputsToSign(inputsToSign, owned.length);
+    for (const { index } of entries) {
+      if (!owned[index]) {
+        throw new Error(`Input ${index} does not spend an output of the current account`);
+      }
+    }
+    return entries;
   }
 
   /**
    * Parse raw transaction hex
+   * Accepts legacy and SegWit (marker/flag + witness) serialization
+   * Counts and script lengths are CompactSize varints, output values are 64-bit
    */
   static parseTransaction(txHex) {
-    const bytes = this.hexToBytes(txHex);
-    let offset = 0;
+    if (typeof txHex !== 'string' || txHex.length === 0 || txHex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(txHex)) {
+      throw new Error('Invalid transaction hex');
+    }
 
-    // Version (4 bytes)
-    const version = this.readUInt32LE(bytes, offset);
-    offset += 4;
+    const reader = new ByteReader(this.hexToBytes(txHex));
 
-    // Input count (varint)
-    const inputCount = bytes[offset];
-    offset += 1;
+    // Version (4 bytes)
+    const version = reader.readUInt32LE();
+
+    // SegWit marker (0x00) and flag (0x01)
+    let hasWitness = false;
+    if (reader.peekUInt8() === 0x00) {
+      reader.readUInt8();
+      const flag = reader.readUInt8();
+      if (flag !== 0x01) {
+        throw new Error(`Invalid SegWit flag 0x${flag.toString(16).padStart(2, '0')}`);
+      }
+      hasWitness = true;
+    }
 
     // Inputs
+    const inputCount = reader.readVarInt();
     const inputs = [];
     for (let i = 0; i < inputCount; i++) {
-      const input = {};
+      inputs.push({
+        hash: reader.readBytes(32), // Previous tx hash
+        index: reader.readUInt32LE(), // Previous tx output index
+        script: reader.readVarSlice(), // Script (empty for unsigned)
+        sequence: reader.readUInt32LE(),
+        witness: []
+      });
+    }
+
+    // Outputs
+    const outputCount = reader.readVarInt();
+    const outputs = [];
+    for (let i = 0; i < outputCount; i++) {
+      outputs.push({
+        value: reader.readUInt64LE(), // Satoshis (BigInt)
+        script: reader.readVarSlice()
+      });
+    }
 
-      // Previous tx hash (32 bytes)
-      input.hash = bytes.slice(offset, offset + 32);
-      offset += 32;
+    // Witnesses (one stack per input)
+    if (hasWitness) {
+      for (const input of inputs) {
+        const itemCount = reader.readVarInt();
+        for (let j = 0; j < itemCount; j++) {
+          input.witness.push(reader.readVarSlice());
+        }
+      }
 
-      // Previous tx output index (4 bytes)
-      input.index = this.readUInt32LE(bytes, offset);
-      offset += 4;
+      if (inputs.every(input => input.witness.length === 0)) {
+        throw new Error('Invalid transaction: SegWit flag set but all witnesses are empty');
+      }
+    }
 
-      // Script length
-      const scriptLen = bytes[offset];
-      offset += 1;
+    // Locktime (4 bytes)
+    const locktime = reader.readUInt32LE();
 
-      // Script (empty for unsigned)
-      input.script = bytes.slice(offset, offset + scriptLen);
-      offset += scriptLen;
+    // Anything after the locktime means the hex is not a single transaction
+    reader.assertAtEnd();
 
-      // Sequence (4 bytes)
-      input.sequence = this.readUInt32LE(bytes, offset);
-      offset += 4;
+    return { version, inputs, outputs, locktime };
+  }
 
-      inputs.push(input);
+  /**
+   * Sign the inputs of a PSBT that spend this key's outputs
+   * Adds partial signatures (or Taproot key signatures) and optionally finalizes the signed inputs
+   * @param {string} privateKeyWif - WIF format private key
+   * @param {string} psbtEncoded - PSBT base64 or hex
+   * @param {Object} options
+   * @param {string} options.scriptType - Account script type (default: p2pkh)
+   * @param {boolean} options.finalize - Finalize signed inputs, and extract the transaction once all are final
+   * @param {Array<number|{index: number, sighashType: number}>} options.inputsToSign - Explicit inputs to sign;
+   *   each must be owned. A sighashType must agree with the input's PSBT_IN_SIGHASH_TYPE, if any
+   * @returns {Promise<{psbt: string, signedInputs: number[], txHex: string|null}>}
+   */
+  static async signPsbt(privateKeyWif, psbtEncoded, options = {}) {
+    const { scriptType = 'p2pkh', finalize = false, inputsToSign, network = Networks.MAINNET } = options;
+    console.log('[BitcoinSigner] Signing PSBT locally as', scriptType);
+
+    const { privateKey: privateKeyBytes, compressed } = await this.parseWIF(privateKeyWif, network);
+    this.assertKeyFormat(scriptType, compressed);
+    const psbt = Psbt.decode(psbtEncoded);
+    const ownScript = await this.createScriptPubKey(privateKeyBytes, scriptType, compressed);
+
+    // Spent outputs come from the PSBT UTXO fields
+    const prevouts = [];
+    const owned = [];
+    for (let i = 0; i < psbt.tx.inputs.length; i++) {
+      const utxo = await Psbt.getInputUtxo(psbt, i);
+      prevouts.push(utxo ? { value: utxo.value, script: this.bytesToHex(utxo.script) } : undefined);
+      owned.push(utxo !== null && this.bytesEqual(utxo.script, ownScript));
     }
 
-    // Output count
-    const outputCount = bytes[offset];
-    offset += 1;
+    let toSign = this.selectInputsToSign(owned, inputsToSign);
+    if (inputsToSign === undefined || inputsToSign === null) {
+      // Inputs finalized by an earlier signer are left alone
+      toSign = toSign.filter(({ index }) => !Psbt.isInputFinalized(psbt, index));
+    }
 
-    // Outputs
-    const outputs = [];
-    for (let i = 0; i < outputCount; i++) {
-      const output = {};
+    if (toSign.length === 0) {
+      throw new Error('No inputs in this PSBT belong to the current account');
+    }
 
-      // Value (8 bytes)
-      output.value = bytes.slice(offset, offset + 8);
-      offset += 8;
+    const indexes = toSign.map(({ index }) => index);
+    for (const { index, sighashType: requestedSighash } of toSign) {
+      if (Psbt.isInputFinalized(psbt, index)) {
+        throw new Error(`Input ${index} is already finalized`);
+      }
 
-      // Script length
-      const scriptLen = bytes[offset];
-      offset += 1;
+      // The PSBT creator may fix the sighash type of an input
+      const psbtSighash = Psbt.getSighashType(psbt, index);
+      if (psbtSighash !== null && requestedSighash !== undefined && requestedSighash !== psbtSighash) {
+        throw new Error(`Input ${index} requires sighash type ${this.getSighashName(psbtSighash)}`);
+      }
 
-      // Script
-      output.script = bytes.slice(offset, offset + scriptLen);
-      offset += scriptLen;
+      const input = psbt.inputs[index];
+      const { signature, publicKey } = await this.createInputSignature(psbt.tx, index, privateKeyBytes, {
+        scriptType,
+        compressed,
+        prevout: prevouts[index],
+        prevouts,
+        sighashType: psbtSighash !== null ? psbtSighash : requestedSighash
+      });
+
+      if (scriptType === 'p2tr') {
+        Psbt.setEntry(input, Psbt.IN_TAP_KEY_SIG, new Uint8Array(0), signature);
+        Psbt.setEntry(input, Psbt.IN_TAP_INTERNAL_KEY, new Uint8Array(0), publicKey);
+      } else {
+        Psbt.setEntry(input, Psbt.IN_PARTIAL_SIG, publicKey, signature);
+        if (scriptType === 'p2sh-p2wpkh') {
+          const redeemScript = this.createP2WPKHScript(await this.hash160(publicKey));
+          Psbt.setEntry(input, Psbt.IN_REDEEM_SCRIPT, new Uint8Array(0), redeemScript);
+        }
+      }
 
-      outputs.push(output);
+      if (finalize) {
+        const { script, witness } = await this.buildInputScripts(scriptType, signature, publicKey);
+        Psbt.finalizeInput(psbt, index, script, witness);
+      }
     }
 
-    // Locktime (4 bytes)
-    const locktime = this.readUInt32LE(bytes, offset);
-    offset += 4;
+    console.log('[BitcoinSigner] PSBT inputs signed:', indexes.join(', '));
 
-    return { version, inputs, outputs, locktime };
+    return {
+      psbt: Psbt.toBase64(psbt),
+      signedInputs: indexes,
+      txHex: finalize ? Psbt.extractTransaction(psbt) : null
+    };
+  }
+
+  /**
+   * Validate a dapp-supplied list of inputs to sign
+   * @param {Array<number|{index: number, sighashType: number}>} inputsToSign
+   * @returns {Array<{index: number, sighashType: number|undefined}>} One entry per in-range index
+   */
+  static normalizeInputsToSign(inputsToSign, inputCount) {
+    if (!Array.isArray(inputsToSign)) {
+      throw new Error('inputsToSign must be an array');
+    }
+
+    const entries = new Map();
+    for (const entry of inputsToSign) {
+      const { index, sighashType } = typeof entry === 'object' && entry !== null ? entry : { index: entry };
+      if (!Number.isInteger(index) || index < 0 || index >= inputCount) {
+        throw new Error(`Invalid input index in inputsToSign: ${index}`);
+      }
+      if (entries.has(index)) {
+        throw new Error(`Input ${index} is listed twice in inputsToSign`);
+      }
+      entries.set(index, { index, sighashType: sighashType === null ? undefined : sighashType });
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * BIP322 message hash: tagged SHA256 of the UTF-8 message
+   */
+  static async bip322MessageHash(message) {
+    return await nobleSecp256k1.utils.taggedHash('BIP0322-signed-message', new TextEncoder().encode(message));
+  }
+
+  /**
+   * BIP322 to_spend: a virtual transaction paying 0 to the address being proven, committing to the message
+   * @param {Uint8Array} scriptPubKey - The message challenge
+   */
+  static async createBip322ToSpend(scriptPubKey, message) {
+    const messageHash = await this.bip322MessageHash(message);
+    return {
+      version: 0,
+      inputs: [{
+        hash: new Uint8Array(32),
+        index: 0xffffffff,
+        script: new Uint8Array([0x00, 0x20, ...messageHash]), // OP_0 PUSH32 <message_hash>
+        sequence: 0,
+        witness: []
+      }],
+      outputs: [{ value: 0n, script: scriptPubKey }],
+      locktime: 0
+    };
+  }
+
+  /**
+   * BIP322 to_sign: spends to_spend's output to a single OP_RETURN; its input carries the signature
+   */
+  static async createBip322ToSign(toSpend) {
+    const toSpendHash = await this.doubleSha256(this.hexToBytes(this.serializeTransaction(toSpend, false)));
+    return {
+      version: 0,
+      inputs: [{ hash: toSpendHash, index: 0, script: new Uint8Array(0), sequence: 0, witness: [] }],
+      outputs: [{ value: 0n, script: new Uint8Array([0x6a]) }],
+      locktime: 0
+    };
+  }
+
+  /**
+   * Sign a message with BIP322
+   * Simple signatures are the to_sign witness stack, so only native SegWit and Taproot accounts can use them;
+   * full signatures are the whole to_sign transaction and also cover P2PKH and P2SH-P2WPKH
+   * @param {string} privateKeyWif - WIF format private key
+   * @param {Object} options
+   * @param {string} options.scriptType - Account script type (default: p2pkh)
+   * @param {string} options.format - 'bip322-simple' (default) or 'bip322-full'
+   * @param {Object} options.network - Network profile the WIF belongs to (default: mainnet)
+   * @returns {Promise<string>} Base64 signature
+   */
+  static async signMessageBip322(privateKeyWif, message, options = {}) {
+    const { scriptType = 'p2pkh', format = 'bip322-simple', network = Networks.MAINNET } = options;
+    if (format !== 'bip322-simple' && format !== 'bip322-full') {
+      throw new Error(`Unsupported BIP322 format: ${format}`);
+    }
+    if (format === 'bip322-simple' && scriptType !== 'p2wpkh' && scriptType !== 'p2tr') {
+      throw new Error('BIP322 simple signatures need a native SegWit or Taproot address; use bip322-full');
+    }
+
+    const { privateKey, compressed } = await this.parseWIF(privateKeyWif, network);
+    this.assertKeyFormat(scriptType, compressed);
+
+    const scriptPubKey = await this.createScriptPubKey(privateKey, scriptType, compressed);
+    const toSign = await this.createBip322ToSign(await this.createBip322ToSpend(scriptPubKey, message));
+
+    const prevout = { value: 0, script: this.bytesToHex(scriptPubKey) };
+    await this.signInput(toSign, 0, privateKey, { scriptType, compressed, prevout, prevouts: [prevout] });
+
+    const signature = format === 'bip322-simple'
+      ? this.serializeWitness(toSign.inputs[0].witness)
+      : this.hexToBytes(this.serializeTransaction(toSign));
+    return btoa(String.fromCharCode(...signature));
+  }
+
+  /**
+   * Verify a BIP322 signature against an address of the given network
+   * Full signatures must be a single-input to_sign (proof of funds is not supported); version, locktime
+   * and sequence are whatever the signer committed to
+   * @param {string} format - 'bip322-simple' or 'bip322-full'
+   * @returns {Promise<boolean>} Whether the signature satisfies the address's script
+   * @throws {Error} If the signature is not well-formed for the format
+   */
+  static async verifyMessageBip322(message, signatureBase64, address, format = 'bip322-simple', network = Networks.MAINNET) {
+    if (format !== 'bip322-simple' && format !== 'bip322-full') {
+      throw new Error(`Unsupported BIP322 format: ${format}`);
+    }
+    const { script } = await AddressCodec.decode(address, network);
+
+    let bytes;
+    try {
+      bytes = Uint8Array.from(atob(signatureBase64), char => char.charCodeAt(0));
+    } catch (error) {
+      throw new Error('Invalid signature: not base64');
+    }
+
+    const toSpend = await this.createBip322ToSpend(script, message);
+    let toSign = await this.createBip322ToSign(toSpend);
+
+    if (format === 'bip322-simple') {
+      toSign.inputs[0].witness = this.parseWitness(bytes);
+    } else {
+      let tx;
+      try {
+        tx = this.parseTransaction(this.bytesToHex(bytes));
+      } catch (error) {
+        throw new Error(`Invalid signature: ${error.message}`);
+      }
+      if (tx.inputs.length !== 1) {
+        throw new Error('Invalid signature: expected a single-input to_sign transaction');
+      }
+      const [output] = tx.outputs;
+      if (tx.outputs.length !== 1 || output.value !== 0n || !this.bytesEqual(output.script, new Uint8Array([0x6a]))) {
+        throw new Error('Invalid signature: to_sign must have a single empty OP_RETURN output');
+      }
+      // Any other outpoint signs something else, not this message for this address
+      const input = tx.inputs[0];
+      if (!this.bytesEqual(input.hash, toSign.inputs[0].hash) || input.index !== 0) {
+        return false;
+      }
+      toSign = tx;
+    }
+
+    try {
+      await ScriptInterpreter.verifyInput(toSign, 0, [{ script, value: 0n }]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Consensus-encode a witness stack: item count, then each item with its length
+   */
+  static serializeWitness(witness) {
+    const writer = new ByteWriter();
+    writer.writeVarInt(witness.length);
+    for (const item of witness) {
+      writer.writeVarSlice(item);
+    }
+    return writer.toBytes();
+  }
+
+  /**
+   * Decode a consensus-encoded witness stack
+   * @returns {Uint8Array[]}
+   */
+  static parseWitness(bytes) {
+    const reader = new ByteReader(bytes);
+    const witness = [];
+    try {
+      const itemCount = reader.readVarInt();
+      for (let i = 0; i < itemCount; i++) {
+        witness.push(reader.readVarSlice());
+      }
+      reader.assertAtEnd();
+    } catch (error) {
+      throw new Error(`Invalid signature: malformed witness stack (${error.message})`);
+    }
+    return witness;
   }
 
   /**
    * Sign a single input
+   * @param {Object} options
+   * @param {string} options.scriptType - Script type of the spent output (default: p2pkh)
+   * @param {{value: number|string}} options.prevout - Spent output, amount required for SegWit
+   * @param {Array<{value: number|string, script: string}>} options.prevouts - All spent outputs (required for Taproot)
+   */
+  static async signInput(tx, inputIndex, privateKeyBytes, options = {}) {
+    const { scriptType = 'p2pkh' } = options;
+    const input = tx.inputs[inputIndex];
+
+    const { signature, publicKey } = await this.createInputSignature(tx, inputIndex, privateKeyBytes, options);
+    const { script, witness } = await this.buildInputScripts(scriptType, signature, publicKey);
+
+    // Update input with scriptSig and witness
+    input.script = script;
+    input.witness = witness;
+  }
+
+  /**
+   * Compute the signature for one input without modifying the transaction
+   * @returns {Promise<{signature: Uint8Array, publicKey: Uint8Array}>}
+   *   ECDSA: DER signature + sighash byte and public key (compressed unless options.compressed is false).
+   *   Taproot: 64-byte Schnorr signature and x-only internal key
    */
-  static async signInput(tx, inputIndex, privateKeyHex, privateKeyBytes) {
+  static async createInputSignature(tx, inputIndex, privateKeyBytes, options = {}) {
+    const { scriptType = 'p2pkh', compressed = true, prevout, prevouts = [] } = options;
+    const sighashType = this.normalizeSighashType(options.sighashType, scriptType);
+
+    if (scriptType === 'p2tr') {
+      // BIP341 commits to the amounts and scripts of every input (only this one with ANYONECANPAY)
+      const anyoneCanPay = (sighashType & this.SIGHASH_ANYONECANPAY) !== 0;
+      const spentOutputs = tx.inputs.map((_, i) => (anyoneCanPay && i !== inputIndex ? null : {
+        value: this.getPrevoutValue(prevouts[i], i),
+        script: this.getPrevoutScript(prevouts[i], i)
+      }));
+
+      const sigHash = await this.createTaprootSignatureHash(tx, inputIndex, spentOutputs, sighashType);
+      console.log('[signInput] BIP341 signature hash:', this.bytesToHex(sigHash));
+
+      const { internalKey, tweakedPrivateKey } = await this.getTaprootKeys(privateKeyBytes);
+      const signature = await nobleSecp256k1.schnorr.sign(sigHash, tweakedPrivateKey);
+
+      // 64-byte signature means SIGHASH_DEFAULT, any other type is appended
+      return {
+        signature: sighashType === this.SIGHASH_DEFAULT
+          ? new Uint8Array(signature)
+          : new Uint8Array([...signature, sighashType]),
+        publicKey: internalKey
+      };
+    }
+
     // Get public key from private key
-    const publicKey = await this.getPublicKey(privateKeyBytes);
+    const publicKey = await this.getPublicKey(privateKeyBytes, compressed);
     console.log('[signInput] Public key:', this.bytesToHex(publicKey));
 
-    // Create P2PKH scriptPubKey
     const publicKeyHash = await this.hash160(publicKey);
     console.log('[signInput] Public key hash:', this.bytesToHex(publicKeyHash));
 
-    const scriptPubKey = this.createP2PKHScript(publicKeyHash);
-    console.log('[signInput] scriptPubKey:', this.bytesToHex(scriptPubKey));
+    let sigHash;
+    if (scriptType === 'p2wpkh' || scriptType === 'p2sh-p2wpkh') {
+      // BIP143 commits to the amount being spent
+      const amount = this.getPrevoutValue(prevout, inputIndex);
+
+      // BIP143 scriptCode for P2WPKH is the P2PKH script of the key hash
+      const scriptCode = this.createP2PKHScript(publicKeyHash);
 
-    // Create signature hash
-    const sigHash = await this.createSignatureHash(tx, inputIndex, scriptPubKey);
-    console.log('[signInput] Signature hash (sighash):', this.bytesToHex(sigHash));
+      sigHash = await this.createSegwitSignatureHash(tx, inputIndex, scriptCode, amount, sighashType);
+      console.log('[signInput] BIP143 signature hash:', this.bytesToHex(sigHash));
+    } else if (scriptType === 'p2pkh') {
+      // Create P2PKH scriptPubKey
+      const scriptPubKey = this.createP2PKHScript(publicKeyHash);
+      console.log('[signInput] scriptPubKey:', this.bytesToHex(scriptPubKey));
+
+      // Create signature hash
+      sigHash = await this.createSignatureHash(tx, inputIndex, scriptPubKey, sighashType);
+      console.log('[signInput] Signature hash (sighash):', this.bytesToHex(sigHash));
+    } else {
+      throw new Error(`Unsupported script type: ${scriptType}`);
+    }
 
     // Sign with ECDSA
     const signature = await this.signECDSA(privateKeyBytes, sigHash);
     console.log('[signInput] DER signature:', this.bytesToHex(signature));
 
-    // Add SIGHASH_ALL flag (0x01)
-    const signatureWithHashType = new Uint8Array([...signature, 0x01]);
+    // Append sighash type byte
+    return { signature: new Uint8Array([...signature, sighashType]), publicKey };
+  }
+
+  /**
+   * Validate a requested sighash type, filling in the default for the script type
+   * @returns {number}
+   */
+  static normalizeSighashType(sighashType, scriptType) {
+    if (sighashType === undefined || sighashType === null) {
+      return scriptType === 'p2tr' ? this.SIGHASH_DEFAULT : this.SIGHASH_ALL;
+    }
+
+    const base = sighashType & ~this.SIGHASH_ANYONECANPAY;
+    const valid = Number.isInteger(sighashType) &&
+      (sighashType & ~(this.SIGHASH_ANYONECANPAY | 0x03)) === 0 &&
+      base >= this.SIGHASH_ALL;
+
+    // SIGHASH_DEFAULT only exists for Taproot
+    if (!(valid || (scriptType === 'p2tr' && sighashType === this.SIGHASH_DEFAULT))) {
+      throw new Error(`Unsupported sighash type: ${sighashType}`);
+    }
+
+    return sighashType;
+  }
+
+  /**
+   * Human-readable sighash type, e.g. "SINGLE|ANYONECANPAY"
+   */
+  static getSighashName(sighashType) {
+    if (sighashType === this.SIGHASH_DEFAULT) return 'DEFAULT';
+
+    const names = { [this.SIGHASH_ALL]: 'ALL', [this.SIGHASH_NONE]: 'NONE', [this.SIGHASH_SINGLE]: 'SINGLE' };
+    const base = names[sighashType & 0x1f] || `0x${(sighashType & 0x1f).toString(16)}`;
+    return sighashType & this.SIGHASH_ANYONECANPAY ? `${base}|ANYONECANPAY` : base;
+  }
+
+  /**
+   * Whether a sighash type leaves part of the transaction unsigned
+   * ALL and Taproot's DEFAULT commit to every input and output
+   */
+  static isPartialSighash(sighashType) {
+    return sighashType !== undefined && sighashType !== null &&
+      sighashType !== this.SIGHASH_DEFAULT && sighashType !== this.SIGHASH_ALL;
+  }
+
+  /**
+   * Build the final scriptSig and witness for a signed input
+   * @returns {Promise<{script: Uint8Array, witness: Uint8Array[]}>}
+   */
+  static async buildInputScripts(scriptType, signature, publicKey) {
+    switch (scriptType) {
+      case 'p2pkh':
+        // scriptSig: <signature> <pubkey>
+        return { script: this.createScriptSig(signature, publicKey), witness: [] };
+
+      case 'p2wpkh':
+        // Witness: <signature> <pubkey>, empty scriptSig
+        return { script: new Uint8Array(0), witness: [signature, publicKey] };
+
+      case 'p2sh-p2wpkh': {
+        // Same witness, scriptSig pushes the P2WPKH redeemScript
+        const redeemScript = this.createP2WPKHScript(await this.hash160(publicKey));
+        return { script: this.createP2SHScriptSig(redeemScript), witness: [signature, publicKey] };
+      }
+
+      case 'p2tr':
+        // Key-path witness: Schnorr signature only
+        return { script: new Uint8Array(0), witness: [signature] };
+
+      default:
+        throw new Error(`Unsupported script type: ${scriptType}`);
+    }
+  }
 
-    // Create scriptSig: <signature> <pubkey>
-    const scriptSig = this.createScriptSig(signatureWithHashType, publicKey);
+  /**
+   * Create the scriptPubKey an account of the given script type pays to
+   */
+  static async createScriptPubKey(privateKeyBytes, scriptType, compressed = true) {
+    if (scriptType === 'p2tr') {
+      const { outputKey } = await this.getTaprootKeys(privateKeyBytes);
+      return this.createP2TRScript(outputKey);
+    }
 
-    // Update input with scriptSig
-    tx.inputs[inputIndex].script = scriptSig;
+    const publicKeyHash = await this.hash160(await this.getPublicKey(privateKeyBytes, compressed));
+    switch (scriptType) {
+      case 'p2pkh':
+        return this.createP2PKHScript(publicKeyHash);
+      case 'p2wpkh':
+        return this.createP2WPKHScript(publicKeyHash);
+      case 'p2sh-p2wpkh':
+        return this.createP2SHScript(await this.hash160(this.createP2WPKHScript(publicKeyHash)));
+      default:
+        throw new Error(`Unsupported script type: ${scriptType}`);
+    }
+  }
+
+  /**
+   * Uncompressed public keys exist only in legacy P2PKH (SegWit and Taproot require compressed keys)
+   */
+  static assertKeyFormat(scriptType, compressed) {
+    if (!compressed && scriptType !== 'p2pkh') {
+      throw new Error('Uncompressed keys can only be used with legacy (P2PKH) addresses');
+    }
+  }
+
+  /**
+   * Read the satoshi amount of a spent output
+   * @returns {bigint}
+   */
+  static getPrevoutValue(prevout, inputIndex) {
+    if (!prevout || prevout.value === undefined || prevout.value === null) {
+      throw new Error(`Missing prevout amount for input ${inputIndex} (required for SegWit signing)`);
+    }
+
+    let value;
+    try {
+      value = BigInt(prevout.value);
+    } catch (error) {
+      throw new Error(`Invalid prevout amount for input ${inputIndex}`);
+    }
+
+    if (value < 0n || value > 2100000000000000n) {
+      throw new Error(`Prevout amount out of range for input ${inputIndex}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Fee paid by a transaction: spent amounts minus output values
+   * @returns {bigint|null} null when any prevout amount is missing
+   */
+  static calculateFee(tx, prevouts = []) {
+    let inputTotal = 0n;
+    for (let i = 0; i < tx.inputs.length; i++) {
+      if (!prevouts[i] || prevouts[i].value === undefined || prevouts[i].value === null) return null;
+      inputTotal += this.getPrevoutValue(prevouts[i], i);
+    }
+
+    const outputTotal = tx.outputs.reduce((sum, output) => sum + output.value, 0n);
+    return inputTotal - outputTotal;
+  }
+
+  /**
+   * Estimate the virtual size of a transaction once every input is signed
+   * Inputs get placeholder scripts of worst-case size for their type
+   * @param {Array<string|null>} inputTypes - Per input: the script type it spends ('p2pkh-uncompressed' when the
+   *   key may be uncompressed), 'signed' to keep the input as it is, or null if its signed size is unknown
+   * @returns {number|null} Virtual size in vbytes, or null if some input's size is unknown
+   */
+  static estimateSignedVsize(tx, inputTypes = []) {
+    const ecdsaSig = new Uint8Array(73); // DER signature + sighash byte, no low-R grinding
+    const publicKey = new Uint8Array(33);
+    const placeholders = {
+      p2pkh: { script: new Uint8Array(1 + ecdsaSig.length + 1 + publicKey.length), witness: [] },
+      'p2pkh-uncompressed': { script: new Uint8Array(1 + ecdsaSig.length + 1 + 65), witness: [] },
+      'p2sh-p2wpkh': { script: new Uint8Array(23), witness: [ecdsaSig, publicKey] },
+      p2wpkh: { script: new Uint8Array(0), witness: [ecdsaSig, publicKey] },
+      p2tr: { script: new Uint8Array(0), witness: [new Uint8Array(64)] }
+    };
+
+    if (tx.inputs.some((_, i) => inputTypes[i] !== 'signed' && !placeholders[inputTypes[i]])) {
+      return null;
+    }
+
+    const signed = {
+      ...tx,
+      inputs: tx.inputs.map((input, i) => (inputTypes[i] === 'signed' ? input : { ...input, ...placeholders[inputTypes[i]] }))
+    };
+
+    // Weight = base size * 3 + total size (BIP141)
+    const baseSize = this.serializeTransaction(signed, false).length / 2;
+    const totalSize = this.serializeTransaction(signed).length / 2;
+    return Math.ceil((baseSize * 3 + totalSize) / 4);
+  }
+
+  /**
+   * Guess the account script type that spends a scriptPubKey, for size estimation
+   * P2SH is assumed to wrap P2WPKH
+   * @returns {string|null}
+   */
+  static getSpendingScriptType(script) {
+    const types = { p2pkh: 'p2pkh', p2sh: 'p2sh-p2wpkh', p2wpkh: 'p2wpkh', p2tr: 'p2tr' };
+    return types[this.classifyScript(script).type] || null;
+  }
+
+  /**
+   * Read the scriptPubKey of a spent output
+   * @returns {Uint8Array}
+   */
+  static getPrevoutScript(prevout, inputIndex) {
+    const script = prevout?.script;
+    if (typeof script !== 'string' || script.length === 0 || script.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(script)) {
+      throw new Error(`Missing or invalid prevout script for input ${inputIndex} (required for Taproot signing)`);
+    }
+    return this.hexToBytes(script);
+  }
+
+  /**
+   * Derive BIP86 Taproot keys (key-path only, no script tree)
+   * @returns {Promise<{internalKey: Uint8Array, outputKey: Uint8Array, tweakedPrivateKey: Uint8Array}>}
+   */
+  static async getTaprootKeys(privateKeyBytes) {
+    if (typeof nobleSecp256k1 === 'undefined') {
+      throw new Error('noble-secp256k1 library not loaded');
+    }
+
+    const { CURVE, Point, utils } = nobleSecp256k1;
+
+    // Internal key P, normalized to even Y as BIP340 x-only keys are
+    const point = Point.fromPrivateKey(privateKeyBytes);
+    const hasEvenY = point.hasEvenY();
+    const evenPoint = hasEvenY ? point : point.negate();
+    const internalKey = evenPoint.toRawX();
+
+    // t = hash_TapTweak(P), Q = P + tG
+    const tweak = BigInt('0x' + this.bytesToHex(await utils.taggedHash('TapTweak', internalKey)));
+    if (tweak >= CURVE.n) {
+      throw new Error('Invalid Taproot tweak');
+    }
+
+    const outputPoint = evenPoint.add(Point.BASE.multiply(tweak));
+    const outputKey = outputPoint.toRawX();
+
+    // Private key matching Q: d' = (d or n-d) + t mod n
+    const d = BigInt('0x' + this.bytesToHex(privateKeyBytes));
+    const tweakedPrivateKey = utils._bigintTo32Bytes(utils.mod((hasEvenY ? d : CURVE.n - d) + tweak, CURVE.n));
+
+    return { internalKey, outputKey, tweakedPrivateKey };
   }
 
   /**
    * Get public key from private key using secp256k1
    */
-  static async getPublicKey(privateKeyBytes) {
+  static async getPublicKey(privateKeyBytes, compressed = true) {
     // Use noble-secp256k1 if available
     if (typeof nobleSecp256k1 !== 'undefined') {
-      const pubKey = nobleSecp256k1.getPublicKey(privateKeyBytes, true); // compressed
+      const pubKey = nobleSecp256k1.getPublicKey(privateKeyBytes, compressed);
       return new Uint8Array(pubKey);
     }
 
@@ -252,58 +1056,210 @@ class BitcoinSigner {
 
   /**
    * Create signature hash for signing
+   * @param {number} sighashType - ALL, NONE or SINGLE, optionally with ANYONECANPAY (default: ALL)
    */
-  static async createSignatureHash(tx, inputIndex, scriptPubKey) {
+  static async createSignatureHash(tx, inputIndex, scriptPubKey, sighashType = this.SIGHASH_ALL) {
+    const base = sighashType & 0x1f;
+    const anyoneCanPay = (sighashType & this.SIGHASH_ANYONECANPAY) !== 0;
+
+    // Refuse the SIGHASH_SINGLE bug (no matching output signs the constant 1)
+    if (base === this.SIGHASH_SINGLE && inputIndex >= tx.outputs.length) {
+      throw new Error(`SIGHASH_SINGLE input ${inputIndex} has no matching output`);
+    }
+
     // Serialize transaction for signing
-    let data = [];
+    const writer = new ByteWriter();
 
     // Version
-    data.push(...this.uint32ToBytes(tx.version));
-
-    // Input count
-    data.push(tx.inputs.length);
+    writer.writeUInt32LE(tx.version);
 
-    // Inputs
-    for (let i = 0; i < tx.inputs.length; i++) {
+    // Inputs (ANYONECANPAY: only the input being signed)
+    const signedInputs = anyoneCanPay ? [inputIndex] : tx.inputs.map((_, i) => i);
+    writer.writeVarInt(signedInputs.length);
+    for (const i of signedInputs) {
       const input = tx.inputs[i];
 
-      // Previous tx hash
-      data.push(...input.hash);
-
-      // Previous tx index
-      data.push(...this.uint32ToBytes(input.index));
+      writer.writeBytes(input.hash);
+      writer.writeUInt32LE(input.index);
 
       // Script (use scriptPubKey for current input, empty for others)
-      if (i === inputIndex) {
-        data.push(scriptPubKey.length);
-        data.push(...scriptPubKey);
-      } else {
-        data.push(0); // Empty script
-      }
+      writer.writeVarSlice(i === inputIndex ? scriptPubKey : new Uint8Array(0));
 
-      // Sequence
-      data.push(...this.uint32ToBytes(input.sequence));
+      // NONE and SINGLE let other inputs change their sequence
+      const zeroSequence = i !== inputIndex && (base === this.SIGHASH_NONE || base === this.SIGHASH_SINGLE);
+      writer.writeUInt32LE(zeroSequence ? 0 : input.sequence);
     }
 
-    // Output count
-    data.push(tx.outputs.length);
-
-    // Outputs
-    for (const output of tx.outputs) {
-      data.push(...output.value);
-      data.push(output.script.length);
-      data.push(...output.script);
+    // Outputs (NONE: none, SINGLE: up to the matching one, earlier ones blanked)
+    if (base === this.SIGHASH_NONE) {
+      writer.writeVarInt(0);
+    } else if (base === this.SIGHASH_SINGLE) {
+      writer.writeVarInt(inputIndex + 1);
+      for (let i = 0; i < inputIndex; i++) {
+        writer.writeUInt64LE(0xffffffffffffffffn);
+        writer.writeVarSlice(new Uint8Array(0));
+      }
+      writer.writeUInt64LE(tx.outputs[inputIndex].value);
+      writer.writeVarSlice(tx.outputs[inputIndex].script);
+    } else {
+      writer.writeVarInt(tx.outputs.length);
+      for (const output of tx.outputs) {
+        writer.writeUInt64LE(output.value);
+        writer.writeVarSlice(output.script);
+      }
     }
 
     // Locktime
-    data.push(...this.uint32ToBytes(tx.locktime));
+    writer.writeUInt32LE(tx.locktime);
 
-    // Hash type (SIGHASH_ALL = 1)
-    data.push(...this.uint32ToBytes(1));
+    // Hash type
+    writer.writeUInt32LE(sighashType);
 
     // Double SHA256
-    const bytes = new Uint8Array(data);
-    return await this.doubleSha256(bytes);
+    return await this.doubleSha256(writer.toBytes());
+  }
+
+  /**
+   * Create BIP143 signature hash for SegWit v0 inputs
+   * @param {Uint8Array} scriptCode - Script being satisfied (P2PKH script for P2WPKH)
+   * @param {bigint} amount - Value of the spent output in satoshis
+   * @param {number} sighashType - ALL, NONE or SINGLE, optionally with ANYONECANPAY (default: ALL)
+   */
+  static async createSegwitSignatureHash(tx, inputIndex, scriptCode, amount, sighashType = this.SIGHASH_ALL) {
+    const input = tx.inputs[inputIndex];
+    const base = sighashType & 0x1f;
+    const anyoneCanPay = (sighashType & this.SIGHASH_ANYONECANPAY) !== 0;
+    const zeroHash = new Uint8Array(32);
+
+    if (base === this.SIGHASH_SINGLE && inputIndex >= tx.outputs.length) {
+      throw new Error(`SIGHASH_SINGLE input ${inputIndex} has no matching output`);
+    }
+
+    // hashPrevouts: all outpoints, unless ANYONECANPAY
+    let hashPrevouts = zeroHash;
+    if (!anyoneCanPay) {
+      const prevouts = new ByteWriter();
+      for (const txIn of tx.inputs) {
+        prevouts.writeBytes(txIn.hash);
+        prevouts.writeUInt32LE(txIn.index);
+      }
+      hashPrevouts = await this.doubleSha256(prevouts.toBytes());
+    }
+
+    // hashSequence: all input sequences, only for ALL without ANYONECANPAY
+    let hashSequence = zeroHash;
+    if (!anyoneCanPay && base !== this.SIGHASH_SINGLE && base !== this.SIGHASH_NONE) {
+      const sequences = new ByteWriter();
+      for (const txIn of tx.inputs) {
+        sequences.writeUInt32LE(txIn.sequence);
+      }
+      hashSequence = await this.doubleSha256(sequences.toBytes());
+    }
+
+    // hashOutputs: all outputs, the matching output for SINGLE, nothing for NONE
+    let hashOutputs = zeroHash;
+    if (base !== this.SIGHASH_SINGLE && base !== this.SIGHASH_NONE) {
+      const outputs = new ByteWriter();
+      for (const output of tx.outputs) {
+        outputs.writeUInt64LE(output.value);
+        outputs.writeVarSlice(output.script);
+      }
+      hashOutputs = await this.doubleSha256(outputs.toBytes());
+    } else if (base === this.SIGHASH_SINGLE) {
+      const output = tx.outputs[inputIndex];
+      hashOutputs = await this.doubleSha256(
+        new ByteWriter().writeUInt64LE(output.value).writeVarSlice(output.script).toBytes()
+      );
+    }
+
+    const writer = new ByteWriter();
+    writer.writeUInt32LE(tx.version);
+    writer.writeBytes(hashPrevouts);
+    writer.writeBytes(hashSequence);
+    writer.writeBytes(input.hash);
+    writer.writeUInt32LE(input.index);
+    writer.writeVarSlice(scriptCode);
+    writer.writeUInt64LE(amount);
+    writer.writeUInt32LE(input.sequence);
+    writer.writeBytes(hashOutputs);
+    writer.writeUInt32LE(tx.locktime);
+
+    // Hash type
+    writer.writeUInt32LE(sighashType);
+
+    return await this.doubleSha256(writer.toBytes());
+  }
+
+  /**
+   * Create BIP341 signature hash for Taproot key-path inputs
+   * @param {Array<{value: bigint, script: Uint8Array}>} spentOutputs - Outputs spent by every input
+   * @param {number} sighashType - DEFAULT, ALL, NONE or SINGLE, optionally with ANYONECANPAY (default: DEFAULT)
+   */
+  static async createTaprootSignatureHash(tx, inputIndex, spentOutputs, sighashType = this.SIGHASH_DEFAULT) {
+    const base = sighashType & 0x03;
+    const anyoneCanPay = (sighashType & this.SIGHASH_ANYONECANPAY) !== 0;
+
+    if (base === this.SIGHASH_SINGLE && inputIndex >= tx.outputs.length) {
+      throw new Error(`SIGHASH_SINGLE input ${inputIndex} has no matching output`);
+    }
+
+    // SigMsg: single SHA256 of each component, unlike BIP143
+    const writer = new ByteWriter();
+    writer.writeUInt8(0x00); // Epoch
+    writer.writeUInt8(sighashType);
+    writer.writeUInt32LE(tx.version);
+    writer.writeUInt32LE(tx.locktime);
+
+    if (!anyoneCanPay) {
+      const prevouts = new ByteWriter();
+      const amounts = new ByteWriter();
+      const scriptPubKeys = new ByteWriter();
+      const sequences = new ByteWriter();
+      for (let i = 0; i < tx.inputs.length; i++) {
+        prevouts.writeBytes(tx.inputs[i].hash);
+        prevouts.writeUInt32LE(tx.inputs[i].index);
+        amounts.writeUInt64LE(spentOutputs[i].value);
+        scriptPubKeys.writeVarSlice(spentOutputs[i].script);
+        sequences.writeUInt32LE(tx.inputs[i].sequence);
+      }
+
+      writer.writeBytes(await this.sha256(prevouts.toBytes()));
+      writer.writeBytes(await this.sha256(amounts.toBytes()));
+      writer.writeBytes(await this.sha256(scriptPubKeys.toBytes()));
+      writer.writeBytes(await this.sha256(sequences.toBytes()));
+    }
+
+    // DEFAULT (0) and ALL commit to every output
+    if (base !== this.SIGHASH_NONE && base !== this.SIGHASH_SINGLE) {
+      const outputs = new ByteWriter();
+      for (const output of tx.outputs) {
+        outputs.writeUInt64LE(output.value);
+        outputs.writeVarSlice(output.script);
+      }
+      writer.writeBytes(await this.sha256(outputs.toBytes()));
+    }
+
+    writer.writeUInt8(0x00); // Spend type: key path, no annex
+
+    if (anyoneCanPay) {
+      const input = tx.inputs[inputIndex];
+      writer.writeBytes(input.hash);
+      writer.writeUInt32LE(input.index);
+      writer.writeUInt64LE(spentOutputs[inputIndex].value);
+      writer.writeVarSlice(spentOutputs[inputIndex].script);
+      writer.writeUInt32LE(input.sequence);
+    } else {
+      writer.writeUInt32LE(inputIndex);
+    }
+
+    if (base === this.SIGHASH_SINGLE) {
+      const output = tx.outputs[inputIndex];
+      writer.writeBytes(await this.sha256(
+        new ByteWriter().writeUInt64LE(output.value).writeVarSlice(output.script).toBytes()
+      ));
+    }
+
+    return await nobleSecp256k1.utils.taggedHash('TapSighash', writer.toBytes());
   }
 
   /**
@@ -320,6 +1276,50 @@ class BitcoinSigner {
     ]);
   }
 
+  /**
+   * Create P2WPKH scriptPubKey
+   */
+  static createP2WPKHScript(publicKeyHash) {
+    return new Uint8Array([
+      0x00, // Witness version 0
+      0x14, // Push 20 bytes
+      ...publicKeyHash
+    ]);
+  }
+
+  /**
+   * Create P2TR scriptPubKey
+   */
+  static createP2TRScript(outputKey) {
+    return new Uint8Array([
+      0x51, // OP_1 (witness version 1)
+      0x20, // Push 32 bytes
+      ...outputKey
+    ]);
+  }
+
+  /**
+   * Create P2SH scriptPubKey
+   */
+  static createP2SHScript(scriptHash) {
+    return new Uint8Array([
+      0xa9, // OP_HASH160
+      0x14, // Push 20 bytes
+      ...scriptHash,
+      0x87  // OP_EQUAL
+    ]);
+  }
+
+  /**
+   * Create P2SH scriptSig that only pushes the redeemScript (nested SegWit)
+   */
+  static createP2SHScriptSig(redeemScript) {
+    if (redeemScript.length > 75) {
+      throw new Error('Redeem script too long for a direct push');
+    }
+    return new Uint8Array([redeemScript.length, ...redeemScript]);
+  }
+
   /**
    * Create scriptSig
    */
@@ -332,41 +1332,98 @@ class BitcoinSigner {
     ]);
   }
 
+  /**
+   * Identify a scriptPubKey template
+   * @returns {{type: string, hash?: Uint8Array, m?: number, n?: number}}
+   *   type is p2pkh, p2sh, p2wpkh, p2wsh, p2tr, op_return, multisig or unknown
+   */
+  static classifyScript(script) {
+    const hex = this.bytesToHex(script);
+
+    if (/^76a914[0-9a-f]{40}88ac$/.test(hex)) return { type: 'p2pkh', hash: script.slice(3, 23) };
+    if (/^a914[0-9a-f]{40}87$/.test(hex)) return { type: 'p2sh', hash: script.slice(2, 22) };
+    if (/^0014[0-9a-f]{40}$/.test(hex)) return { type: 'p2wpkh', hash: script.slice(2) };
+    if (/^0020[0-9a-f]{64}$/.test(hex)) return { type: 'p2wsh', hash: script.slice(2) };
+    if (/^5120[0-9a-f]{64}$/.test(hex)) return { type: 'p2tr', hash: script.slice(2) };
+    if (script.length > 0 && script[0] === 0x6a) return { type: 'op_return' };
+
+    // Bare multisig: OP_m <pubkey>... OP_n OP_CHECKMULTISIG
+    if (script.length >= 3 && script[script.length - 1] === 0xae) {
+      const m = script[0] - 0x50;
+      const n = script[script.length - 2] - 0x50;
+      let offset = 1;
+      let count = 0;
+      while (offset < script.length - 2 && (script[offset] === 33 || script[offset] === 65)) {
+        offset += 1 + script[offset];
+        count++;
+      }
+      if (offset === script.length - 2 && m >= 1 && m <= n && n <= 16 && count === n) {
+        return { type: 'multisig', m, n };
+      }
+    }
+
+    return { type: 'unknown' };
+  }
+
+  /**
+   * Address paid by a scriptPubKey, or null (OP_RETURN, bare multisig, non-standard)
+   * @param {Object} options
+   * @param {Object} options.network - Network profile (default: mainnet)
+   */
+  static async scriptToAddress(script, options = {}) {
+    const { network = Networks.MAINNET } = options;
+    return await AddressCodec.fromScriptPubKey(script, network);
+  }
+
   /**
    * Serialize signed transaction
+   * Uses SegWit serialization when any input carries a witness
+   * @param {boolean} includeWitness - Set false for the txid (legacy) serialization
    */
-  static serializeTransaction(tx) {
-    let data = [];
+  static serializeTransaction(tx, includeWitness = true) {
+    const writer = new ByteWriter();
+    const hasWitness = includeWitness && tx.inputs.some(input => input.witness && input.witness.length > 0);
 
     // Version
-    data.push(...this.uint32ToBytes(tx.version));
+    writer.writeUInt32LE(tx.version);
 
-    // Input count
-    data.push(tx.inputs.length);
+    // SegWit marker and flag
+    if (hasWitness) {
+      writer.writeUInt8(0x00);
+      writer.writeUInt8(0x01);
+    }
 
     // Inputs
+    writer.writeVarInt(tx.inputs.length);
     for (const input of tx.inputs) {
-      data.push(...input.hash);
-      data.push(...this.uint32ToBytes(input.index));
-      data.push(input.script.length);
-      data.push(...input.script);
-      data.push(...this.uint32ToBytes(input.sequence));
+      writer.writeBytes(input.hash);
+      writer.writeUInt32LE(input.index);
+      writer.writeVarSlice(input.script);
+      writer.writeUInt32LE(input.sequence);
     }
 
-    // Output count
-    data.push(tx.outputs.length);
-
     // Outputs
+    writer.writeVarInt(tx.outputs.length);
     for (const output of tx.outputs) {
-      data.push(...output.value);
-      data.push(output.script.length);
-      data.push(...output.script);
+      writer.writeUInt64LE(output.value);
+      writer.writeVarSlice(output.script);
+    }
+
+    // Witnesses
+    if (hasWitness) {
+      for (const input of tx.inputs) {
+        const witness = input.witness || [];
+        writer.writeVarInt(witness.length);
+        for (const item of witness) {
+          writer.writeVarSlice(item);
+        }
+      }
     }
 
     // Locktime
-    data.push(...this.uint32ToBytes(tx.locktime));
+    writer.writeUInt32LE(tx.locktime);
 
-    return this.bytesToHex(new Uint8Array(data));
+    return this.bytesToHex(writer.toBytes());
   }
 
   /**
@@ -387,6 +1444,13 @@ class BitcoinSigner {
     return ripemd160Hash;
   }
 
+  /**
+   * Single SHA256
+   */
+  static async sha256(data) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  }
+
   /**
    * Double SHA256
    */
@@ -487,28 +1551,6 @@ class BitcoinSigner {
     return result;
   }
 
-  /**
-   * Utility: Read UInt32 Little Endian
-   */
-  static readUInt32LE(bytes, offset) {
-    return bytes[offset] |
-           (bytes[offset + 1] << 8) |
-           (bytes[offset + 2] << 16) |
-           (bytes[offset + 3] << 24);
-  }
-
-  /**
-   * Utility: Convert UInt32 to bytes (Little Endian)
-   */
-  static uint32ToBytes(num) {
-    return [
-      num & 0xff,
-      (num >> 8) & 0xff,
-      (num >> 16) & 0xff,
-      (num >> 24) & 0xff
-    ];
-  }
-
   /**
    * Convert hex string to Uint8Array
    */
@@ -528,6 +1570,13 @@ class BitcoinSigner {
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
   }
+
+  /**
+   * Compare two byte arrays
+   */
+  static bytesEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  }
 }
 
 // Export for use in other files
@@ -0,0 +1,215 @@
+/**
+ * Byte reader/writer for Bitcoin wire formats
+ * Little-endian integers, CompactSize varints and length-prefixed slices
+ */
+
+/**
+ * Sequential reader with strict bounds checking
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  /**
+   * Number of unread bytes
+   */
+  remaining() {
+    return this.bytes.length - this.offset;
+  }
+
+  /**
+   * Read raw bytes
+   */
+  readBytes(length) {
+    if (length > this.remaining()) {
+      throw new Error(`Unexpected end of data: need ${length} bytes at offset ${this.offset}, ${this.remaining()} left`);
+    }
+
+    const slice = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  /**
+   * Read one byte without consuming it
+   */
+  peekUInt8() {
+    if (this.remaining() < 1) {
+      throw new Error(`Unexpected end of data at offset ${this.offset}`);
+    }
+    return this.bytes[this.offset];
+  }
+
+  readUInt8() {
+    return this.readBytes(1)[0];
+  }
+
+  readUInt16LE() {
+    const b = this.readBytes(2);
+    return b[0] | (b[1] << 8);
+  }
+
+  readUInt32LE() {
+    const b = this.readBytes(4);
+    return (b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] << 24)) >>> 0;
+  }
+
+  /**
+   * Read 64-bit unsigned integer
+   * @returns {bigint}
+   */
+  readUInt64LE() {
+    const low = BigInt(this.readUInt32LE());
+    const high = BigInt(this.readUInt32LE());
+    return (high << 32n) | low;
+  }
+
+  /**
+   * Read CompactSize varint (0xfd = uint16, 0xfe = uint32, 0xff = uint64)
+   * Non-canonical encodings are rejected, as Bitcoin Core does
+   * @returns {number}
+   */
+  readVarInt() {
+    const start = this.offset;
+    const prefix = this.readUInt8();
+
+    let value;
+    let minimum;
+    if (prefix < 0xfd) {
+      return prefix;
+    } else if (prefix === 0xfd) {
+      value = this.readUInt16LE();
+      minimum = 0xfd;
+    } else if (prefix === 0xfe) {
+      value = this.readUInt32LE();
+      minimum = 0x10000;
+    } else {
+      const big = this.readUInt64LE();
+      if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error(`CompactSize at offset ${start} is too large`);
+      }
+      value = Number(big);
+      minimum = 0x100000000;
+    }
+
+    if (value < minimum) {
+      throw new Error(`Non-canonical CompactSize at offset ${start}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Read CompactSize length followed by that many bytes
+   */
+  readVarSlice() {
+    return this.readBytes(this.readVarInt());
+  }
+
+  /**
+   * Throw if any bytes are left unread
+   */
+  assertAtEnd() {
+    if (this.remaining() !== 0) {
+      throw new Error(`Unexpected ${this.remaining()} trailing byte(s) at offset ${this.offset}`);
+    }
+  }
+}
+
+/**
+ * Growable writer producing a Uint8Array
+ */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  writeBytes(bytes) {
+    const chunk = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+    return this;
+  }
+
+  writeUInt8(value) {
+    return this.writeBytes([value & 0xff]);
+  }
+
+  writeUInt16LE(value) {
+    return this.writeBytes([value & 0xff, (value >>> 8) & 0xff]);
+  }
+
+  writeUInt32LE(value) {
+    return this.writeBytes([
+      value & 0xff,
+      (value >>> 8) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 24) & 0xff
+    ]);
+  }
+
+  /**
+   * Write 64-bit unsigned integer
+   * @param {bigint|number} value
+   */
+  writeUInt64LE(value) {
+    const big = BigInt(value);
+    if (big < 0n || big > 0xffffffffffffffffn) {
+      throw new Error(`Value ${big} does not fit in 64 bits`);
+    }
+
+    this.writeUInt32LE(Number(big & 0xffffffffn));
+    return this.writeUInt32LE(Number(big >> 32n));
+  }
+
+  /**
+   * Write CompactSize varint using the shortest encoding
+   */
+  writeVarInt(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Invalid CompactSize value ${value}`);
+    }
+
+    if (value < 0xfd) {
+      return this.writeUInt8(value);
+    } else if (value <= 0xffff) {
+      this.writeUInt8(0xfd);
+      return this.writeUInt16LE(value);
+    } else if (value <= 0xffffffff) {
+      this.writeUInt8(0xfe);
+      return this.writeUInt32LE(value);
+    }
+
+    this.writeUInt8(0xff);
+    return this.writeUInt64LE(value);
+  }
+
+  /**
+   * Write CompactSize length followed by the bytes
+   */
+  writeVarSlice(bytes) {
+    this.writeVarInt(bytes.length);
+    return this.writeBytes(bytes);
+  }
+
+  /**
+   * Concatenate everything written so far
+   */
+  toBytes() {
+    const result = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return result;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ByteReader, ByteWriter };
+}
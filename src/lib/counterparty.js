@@ -0,0 +1,455 @@
+/**
+ * Counterparty message decoder
+ * Extracts the embedded message from OP_RETURN or bare multisig outputs and parses it,
+ * so the signing window can show what the transaction does instead of trusting the page
+ * Requires BitcoinSigner (bitcoin-simple.js), AddressCodec (address-codec.js) and Networks (networks.js)
+ */
+
+class CounterpartyDecoder {
+  static PREFIX = [0x43, 0x4e, 0x54, 0x52, 0x50, 0x52, 0x54, 0x59]; // 'CNTRPRTY'
+
+  // Message type IDs
+  static MESSAGE_TYPES = {
+    0: 'send',
+    2: 'enhanced_send',
+    4: 'sweep',
+    10: 'order',
+    12: 'dispenser',
+    20: 'issuance',
+    21: 'issuance',
+    22: 'issuance',
+    23: 'issuance',
+    110: 'destroy'
+  };
+
+  static DISPENSER_STATUS = { 0: 'open', 1: 'open (empty address)', 10: 'closed' };
+
+  static SUBASSET_DIGITS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.-_@!';
+
+  /**
+   * Decode the Counterparty message carried by a transaction
+   * @param {Object} tx - Transaction as returned by BitcoinSigner.parseTransaction
+   * @param {Object} options
+   * @param {Object} options.network - Network profile for addresses (default: mainnet)
+   * @returns {Promise<Object|null>} Decoded message, or null if the transaction carries none
+   */
+  static async decodeTransaction(tx, options = {}) {
+    const extracted = this.extractData(tx);
+    if (!extracted) return null;
+
+    const message = await this.decodeMessage(extracted.data, options);
+    message.encoding = extracted.encoding;
+
+    // Classic sends pay the destination with the first output
+    if (message.type === 'send' && tx.outputs.length > 0 && extracted.dataOutputs[0] !== 0) {
+      message.destination = await BitcoinSigner.scriptToAddress(tx.outputs[0].script, options);
+    }
+
+    return message;
+  }
+
+  /**
+   * Find and decrypt Counterparty data
+   * The ARC4 key is the txid of the first input, in display byte order
+   * @returns {{data: Uint8Array, encoding: string, dataOutputs: number[]}|null} Data without the prefix
+   */
+  static extractData(tx) {
+    if (tx.inputs.length === 0) return null;
+    const key = tx.inputs[0].hash.slice().reverse();
+
+    // OP_RETURN: one push, prefix inside the ciphertext
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const pushed = this.getOpReturnData(tx.outputs[i].script);
+      if (!pushed) continue;
+
+      const decrypted = this.arc4(key, pushed);
+      if (this.hasPrefix(decrypted, 0)) {
+        return { data: decrypted.slice(this.PREFIX.length), encoding: 'opreturn', dataOutputs: [i] };
+      }
+    }
+
+    // Bare multisig: every key but the last carries data, each output is encrypted separately
+    const chunks = [];
+    const dataOutputs = [];
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const pubkeys = this.getMultisigPubkeys(tx.outputs[i].script);
+      if (!pubkeys) continue;
+
+      const encrypted = [];
+      for (const pubkey of pubkeys.slice(0, -1)) {
+        encrypted.push(...pubkey.slice(1, -1));
+      }
+
+      const decrypted = this.arc4(key, new Uint8Array(encrypted));
+      if (!this.hasPrefix(decrypted, 1)) continue;
+
+      const length = decrypted[0];
+      if (length < this.PREFIX.length || length + 1 > decrypted.length) {
+        throw new Error(`Invalid Counterparty multisig chunk length in output ${i}`);
+      }
+      chunks.push(...decrypted.slice(1 + this.PREFIX.length, 1 + length));
+      dataOutputs.push(i);
+    }
+
+    if (dataOutputs.length > 0) {
+      return { data: new Uint8Array(chunks), encoding: 'multisig', dataOutputs };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a message (type ID followed by the type-specific payload)
+   */
+  static async decodeMessage(data, options = {}) {
+    if (data.length === 0) {
+      throw new Error('Empty Counterparty message');
+    }
+
+    // Non-zero first byte is a short (1-byte) type ID, otherwise 4 bytes big-endian
+    let typeId;
+    let payload;
+    if (data[0] !== 0) {
+      typeId = data[0];
+      payload = data.slice(1);
+    } else {
+      const view = this.reader(data);
+      typeId = view.uint32();
+      payload = view.rest();
+    }
+
+    const type = this.MESSAGE_TYPES[typeId];
+    const reader = this.reader(payload);
+    const base = { type: type || 'unknown', typeId };
+
+    switch (type) {
+      case 'send':
+        return { ...base, asset: this.assetName(reader.uint64()), quantity: reader.uint64() };
+
+      case 'enhanced_send':
+        return {
+          ...base,
+          asset: this.assetName(reader.uint64()),
+          quantity: reader.uint64(),
+          destination: await this.unpackAddress(reader.bytes(21), options),
+          memo: this.decodeText(reader.rest())
+        };
+
+      case 'sweep':
+        return {
+          ...base,
+          destination: await this.unpackAddress(reader.bytes(21), options),
+          flags: reader.uint8(),
+          memo: this.decodeText(reader.rest())
+        };
+
+      case 'order':
+        return {
+          ...base,
+          giveAsset: this.assetName(reader.uint64()),
+          giveQuantity: reader.uint64(),
+          getAsset: this.assetName(reader.uint64()),
+          getQuantity: reader.uint64(),
+          expiration: reader.uint16(),
+          feeRequired: reader.uint64()
+        };
+
+      case 'dispenser': {
+        const message = {
+          ...base,
+          asset: this.assetName(reader.uint64()),
+          giveQuantity: reader.uint64(),
+          escrowQuantity: reader.uint64(),
+          mainchainRate: reader.uint64()
+        };
+        const status = reader.uint8();
+        message.status = this.DISPENSER_STATUS[status] || `unknown (${status})`;
+        if (reader.remaining() >= 21) {
+          message.actionAddress = await this.unpackAddress(reader.bytes(21), options);
+        }
+        if (reader.remaining() >= 21) {
+          message.oracleAddress = await this.unpackAddress(reader.bytes(21), options);
+        }
+        return message;
+      }
+
+      case 'issuance':
+        return { ...base, ...this.decodeIssuance(typeId, reader) };
+
+      case 'destroy':
+        return {
+          ...base,
+          asset: this.assetName(reader.uint64()),
+          quantity: reader.uint64(),
+          tag: this.decodeText(reader.rest())
+        };
+
+      default:
+        return { ...base, payload: BitcoinSigner.bytesToHex(payload) };
+    }
+  }
+
+  /**
+   * Parse an issuance payload
+   * 20: asset, quantity, divisible, callable, call date, call price, description
+   * 21: subasset variant of 20 without call fields, with the compacted long name
+   * 22/23: as 20/21 with lock and reset flags
+   */
+  static decodeIssuance(typeId, reader) {
+    const issuance = {
+      asset: this.assetName(reader.uint64()),
+      quantity: reader.uint64(),
+      divisible: reader.uint8() !== 0
+    };
+
+    if (typeId === 22 || typeId === 23) {
+      issuance.lock = reader.uint8() !== 0;
+      issuance.reset = reader.uint8() !== 0;
+    }
+
+    if (typeId === 21 || typeId === 23) {
+      const nameLength = reader.uint8();
+      issuance.subassetLongname = this.expandSubassetLongname(reader.bytes(nameLength));
+    } else if (reader.remaining() >= 9) {
+      // Absent in the oldest issuance format
+      issuance.callable = reader.uint8() !== 0;
+      issuance.callDate = reader.uint32();
+      issuance.callPrice = reader.float32();
+    }
+
+    issuance.description = this.decodeText(reader.rest());
+    return issuance;
+  }
+
+  /**
+   * Compare the decoded message with page-supplied details
+   * @returns {string[]} Human-readable mismatches (empty if consistent)
+   */
+  static compareDetails(message, details) {
+    const mismatches = [];
+    if (!details) return mismatches;
+
+    const claimedType = String(details.type || details.transactionType || '').toLowerCase();
+    const typeMatches = !claimedType ||
+      claimedType === message.type ||
+      (claimedType === 'send' && ['send', 'enhanced_send'].includes(message.type));
+    if (!typeMatches) {
+      mismatches.push(`Type: page says "${claimedType}", transaction is "${message.type}"`);
+    }
+
+    if (details.asset && message.asset && !this.sameAsset(details.asset, message)) {
+      mismatches.push(`Asset: page says ${details.asset}, transaction uses ${message.subassetLongname || message.asset}`);
+    }
+
+    if (details.quantity !== undefined && message.quantity !== undefined &&
+        !this.sameQuantity(details.quantity, message.quantity, message.divisible)) {
+      mismatches.push(`Quantity: page says ${details.quantity}, transaction has ${message.quantity} base units`);
+    }
+
+    if (details.destination && message.destination && details.destination !== message.destination) {
+      mismatches.push(`Destination: page says ${details.destination}, transaction pays ${message.destination}`);
+    }
+
+    if (details.description !== undefined && message.description !== undefined &&
+        details.description !== message.description) {
+      mismatches.push('Description differs from the one in the transaction');
+    }
+
+    if (details.lock !== undefined && message.lock !== undefined && Boolean(details.lock) !== message.lock) {
+      mismatches.push(`Lock: page says ${details.lock ? 'Yes' : 'No'}, transaction says ${message.lock ? 'Yes' : 'No'}`);
+    }
+
+    return mismatches;
+  }
+
+  static sameAsset(claimed, message) {
+    const name = String(claimed).toUpperCase();
+    return name === message.asset.toUpperCase() ||
+      (message.subassetLongname !== undefined && name === message.subassetLongname.toUpperCase());
+  }
+
+  /**
+   * Quantities may be given in base units or, for divisible assets, in whole units
+   */
+  static sameQuantity(claimed, baseUnits, divisible) {
+    let claimedUnits;
+    try {
+      claimedUnits = BigInt(claimed);
+    } catch (error) {
+      claimedUnits = null;
+    }
+    if (claimedUnits === baseUnits) return true;
+    if (divisible === false) return false;
+
+    return Math.round(Number(claimed) * 1e8) === Number(baseUnits);
+  }
+
+  /**
+   * Asset ID to name: BTC, XCP, numeric (A...) or base-26 alphabetic
+   */
+  static assetName(assetId) {
+    if (assetId === 0n) return 'BTC';
+    if (assetId === 1n) return 'XCP';
+
+    if (assetId < 26n ** 3n) {
+      throw new Error(`Invalid Counterparty asset ID ${assetId}`);
+    }
+    if (assetId >= 26n ** 12n + 1n) {
+      return `A${assetId}`;
+    }
+
+    let name = '';
+    let value = assetId;
+    while (value > 0n) {
+      name = String.fromCharCode(65 + Number(value % 26n)) + name;
+      value /= 26n;
+    }
+    return name;
+  }
+
+  /**
+   * Expand a compacted subasset long name (base-68 digits, most significant first)
+   */
+  static expandSubassetLongname(bytes) {
+    let value = bytes.length > 0 ? BigInt('0x' + BitcoinSigner.bytesToHex(bytes)) : 0n;
+    let name = '';
+    while (value > 0n) {
+      const digit = Number(value % 68n);
+      name = this.SUBASSET_DIGITS.at(digit - 1) + name;
+      value /= 68n;
+    }
+    return name;
+  }
+
+  /**
+   * Unpack a 21-byte Counterparty address: version byte + hash, 0x80 marks a v0 witness program
+   */
+  static async unpackAddress(bytes, options = {}) {
+    const { network = Networks.MAINNET } = options;
+
+    if (bytes[0] === 0x80) {
+      return await AddressCodec.encode('p2wpkh', bytes.slice(1), network);
+    }
+    return await BitcoinSigner.base58CheckEncode(bytes);
+  }
+
+  /**
+   * Data pushed by an OP_RETURN script, or null
+   */
+  static getOpReturnData(script) {
+    if (script.length < 2 || script[0] !== 0x6a) return null;
+
+    const opcode = script[1];
+    let start;
+    let length;
+    if (opcode >= 0x01 && opcode <= 0x4b) {
+      start = 2;
+      length = opcode;
+    } else if (opcode === 0x4c && script.length >= 3) {
+      start = 3;
+      length = script[2];
+    } else if (opcode === 0x4d && script.length >= 4) {
+      start = 4;
+      length = script[2] | (script[3] << 8);
+    } else {
+      return null;
+    }
+
+    if (start + length !== script.length) return null;
+    return script.slice(start, start + length);
+  }
+
+  /**
+   * Public keys of a bare 1-of-2 or 1-of-3 multisig script, or null
+   */
+  static getMultisigPubkeys(script) {
+    if (script.length < 3 || script[0] !== 0x51 || script[script.length - 1] !== 0xae) return null;
+
+    const pubkeys = [];
+    let offset = 1;
+    while (offset < script.length - 2) {
+      const length = script[offset];
+      if ((length !== 33 && length !== 65) || offset + 1 + length > script.length - 2) return null;
+      pubkeys.push(script.slice(offset + 1, offset + 1 + length));
+      offset += 1 + length;
+    }
+
+    const count = script[script.length - 2] - 0x50;
+    if (offset !== script.length - 2 || count !== pubkeys.length || (count !== 2 && count !== 3)) return null;
+    return pubkeys;
+  }
+
+  static hasPrefix(bytes, offset) {
+    return bytes.length >= offset + this.PREFIX.length &&
+      this.PREFIX.every((byte, i) => bytes[offset + i] === byte);
+  }
+
+  /**
+   * ARC4 stream cipher (encryption and decryption are the same operation)
+   */
+  static arc4(key, data) {
+    const state = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) state[i] = i;
+
+    let j = 0;
+    for (let i = 0; i < 256; i++) {
+      j = (j + state[i] + key[i % key.length]) & 0xff;
+      [state[i], state[j]] = [state[j], state[i]];
+    }
+
+    const output = new Uint8Array(data.length);
+    let i = 0;
+    j = 0;
+    for (let n = 0; n < data.length; n++) {
+      i = (i + 1) & 0xff;
+      j = (j + state[i]) & 0xff;
+      [state[i], state[j]] = [state[j], state[i]];
+      output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+    }
+    return output;
+  }
+
+  /**
+   * Decode UTF-8 text, falling back to hex for binary data
+   */
+  static decodeText(bytes) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return `0x${BitcoinSigner.bytesToHex(bytes)}`;
+    }
+  }
+
+  /**
+   * Big-endian reader for message payloads
+   */
+  static reader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    const take = (length) => {
+      if (offset + length > bytes.length) {
+        throw new Error(`Truncated Counterparty message: need ${length} bytes at offset ${offset}`);
+      }
+      const start = offset;
+      offset += length;
+      return start;
+    };
+
+    return {
+      uint8: () => view.getUint8(take(1)),
+      uint16: () => view.getUint16(take(2)),
+      uint32: () => view.getUint32(take(4)),
+      uint64: () => view.getBigUint64(take(8)),
+      float32: () => view.getFloat32(take(4)),
+      bytes: (length) => bytes.slice(take(length), offset),
+      rest: () => bytes.slice(take(bytes.length - offset)),
+      remaining: () => bytes.length - offset
+    };
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CounterpartyDecoder;
+}
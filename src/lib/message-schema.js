@@ -0,0 +1,67 @@
+/**
+ * Payload checks for runtime messages
+ * A schema maps each field to a type: string, number, integer, boolean, array, object or null, several joined
+ * with '|', and a trailing '?' for an optional field. Fields the schema does not name are rejected
+ */
+
+class MessageSchema {
+  /**
+   * Check a message payload; a missing payload is an empty object
+   * @param {Object<string, string>} schema - Field name to type, e.g. { requestId: 'string', details: 'object|null?' }
+   * @throws {Error} Naming the first field that does not match
+   */
+  static validate(data, schema) {
+    const payload = data === undefined ? {} : data;
+    if (!this.matches(payload, 'object')) {
+      throw new Error('Invalid payload: expected an object');
+    }
+
+    for (const field of Object.keys(payload)) {
+      if (!Object.hasOwn(schema, field)) {
+        throw new Error(`Invalid payload: unexpected field '${field}'`);
+      }
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.endsWith('?');
+      const types = spec.replace(/\?$/, '').split('|');
+      const value = payload[field];
+
+      if (value === undefined) {
+        if (!optional) {
+          throw new Error(`Invalid payload: '${field}' is required`);
+        }
+        continue;
+      }
+      if (!types.some(type => this.matches(value, type))) {
+        throw new Error(`Invalid payload: '${field}' must be ${types.join(' or ')}`);
+      }
+    }
+  }
+
+  static matches(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        throw new Error(`Unknown schema type: ${type}`);
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageSchema;
+}
@@ -0,0 +1,101 @@
+/**
+ * "Bitcoin Signed Message" signatures: 65-byte compact recoverable ECDSA, base64 encoded
+ * Header byte 27-34 is P2PKH (31+ compressed key), 35-38 P2SH-P2WPKH and 39-42 P2WPKH (BIP137)
+ * Requires nobleSecp256k1, ByteWriter (byte-stream.js), BitcoinSigner (bitcoin-simple.js) and AddressCodec (address-codec.js)
+ */
+
+class MessageSigner {
+  static MAGIC = 'Bitcoin Signed Message:\n';
+
+  // First header byte per address type, before adding the recovery id
+  static HEADERS = { 'p2pkh-uncompressed': 27, 'p2pkh': 31, 'p2sh-p2wpkh': 35, 'p2wpkh': 39 };
+
+  /**
+   * Double SHA256 of the magic prefix and message, each with a varint length
+   */
+  static async hash(message) {
+    const writer = new ByteWriter();
+    writer.writeVarSlice(new TextEncoder().encode(this.MAGIC));
+    writer.writeVarSlice(new TextEncoder().encode(message));
+    return await BitcoinSigner.doubleSha256(writer.toBytes());
+  }
+
+  /**
+   * Sign a message with an account key
+   * @param {string} scriptType - Account script type; picks the header byte
+   * @param {boolean} compressed - Whether the account uses the compressed public key
+   * @returns {Promise<string>} Base64 signature
+   */
+  static async sign(message, privateKey, scriptType = 'p2pkh', compressed = true) {
+    if (scriptType === 'p2tr') {
+      throw new Error('Taproot addresses cannot sign with the legacy message format');
+    }
+    BitcoinSigner.assertKeyFormat(scriptType, compressed);
+
+    const [signature, recovery] = await nobleSecp256k1.sign(await this.hash(message), privateKey, {
+      canonical: true,
+      der: false,
+      recovered: true
+    });
+
+    const base = scriptType === 'p2pkh' && !compressed ? this.HEADERS['p2pkh-uncompressed'] : this.HEADERS[scriptType];
+    return this.toBase64(new Uint8Array([base + recovery, ...signature]));
+  }
+
+  /**
+   * Verify a signature against an address of the given network
+   * A compressed-key header matches P2PKH, P2SH-P2WPKH and P2WPKH addresses of the recovered key, since some
+   * wallets sign SegWit addresses with the P2PKH header
+   * @returns {Promise<boolean>} Whether the recovered key controls the address
+   */
+  static async verify(message, signatureBase64, address, network = Networks.MAINNET) {
+    const { script } = await AddressCodec.decode(address, network);
+
+    let bytes;
+    try {
+      bytes = this.fromBase64(signatureBase64);
+    } catch (error) {
+      throw new Error('Invalid signature: not base64');
+    }
+    if (bytes.length !== 65) {
+      throw new Error(`Invalid signature: expected 65 bytes, got ${bytes.length}`);
+    }
+
+    const header = bytes[0];
+    if (header < 27 || header > 42) {
+      throw new Error(`Invalid signature: unknown header byte ${header}`);
+    }
+    const compressed = header >= 31;
+    const recovery = (header - 27) % 4;
+
+    let publicKey;
+    try {
+      publicKey = nobleSecp256k1.recoverPublicKey(await this.hash(message), bytes.slice(1), recovery, compressed);
+    } catch (error) {
+      return false;
+    }
+
+    const publicKeyHash = await BitcoinSigner.hash160(publicKey);
+    const candidates = [BitcoinSigner.createP2PKHScript(publicKeyHash)];
+    if (compressed) {
+      const redeemScript = BitcoinSigner.createP2WPKHScript(publicKeyHash);
+      candidates.push(redeemScript, BitcoinSigner.createP2SHScript(await BitcoinSigner.hash160(redeemScript)));
+    }
+
+    const scriptHex = BitcoinSigner.bytesToHex(script);
+    return candidates.some(candidate => BitcoinSigner.bytesToHex(candidate) === scriptHex);
+  }
+
+  static toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  static fromBase64(str) {
+    return Uint8Array.from(atob(str), char => char.charCodeAt(0));
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageSigner;
+}
@@ -0,0 +1,192 @@
+/**
+ * Network profiles: address and key encoding parameters, explorer and API endpoints
+ * Built-in Bitcoin mainnet, testnet and regtest, plus user-defined chains given as JSON
+ * api is the balances gateway; historyApi is an Esplora-compatible API for address transaction history
+ */
+
+class Networks {
+  static MAINNET = Object.freeze({
+    id: 'mainnet',
+    name: 'Bitcoin',
+    bech32: 'bc',
+    pubKeyHash: 0x00,
+    scriptHash: 0x05,
+    wif: 0x80,
+    bip32: Object.freeze({ public: 0x0488b21e, private: 0x0488ade4 }),
+    coinType: 0,
+    explorer: Object.freeze({
+      address: 'https://mempool.space/address/{address}',
+      tx: 'https://mempool.space/tx/{txid}'
+    }),
+    api: 'http://5.189.162.95:3000',
+    historyApi: 'https://mempool.space/api'
+  });
+
+  static TESTNET = Object.freeze({
+    id: 'testnet',
+    name: 'Bitcoin Testnet',
+    bech32: 'tb',
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef,
+    bip32: Object.freeze({ public: 0x043587cf, private: 0x04358394 }),
+    coinType: 1,
+    explorer: Object.freeze({
+      address: 'https://mempool.space/testnet/address/{address}',
+      tx: 'https://mempool.space/testnet/tx/{txid}'
+    }),
+    api: null,
+    historyApi: 'https://mempool.space/testnet/api'
+  });
+
+  static REGTEST = Object.freeze({
+    id: 'regtest',
+    name: 'Bitcoin Regtest',
+    bech32: 'bcrt',
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef,
+    bip32: Object.freeze({ public: 0x043587cf, private: 0x04358394 }),
+    coinType: 1,
+    explorer: null,
+    api: 'http://localhost:3000',
+    historyApi: null
+  });
+
+  static BUILTIN = [this.MAINNET, this.TESTNET, this.REGTEST];
+
+  /**
+   * Find a profile by id among the built-ins and the given custom profiles
+   */
+  static get(id, customNetworks = []) {
+    const network = [...this.BUILTIN, ...customNetworks].find(profile => profile.id === id);
+    if (!network) {
+      throw new Error(`Unknown network: ${id}`);
+    }
+    return network;
+  }
+
+  /**
+   * Validate user-supplied chain parameters and return a normalized profile
+   * Version bytes accept numbers or hex strings ("0x6f"); bip32 defaults to the mainnet xpub/xprv versions
+   * @param {Object|string} input - Profile object or its JSON text
+   */
+  static validate(input) {
+    let profile = input;
+    if (typeof input === 'string') {
+      try {
+        profile = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`Invalid network JSON: ${error.message}`);
+      }
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('Invalid network: expected a JSON object');
+    }
+
+    const id = profile.id;
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,31}$/.test(id)) {
+      throw new Error('Invalid network: id must be 1-32 lowercase letters, digits or dashes');
+    }
+    if (this.BUILTIN.some(builtin => builtin.id === id)) {
+      throw new Error(`Invalid network: id '${id}' is reserved for a built-in network`);
+    }
+
+    const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (name.length === 0 || name.length > 40) {
+      throw new Error('Invalid network: name must be 1-40 characters');
+    }
+
+    const bech32 = profile.bech32;
+    if (typeof bech32 !== 'string' || !/^[\x21-\x7e]{1,83}$/.test(bech32) || bech32 !== bech32.toLowerCase()) {
+      throw new Error('Invalid network: bech32 must be a lowercase human-readable part of 1-83 characters');
+    }
+
+    const pubKeyHash = this.parseInteger(profile.pubKeyHash, 'pubKeyHash', 0xff);
+    const scriptHash = this.parseInteger(profile.scriptHash, 'scriptHash', 0xff);
+    const wif = this.parseInteger(profile.wif, 'wif', 0xff);
+    if (pubKeyHash === scriptHash) {
+      throw new Error('Invalid network: pubKeyHash and scriptHash must differ');
+    }
+
+    const bip32 = profile.bip32 === undefined ? this.MAINNET.bip32 : {
+      public: this.parseInteger(profile.bip32?.public, 'bip32.public', 0xffffffff),
+      private: this.parseInteger(profile.bip32?.private, 'bip32.private', 0xffffffff)
+    };
+    if (bip32.public === bip32.private) {
+      throw new Error('Invalid network: bip32 public and private versions must differ');
+    }
+
+    const coinType = profile.coinType === undefined ? 0 : this.parseInteger(profile.coinType, 'coinType', 0x7fffffff);
+
+    let explorer = null;
+    if (profile.explorer !== undefined && profile.explorer !== null) {
+      explorer = {
+        address: this.parseUrl(profile.explorer.address, 'explorer.address', '{address}'),
+        tx: this.parseUrl(profile.explorer.tx, 'explorer.tx', '{txid}')
+      };
+    }
+
+    const api = profile.api === undefined || profile.api === null
+      ? null
+      : this.parseUrl(profile.api, 'api').replace(/\/+$/, '');
+    const historyApi = profile.historyApi === undefined || profile.historyApi === null
+      ? null
+      : this.parseUrl(profile.historyApi, 'historyApi').replace(/\/+$/, '');
+
+    return { id, name, bech32, pubKeyHash, scriptHash, wif, bip32, coinType, explorer, api, historyApi, custom: true };
+  }
+
+  /**
+   * Explorer link for an address or transaction, or null if the network has no explorer
+   * @param {string} kind - 'address' or 'tx'
+   */
+  static explorerUrl(network, kind, value) {
+    const template = network.explorer?.[kind];
+    if (!template) return null;
+    return template.replace(kind === 'tx' ? '{txid}' : '{address}', encodeURIComponent(value));
+  }
+
+  /**
+   * Parameters a web page may see
+   */
+  static describe(network) {
+    return {
+      id: network.id,
+      name: network.name,
+      bech32: network.bech32,
+      pubKeyHash: network.pubKeyHash,
+      scriptHash: network.scriptHash,
+      custom: Boolean(network.custom)
+    };
+  }
+
+  static parseInteger(value, field, max) {
+    const number = typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value) ? parseInt(value, 16) : value;
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+      throw new Error(`Invalid network: ${field} must be an integer between 0 and ${max}`);
+    }
+    return number;
+  }
+
+  static parseUrl(value, field, placeholder) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error(`Invalid network: ${field} must be a URL`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`Invalid network: ${field} must use http or https`);
+    }
+    if (placeholder && !value.includes(placeholder)) {
+      throw new Error(`Invalid network: ${field} must contain ${placeholder}`);
+    }
+    return value;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Networks;
+}
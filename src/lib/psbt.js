@@ -0,0 +1,330 @@
+/**
+ * PSBT (BIP174) parser and serializer
+ * Keeps every key-value entry so unknown and proprietary fields survive a round trip
+ * Requires ByteReader/ByteWriter (byte-stream.js) and BitcoinSigner (bitcoin-simple.js)
+ */
+
+class Psbt {
+  static MAGIC = [0x70, 0x73, 0x62, 0x74, 0xff]; // 'psbt' + 0xff
+
+  // Global key types
+  static GLOBAL_UNSIGNED_TX = 0x00;
+  static GLOBAL_VERSION = 0xfb;
+
+  // Input key types
+  static IN_NON_WITNESS_UTXO = 0x00;
+  static IN_WITNESS_UTXO = 0x01;
+  static IN_PARTIAL_SIG = 0x02;
+  static IN_SIGHASH_TYPE = 0x03;
+  static IN_REDEEM_SCRIPT = 0x04;
+  static IN_WITNESS_SCRIPT = 0x05;
+  static IN_BIP32_DERIVATION = 0x06;
+  static IN_FINAL_SCRIPTSIG = 0x07;
+  static IN_FINAL_SCRIPTWITNESS = 0x08;
+  static IN_TAP_KEY_SIG = 0x13;
+  static IN_TAP_INTERNAL_KEY = 0x17;
+
+  // Output key types
+  static OUT_REDEEM_SCRIPT = 0x00;
+  static OUT_WITNESS_SCRIPT = 0x01;
+  static OUT_BIP32_DERIVATION = 0x02;
+
+  // Key data lengths allowed for known key types; keys of other types are kept as they are
+  static GLOBAL_KEY_DATA = { [this.GLOBAL_UNSIGNED_TX]: [0], [this.GLOBAL_VERSION]: [0] };
+  static INPUT_KEY_DATA = {
+    [this.IN_NON_WITNESS_UTXO]: [0], [this.IN_WITNESS_UTXO]: [0], [this.IN_PARTIAL_SIG]: [33, 65],
+    [this.IN_SIGHASH_TYPE]: [0], [this.IN_REDEEM_SCRIPT]: [0], [this.IN_WITNESS_SCRIPT]: [0],
+    [this.IN_BIP32_DERIVATION]: [33, 65], [this.IN_FINAL_SCRIPTSIG]: [0], [this.IN_FINAL_SCRIPTWITNESS]: [0],
+    [this.IN_TAP_KEY_SIG]: [0], [this.IN_TAP_INTERNAL_KEY]: [0]
+  };
+  static OUTPUT_KEY_DATA = {
+    [this.OUT_REDEEM_SCRIPT]: [0], [this.OUT_WITNESS_SCRIPT]: [0], [this.OUT_BIP32_DERIVATION]: [33, 65]
+  };
+
+  /**
+   * Decode PSBT from base64 or hex
+   * @returns {{tx: Object, globals: Array, inputs: Array<Array>, outputs: Array<Array>}}
+   *   tx is the unsigned transaction as returned by BitcoinSigner.parseTransaction,
+   *   each map is an array of {keyType, keyData, value} entries
+   */
+  static decode(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0) {
+      throw new Error('Invalid PSBT: expected base64 or hex string');
+    }
+
+    const bytes = /^[0-9a-fA-F]+$/.test(encoded) && encoded.length % 2 === 0 && encoded.toLowerCase().startsWith('70736274ff')
+      ? BitcoinSigner.hexToBytes(encoded)
+      : this.base64ToBytes(encoded);
+
+    return this.parse(bytes);
+  }
+
+  /**
+   * Parse PSBT bytes
+   */
+  static parse(bytes) {
+    const reader = new ByteReader(bytes);
+
+    const magic = reader.readBytes(5);
+    if (!this.MAGIC.every((b, i) => magic[i] === b)) {
+      throw new Error('Invalid PSBT: bad magic bytes');
+    }
+
+    const globals = this.readMap(reader, 'global', this.GLOBAL_KEY_DATA);
+
+    const version = this.getEntry(globals, this.GLOBAL_VERSION);
+    if (version && new ByteReader(version.value).readUInt32LE() !== 0) {
+      throw new Error('Unsupported PSBT version (only version 0 is supported)');
+    }
+
+    const unsignedTx = this.getEntry(globals, this.GLOBAL_UNSIGNED_TX);
+    if (!unsignedTx) {
+      throw new Error('Invalid PSBT: missing unsigned transaction');
+    }
+
+    const tx = BitcoinSigner.parseTransaction(BitcoinSigner.bytesToHex(unsignedTx.value));
+    if (tx.inputs.some(input => input.script.length > 0 || input.witness.length > 0)) {
+      throw new Error('Invalid PSBT: unsigned transaction has scriptSigs or witnesses');
+    }
+
+    const inputs = tx.inputs.map((_, i) => this.readMap(reader, `input ${i}`, this.INPUT_KEY_DATA));
+    const outputs = tx.outputs.map((_, i) => this.readMap(reader, `output ${i}`, this.OUTPUT_KEY_DATA));
+
+    reader.assertAtEnd();
+
+    return { tx, globals, inputs, outputs };
+  }
+
+  /**
+   * Read one key-value map up to its 0x00 separator
+   * @param {Object<number, number[]>} keyDataLengths - Allowed key data lengths per known key type
+   */
+  static readMap(reader, label, keyDataLengths) {
+    const entries = [];
+    const seen = new Set();
+
+    while (true) {
+      const key = reader.readVarSlice();
+      if (key.length === 0) break;
+
+      const keyReader = new ByteReader(key);
+      const keyType = keyReader.readVarInt();
+      const keyData = keyReader.readBytes(keyReader.remaining());
+      const value = reader.readVarSlice();
+
+      const keyHex = BitcoinSigner.bytesToHex(key);
+      const allowedLengths = keyDataLengths[keyType];
+      if (allowedLengths && !allowedLengths.includes(keyData.length)) {
+        throw new Error(`Invalid PSBT: key ${keyHex} in ${label} map has invalid key data`);
+      }
+      if (seen.has(keyHex)) {
+        throw new Error(`Invalid PSBT: duplicate key ${keyHex} in ${label} map`);
+      }
+      seen.add(keyHex);
+
+      entries.push({ keyType, keyData, value });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Serialize PSBT to bytes
+   */
+  static serialize(psbt) {
+    const writer = new ByteWriter();
+    writer.writeBytes(this.MAGIC);
+
+    for (const map of [psbt.globals, ...psbt.inputs, ...psbt.outputs]) {
+      for (const { keyType, keyData, value } of map) {
+        const key = new ByteWriter().writeVarInt(keyType).writeBytes(keyData).toBytes();
+        writer.writeVarSlice(key);
+        writer.writeVarSlice(value);
+      }
+      writer.writeUInt8(0x00); // Map separator
+    }
+
+    return writer.toBytes();
+  }
+
+  /**
+   * Serialize PSBT to base64
+   */
+  static toBase64(psbt) {
+    return this.bytesToBase64(this.serialize(psbt));
+  }
+
+  /**
+   * Find entry by key type and key data
+   */
+  static getEntry(map, keyType, keyData = new Uint8Array(0)) {
+    return map.find(entry => entry.keyType === keyType && BitcoinSigner.bytesEqual(entry.keyData, keyData));
+  }
+
+  /**
+   * Add or replace entry
+   */
+  static setEntry(map, keyType, keyData, value) {
+    const existing = this.getEntry(map, keyType, keyData);
+    if (existing) {
+      existing.value = value;
+    } else {
+      map.push({ keyType, keyData, value });
+    }
+  }
+
+  /**
+   * Get the output spent by an input from its witness or non-witness UTXO
+   * When an input has both, they must describe the same output
+   * @returns {Promise<{value: bigint, script: Uint8Array}|null>}
+   */
+  static async getInputUtxo(psbt, inputIndex) {
+    const input = psbt.inputs[inputIndex];
+    const txInput = psbt.tx.inputs[inputIndex];
+
+    const witnessUtxo = this.getEntry(input, this.IN_WITNESS_UTXO);
+    let witnessOutput = null;
+    if (witnessUtxo) {
+      const reader = new ByteReader(witnessUtxo.value);
+      const value = reader.readUInt64LE();
+      const script = reader.readVarSlice();
+      reader.assertAtEnd();
+      witnessOutput = { value, script };
+    }
+
+    const nonWitnessUtxo = this.getEntry(input, this.IN_NON_WITNESS_UTXO);
+    if (nonWitnessUtxo) {
+      const prevTx = BitcoinSigner.parseTransaction(BitcoinSigner.bytesToHex(nonWitnessUtxo.value));
+
+      // The full previous transaction must be the one this input spends
+      const legacyBytes = BitcoinSigner.hexToBytes(BitcoinSigner.serializeTransaction(prevTx, false));
+      const txid = await BitcoinSigner.doubleSha256(legacyBytes);
+      if (!BitcoinSigner.bytesEqual(txid, txInput.hash)) {
+        throw new Error(`Invalid PSBT: non-witness UTXO for input ${inputIndex} does not match its outpoint`);
+      }
+
+      const output = prevTx.outputs[txInput.index];
+      if (!output) {
+        throw new Error(`Invalid PSBT: non-witness UTXO for input ${inputIndex} has no output ${txInput.index}`);
+      }
+      if (witnessOutput && (witnessOutput.value !== output.value || !BitcoinSigner.bytesEqual(witnessOutput.script, output.script))) {
+        throw new Error(`Invalid PSBT: witness UTXO for input ${inputIndex} does not match its non-witness UTXO`);
+      }
+      return { value: output.value, script: output.script };
+    }
+
+    return witnessOutput;
+  }
+
+  /**
+   * Sighash type required by the PSBT creator for an input
+   * @returns {number|null}
+   */
+  static getSighashType(psbt, inputIndex) {
+    const entry = this.getEntry(psbt.inputs[inputIndex], this.IN_SIGHASH_TYPE);
+    if (!entry) return null;
+
+    const reader = new ByteReader(entry.value);
+    const sighashType = reader.readUInt32LE();
+    reader.assertAtEnd();
+    return sighashType;
+  }
+
+  /**
+   * Whether an input already carries its final scriptSig or witness
+   */
+  static isInputFinalized(psbt, inputIndex) {
+    const input = psbt.inputs[inputIndex];
+    return Boolean(this.getEntry(input, this.IN_FINAL_SCRIPTSIG) || this.getEntry(input, this.IN_FINAL_SCRIPTWITNESS));
+  }
+
+  /**
+   * Finalize input: store final scriptSig/witness and drop the signing data (BIP174 finalizer)
+   * UTXO fields and unknown/proprietary entries are kept
+   */
+  static finalizeInput(psbt, inputIndex, script, witness) {
+    // Signing data made obsolete by the final scripts (0x14-0x16, 0x18: Taproot script path and derivation fields)
+    const cleared = [
+      this.IN_PARTIAL_SIG, this.IN_SIGHASH_TYPE, this.IN_REDEEM_SCRIPT, this.IN_WITNESS_SCRIPT,
+      this.IN_BIP32_DERIVATION, this.IN_FINAL_SCRIPTSIG, this.IN_FINAL_SCRIPTWITNESS,
+      this.IN_TAP_KEY_SIG, this.IN_TAP_INTERNAL_KEY, 0x14, 0x15, 0x16, 0x18
+    ];
+
+    const input = psbt.inputs[inputIndex].filter(entry => !cleared.includes(entry.keyType));
+
+    if (script.length > 0) {
+      input.push({ keyType: this.IN_FINAL_SCRIPTSIG, keyData: new Uint8Array(0), value: script });
+    }
+    if (witness.length > 0) {
+      const writer = new ByteWriter().writeVarInt(witness.length);
+      for (const item of witness) writer.writeVarSlice(item);
+      input.push({ keyType: this.IN_FINAL_SCRIPTWITNESS, keyData: new Uint8Array(0), value: writer.toBytes() });
+    }
+
+    psbt.inputs[inputIndex] = input;
+  }
+
+  /**
+   * Build the network transaction once every input is finalized
+   * @returns {string|null} Signed transaction hex, or null if some input is not final
+   */
+  static extractTransaction(psbt) {
+    if (!psbt.inputs.every((_, i) => this.isInputFinalized(psbt, i))) {
+      return null;
+    }
+
+    const tx = {
+      ...psbt.tx,
+      inputs: psbt.tx.inputs.map((txInput, i) => ({ ...txInput, ...this.getFinalScripts(psbt, i) }))
+    };
+
+    return BitcoinSigner.serializeTransaction(tx);
+  }
+
+  /**
+   * Final scriptSig and witness of an input (empty where the input has none)
+   * @returns {{script: Uint8Array, witness: Uint8Array[]}}
+   */
+  static getFinalScripts(psbt, inputIndex) {
+    const finalScript = this.getEntry(psbt.inputs[inputIndex], this.IN_FINAL_SCRIPTSIG);
+    const finalWitness = this.getEntry(psbt.inputs[inputIndex], this.IN_FINAL_SCRIPTWITNESS);
+
+    const witness = [];
+    if (finalWitness) {
+      const reader = new ByteReader(finalWitness.value);
+      const count = reader.readVarInt();
+      for (let j = 0; j < count; j++) witness.push(reader.readVarSlice());
+      reader.assertAtEnd();
+    }
+
+    return { script: finalScript ? finalScript.value : new Uint8Array(0), witness };
+  }
+
+  static base64ToBytes(base64) {
+    let binary;
+    try {
+      binary = atob(base64);
+    } catch (error) {
+      throw new Error('Invalid PSBT: not valid base64 or hex');
+    }
+
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  static bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Psbt;
+}
@@ -0,0 +1,517 @@
+/**
+ * Minimal Bitcoin script interpreter for verifying signed transactions
+ * Covers P2PKH, P2SH, P2WPKH, P2WSH, bare multisig and Taproot key-path spends,
+ * which is enough to check every signature this wallet produces before it leaves the extension
+ * Requires BitcoinSigner (bitcoin-simple.js), Psbt (psbt.js) and nobleSecp256k1
+ */
+
+class ScriptInterpreter {
+  // Opcodes
+  static OP_0 = 0x00;
+  static OP_PUSHDATA1 = 0x4c;
+  static OP_PUSHDATA2 = 0x4d;
+  static OP_PUSHDATA4 = 0x4e;
+  static OP_1NEGATE = 0x4f;
+  static OP_1 = 0x51;
+  static OP_16 = 0x60;
+  static OP_VERIFY = 0x69;
+  static OP_RETURN = 0x6a;
+  static OP_DROP = 0x75;
+  static OP_DUP = 0x76;
+  static OP_EQUAL = 0x87;
+  static OP_EQUALVERIFY = 0x88;
+  static OP_SHA256 = 0xa8;
+  static OP_HASH160 = 0xa9;
+  static OP_HASH256 = 0xaa;
+  static OP_CHECKSIG = 0xac;
+  static OP_CHECKSIGVERIFY = 0xad;
+  static OP_CHECKMULTISIG = 0xae;
+  static OP_CHECKMULTISIGVERIFY = 0xaf;
+
+  static MAX_PUBKEYS_PER_MULTISIG = 20;
+
+  /**
+   * Check a signed transaction against the unsigned one it came from
+   * Only scriptSigs and witnesses may differ, and every signed input must satisfy its prevout script
+   * @param {string} unsignedTxHex
+   * @param {string} signedTxHex
+   * @param {Array<{value: number|string, script: string}>} prevouts - Spent outputs, one per input
+   * @param {number[]} signedInputs - Inputs to verify
+   * @throws {Error} Describing the first problem found
+   */
+  static async verifySignedTransaction(unsignedTxHex, signedTxHex, prevouts, signedInputs) {
+    const unsignedTx = BitcoinSigner.parseTransaction(unsignedTxHex);
+    const signedTx = BitcoinSigner.parseTransaction(signedTxHex);
+
+    this.assertSameSkeleton(unsignedTx, signedTx);
+
+    // The unsigned input may carry the spent script as a placeholder scriptSig
+    const spentOutputs = unsignedTx.inputs.map((input, i) => {
+      const script = BitcoinSigner.getInputSpentScript(input, prevouts[i]);
+      const hasValue = prevouts[i] && prevouts[i].value !== undefined && prevouts[i].value !== null;
+      return { script, value: hasValue ? BitcoinSigner.getPrevoutValue(prevouts[i], i) : null };
+    });
+
+    for (const index of signedInputs) {
+      try {
+        await this.verifyInput(signedTx, index, spentOutputs);
+      } catch (error) {
+        throw new Error(`Input ${index} failed verification: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check the inputs just signed in a PSBT against the outputs its UTXO fields say they spend
+   * Finalized inputs are checked with their final scripts, the others with the scripts the signer's
+   * partial (or Taproot key) signature would be finalized into
+   * @param {string} psbtEncoded - Signed PSBT, base64 or hex
+   * @param {number[]} signedInputs - Inputs to verify
+   * @param {Object} signer
+   * @param {string} signer.scriptType - Script type of the signing key
+   * @param {Uint8Array} signer.publicKey - Public key of the partial signatures (unused for p2tr)
+   * @throws {Error} Describing the first problem found
+   */
+  static async verifySignedPsbt(psbtEncoded, signedInputs, { scriptType, publicKey }) {
+    const psbt = Psbt.decode(psbtEncoded);
+
+    const spentOutputs = [];
+    for (let i = 0; i < psbt.tx.inputs.length; i++) {
+      spentOutputs.push(await Psbt.getInputUtxo(psbt, i) || { script: null, value: null });
+    }
+
+    const tx = { ...psbt.tx, inputs: psbt.tx.inputs.map(input => ({ ...input })) };
+    for (const index of signedInputs) {
+      try {
+        Object.assign(tx.inputs[index], await this.getSignedPsbtInputScripts(psbt, index, scriptType, publicKey));
+        await this.verifyInput(tx, index, spentOutputs);
+      } catch (error) {
+        throw new Error(`Input ${index} failed verification: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * scriptSig and witness of a signed PSBT input
+   */
+  static async getSignedPsbtInputScripts(psbt, inputIndex, scriptType, publicKey) {
+    if (Psbt.isInputFinalized(psbt, inputIndex)) {
+      return Psbt.getFinalScripts(psbt, inputIndex);
+    }
+
+    const input = psbt.inputs[inputIndex];
+    const entry = scriptType === 'p2tr'
+      ? Psbt.getEntry(input, Psbt.IN_TAP_KEY_SIG)
+      : Psbt.getEntry(input, Psbt.IN_PARTIAL_SIG, publicKey);
+    if (!entry) {
+      throw new Error('signature is missing');
+    }
+    return await BitcoinSigner.buildInputScripts(scriptType, entry.value, publicKey);
+  }
+
+  /**
+   * Throw unless both transactions have the same version, locktime, outpoints, sequences and outputs
+   */
+  static assertSameSkeleton(unsignedTx, signedTx) {
+    if (unsignedTx.version !== signedTx.version || unsignedTx.locktime !== signedTx.locktime) {
+      throw new Error('Signed transaction changed version or locktime');
+    }
+    if (unsignedTx.inputs.length !== signedTx.inputs.length || unsignedTx.outputs.length !== signedTx.outputs.length) {
+      throw new Error('Signed transaction changed the number of inputs or outputs');
+    }
+
+    unsignedTx.inputs.forEach((input, i) => {
+      const signed = signedTx.inputs[i];
+      if (!BitcoinSigner.bytesEqual(input.hash, signed.hash) || input.index !== signed.index || input.sequence !== signed.sequence) {
+        throw new Error(`Signed transaction changed input ${i}`);
+      }
+    });
+
+    unsignedTx.outputs.forEach((output, i) => {
+      const signed = signedTx.outputs[i];
+      if (output.value !== signed.value || !BitcoinSigner.bytesEqual(output.script, signed.script)) {
+        throw new Error(`Signed transaction changed output ${i}`);
+      }
+    });
+  }
+
+  /**
+   * Run one input's scriptSig and witness against the script it spends
+   * @param {Array<{script: Uint8Array|null, value: bigint|null}>} spentOutputs
+   */
+  static async verifyInput(tx, inputIndex, spentOutputs) {
+    const input = tx.inputs[inputIndex];
+    const scriptPubKey = spentOutputs[inputIndex].script;
+    if (!scriptPubKey) {
+      throw new Error('spent script is unknown');
+    }
+
+    const context = { tx, inputIndex, spentOutputs, sigVersion: 'base' };
+
+    const scriptSigOps = this.parseScript(input.script);
+    const stack = [];
+    await this.execute(scriptSigOps, stack, input.script, context);
+    const scriptSigStack = stack.slice();
+
+    await this.execute(this.parseScript(scriptPubKey), stack, scriptPubKey, context);
+    this.assertSuccess(stack);
+
+    // Native witness program: scriptSig must be empty
+    const program = this.getWitnessProgram(scriptPubKey);
+    if (program) {
+      if (input.script.length !== 0) {
+        throw new Error('witness program spent with a non-empty scriptSig');
+      }
+      return await this.verifyWitnessProgram(program, input.witness, context);
+    }
+
+    // P2SH: the last scriptSig push is the redeemScript
+    if (BitcoinSigner.classifyScript(scriptPubKey).type === 'p2sh') {
+      if (!scriptSigOps.every(op => op.data !== undefined)) {
+        throw new Error('P2SH scriptSig is not push-only');
+      }
+
+      const redeemScript = scriptSigStack.pop();
+      await this.execute(this.parseScript(redeemScript), scriptSigStack, redeemScript, context);
+      this.assertSuccess(scriptSigStack);
+
+      const nestedProgram = this.getWitnessProgram(redeemScript);
+      if (nestedProgram) {
+        if (scriptSigOps.length !== 1) {
+          throw new Error('nested witness program scriptSig must only push the redeemScript');
+        }
+        return await this.verifyWitnessProgram(nestedProgram, input.witness, context);
+      }
+    }
+
+    if (input.witness.length > 0) {
+      throw new Error('unexpected witness for a non-witness input');
+    }
+  }
+
+  /**
+   * Verify a witness v0 (P2WPKH, P2WSH) or v1 (Taproot key-path) spend
+   */
+  static async verifyWitnessProgram({ version, program }, witness, context) {
+    const { value } = context.spentOutputs[context.inputIndex];
+    if (value === null) {
+      throw new Error('spent amount is unknown');
+    }
+
+    if (version === 0 && program.length === 20) {
+      if (witness.length !== 2) {
+        throw new Error('P2WPKH witness must have 2 items');
+      }
+      const scriptCode = BitcoinSigner.createP2PKHScript(program);
+      const stack = witness.slice();
+      await this.execute(this.parseScript(scriptCode), stack, scriptCode, { ...context, sigVersion: 'witness_v0' });
+      return this.assertCleanSuccess(stack);
+    }
+
+    if (version === 0 && program.length === 32) {
+      if (witness.length === 0) {
+        throw new Error('P2WSH witness is empty');
+      }
+      const witnessScript = witness[witness.length - 1];
+      if (!BitcoinSigner.bytesEqual(await BitcoinSigner.sha256(witnessScript), program)) {
+        throw new Error('witness script does not match the P2WSH program');
+      }
+      const stack = witness.slice(0, -1);
+      await this.execute(this.parseScript(witnessScript), stack, witnessScript, { ...context, sigVersion: 'witness_v0' });
+      return this.assertCleanSuccess(stack);
+    }
+
+    if (version === 1 && program.length === 32) {
+      if (witness.length !== 1) {
+        throw new Error('only Taproot key-path spends can be verified');
+      }
+      return await this.verifyTaprootKeySpend(program, witness[0], context);
+    }
+
+    throw new Error(`unsupported witness program v${version}`);
+  }
+
+  /**
+   * Schnorr signature check for a Taproot key-path spend (BIP341)
+   */
+  static async verifyTaprootKeySpend(outputKey, signature, { tx, inputIndex, spentOutputs }) {
+    if (signature.length !== 64 && signature.length !== 65) {
+      throw new Error('invalid Schnorr signature length');
+    }
+
+    const sighashType = signature.length === 65 ? signature[64] : BitcoinSigner.SIGHASH_DEFAULT;
+    if (signature.length === 65 && sighashType === BitcoinSigner.SIGHASH_DEFAULT) {
+      throw new Error('explicit SIGHASH_DEFAULT byte');
+    }
+
+    const anyoneCanPay = (sighashType & BitcoinSigner.SIGHASH_ANYONECANPAY) !== 0;
+    for (let i = 0; i < tx.inputs.length; i++) {
+      if ((i === inputIndex || !anyoneCanPay) && (!spentOutputs[i].script || spentOutputs[i].value === null)) {
+        throw new Error(`spent output of input ${i} is unknown (required for Taproot)`);
+      }
+    }
+
+    const sigHash = await BitcoinSigner.createTaprootSignatureHash(tx, inputIndex, spentOutputs, sighashType);
+    const valid = await nobleSecp256k1.schnorr.verify(signature.slice(0, 64), sigHash, outputKey);
+    if (!valid) {
+      throw new Error('Schnorr signature is invalid');
+    }
+  }
+
+  /**
+   * Execute parsed script ops on a stack
+   * @param {Uint8Array} scriptCode - Script being executed, signed over by CHECKSIG
+   */
+  static async execute(ops, stack, scriptCode, context) {
+    for (const op of ops) {
+      if (op.data !== undefined) {
+        stack.push(op.data);
+        continue;
+      }
+
+      const { opcode } = op;
+      if (opcode === this.OP_1NEGATE) {
+        stack.push(new Uint8Array([0x81]));
+      } else if (opcode >= this.OP_1 && opcode <= this.OP_16) {
+        stack.push(new Uint8Array([opcode - this.OP_1 + 1]));
+      } else {
+        switch (opcode) {
+          case this.OP_VERIFY:
+            if (!this.castToBool(this.pop(stack))) throw new Error('OP_VERIFY failed');
+            break;
+
+          case this.OP_RETURN:
+            throw new Error('OP_RETURN executed');
+
+          case this.OP_DROP:
+            this.pop(stack);
+            break;
+
+          case this.OP_DUP: {
+            const top = this.pop(stack);
+            stack.push(top, top);
+            break;
+          }
+
+          case this.OP_EQUAL:
+          case this.OP_EQUALVERIFY: {
+            const b = this.pop(stack);
+            const a = this.pop(stack);
+            const equal = BitcoinSigner.bytesEqual(a, b);
+            if (opcode === this.OP_EQUALVERIFY) {
+              if (!equal) throw new Error('OP_EQUALVERIFY failed');
+            } else {
+              stack.push(equal ? new Uint8Array([1]) : new Uint8Array(0));
+            }
+            break;
+          }
+
+          case this.OP_SHA256:
+            stack.push(await BitcoinSigner.sha256(this.pop(stack)));
+            break;
+
+          case this.OP_HASH160:
+            stack.push(await BitcoinSigner.hash160(this.pop(stack)));
+            break;
+
+          case this.OP_HASH256:
+            stack.push(await BitcoinSigner.doubleSha256(this.pop(stack)));
+            break;
+
+          case this.OP_CHECKSIG:
+          case this.OP_CHECKSIGVERIFY: {
+            const publicKey = this.pop(stack);
+            const signature = this.pop(stack);
+            const valid = await this.checkSignature(signature, publicKey, scriptCode, context);
+            if (opcode === this.OP_CHECKSIGVERIFY) {
+              if (!valid) throw new Error('OP_CHECKSIGVERIFY failed');
+            } else {
+              stack.push(valid ? new Uint8Array([1]) : new Uint8Array(0));
+            }
+            break;
+          }
+
+          case this.OP_CHECKMULTISIG:
+          case this.OP_CHECKMULTISIGVERIFY: {
+            const valid = await this.checkMultisig(stack, scriptCode, context);
+            if (opcode === this.OP_CHECKMULTISIGVERIFY) {
+              if (!valid) throw new Error('OP_CHECKMULTISIGVERIFY failed');
+            } else {
+              stack.push(valid ? new Uint8Array([1]) : new Uint8Array(0));
+            }
+            break;
+          }
+
+          default:
+            throw new Error(`unsupported opcode 0x${opcode.toString(16).padStart(2, '0')}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * OP_CHECKMULTISIG: m signatures must match m of the n keys, in order
+   */
+  static async checkMultisig(stack, scriptCode, context) {
+    const keyCount = this.popNumber(stack);
+    if (keyCount < 0 || keyCount > this.MAX_PUBKEYS_PER_MULTISIG) {
+      throw new Error('invalid multisig key count');
+    }
+    const publicKeys = [];
+    for (let i = 0; i < keyCount; i++) publicKeys.unshift(this.pop(stack));
+
+    const sigCount = this.popNumber(stack);
+    if (sigCount < 0 || sigCount > keyCount) {
+      throw new Error('invalid multisig signature count');
+    }
+    const signatures = [];
+    for (let i = 0; i < sigCount; i++) signatures.unshift(this.pop(stack));
+
+    // Extra element consumed by the original off-by-one, must be empty (NULLDUMMY)
+    if (this.pop(stack).length !== 0) {
+      throw new Error('multisig dummy element is not empty');
+    }
+
+    let keyIndex = 0;
+    for (const signature of signatures) {
+      while (keyIndex < publicKeys.length &&
+             !(await this.checkSignature(signature, publicKeys[keyIndex], scriptCode, context))) {
+        keyIndex++;
+      }
+      if (keyIndex === publicKeys.length) return false;
+      keyIndex++;
+    }
+    return true;
+  }
+
+  /**
+   * ECDSA signature check: DER signature + sighash byte against the legacy or BIP143 sighash
+   */
+  static async checkSignature(signature, publicKey, scriptCode, { tx, inputIndex, spentOutputs, sigVersion }) {
+    if (signature.length === 0) return false;
+
+    const sighashType = signature[signature.length - 1];
+    const der = signature.slice(0, -1);
+
+    let sigHash;
+    try {
+      sigHash = sigVersion === 'witness_v0'
+        ? await BitcoinSigner.createSegwitSignatureHash(tx, inputIndex, scriptCode, spentOutputs[inputIndex].value, sighashType)
+        : await BitcoinSigner.createSignatureHash(tx, inputIndex, scriptCode, sighashType);
+      return nobleSecp256k1.verify(der, sigHash, publicKey, { strict: false });
+    } catch (error) {
+      // Malformed signature, key or sighash type
+      return false;
+    }
+  }
+
+  /**
+   * Split a script into ops: pushes carry data, everything else an opcode
+   * @returns {Array<{opcode: number, data?: Uint8Array}>}
+   */
+  static parseScript(script) {
+    const ops = [];
+    let offset = 0;
+
+    while (offset < script.length) {
+      const opcode = script[offset++];
+
+      let length = null;
+      if (opcode === this.OP_0) {
+        length = 0;
+      } else if (opcode < this.OP_PUSHDATA1) {
+        length = opcode;
+      } else if (opcode === this.OP_PUSHDATA1) {
+        length = script[offset];
+        offset += 1;
+      } else if (opcode === this.OP_PUSHDATA2) {
+        length = script[offset] | (script[offset + 1] << 8);
+        offset += 2;
+      } else if (opcode === this.OP_PUSHDATA4) {
+        length = (script[offset] | (script[offset + 1] << 8) | (script[offset + 2] << 16) | (script[offset + 3] << 24)) >>> 0;
+        offset += 4;
+      }
+
+      if (length === null) {
+        ops.push({ opcode });
+        continue;
+      }
+
+      if (Number.isNaN(length) || offset + length > script.length) {
+        throw new Error('script push runs past the end of the script');
+      }
+      ops.push({ opcode, data: script.slice(offset, offset + length) });
+      offset += length;
+    }
+
+    return ops;
+  }
+
+  /**
+   * Witness version and program of a witness output script, or null
+   */
+  static getWitnessProgram(script) {
+    if (script.length < 4 || script.length > 42) return null;
+
+    const versionOp = script[0];
+    if (versionOp !== this.OP_0 && (versionOp < this.OP_1 || versionOp > this.OP_16)) return null;
+    if (script[1] + 2 !== script.length) return null;
+
+    return {
+      version: versionOp === this.OP_0 ? 0 : versionOp - this.OP_1 + 1,
+      program: script.slice(2)
+    };
+  }
+
+  static pop(stack) {
+    if (stack.length === 0) {
+      throw new Error('stack underflow');
+    }
+    return stack.pop();
+  }
+
+  /**
+   * Pop a small script number (OP_1..OP_16 or a minimal 1-byte push)
+   */
+  static popNumber(stack) {
+    const bytes = this.pop(stack);
+    if (bytes.length === 0) return 0;
+    if (bytes.length > 1) {
+      throw new Error('script number too large');
+    }
+    return bytes[0] & 0x80 ? -(bytes[0] & 0x7f) : bytes[0];
+  }
+
+  /**
+   * Script truthiness: any non-zero byte, except negative zero
+   */
+  static castToBool(bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] !== 0) {
+        return !(i === bytes.length - 1 && bytes[i] === 0x80);
+      }
+    }
+    return false;
+  }
+
+  static assertSuccess(stack) {
+    if (stack.length === 0 || !this.castToBool(stack[stack.length - 1])) {
+      throw new Error('script evaluated to false');
+    }
+  }
+
+  /**
+   * Witness scripts must leave exactly one true element (CLEANSTACK)
+   */
+  static assertCleanSuccess(stack) {
+    this.assertSuccess(stack);
+    if (stack.length !== 1) {
+      throw new Error('witness script left extra stack elements');
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScriptInterpreter;
+}
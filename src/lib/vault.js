@@ -0,0 +1,153 @@
+/**
+ * Encrypted vault: every account key and the recovery phrase in one AES-GCM blob
+ * The key is derived once per unlock (PBKDF2-SHA256); version, KDF parameters and hasMnemonic stay readable
+ * outside the ciphertext and are authenticated as AES-GCM additional data, so they cannot be altered unnoticed
+ * Requires Encryption (encryption.js) for base64 and the pre-vault per-secret format
+ */
+
+class Vault {
+  static VERSION = 1;
+  static ITERATIONS = 600000;
+
+  // Refuse parameters that would stall the service worker before the tag is even checked
+  static MAX_ITERATIONS = 10000000;
+
+  /**
+   * Create a vault with a new salt
+   * @param {{mnemonic: string|null, keys: Object<string, string>}} secrets - Recovery phrase and WIF per account id
+   * @returns {Promise<{vault: Object, key: CryptoKey}>} Stored blob and the derived key, kept in memory while unlocked
+   */
+  static async create(password, secrets) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: this.ITERATIONS, salt: Encryption.arrayBufferToBase64(salt) };
+    const key = await this.deriveKey(password, kdf);
+    const vault = await this.seal({ version: this.VERSION, kdf }, key, secrets);
+    return { vault, key };
+  }
+
+  /**
+   * Decrypt a vault
+   * @returns {Promise<{secrets: Object, key: CryptoKey}>}
+   * @throws {Error} On a wrong password, tampered metadata or an unsupported vault
+   */
+  static async open(vault, password) {
+    this.assertSupported(vault);
+    const key = await this.deriveKey(password, vault.kdf);
+    return { secrets: await this.decrypt(vault, key), key };
+  }
+
+  /**
+   * Decrypt a vault with an already derived key
+   * @returns {Promise<Object>} Secrets
+   */
+  static async decrypt(vault, key) {
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: Encryption.base64ToArrayBuffer(vault.iv), additionalData: this.encodeMetadata(vault) },
+        key,
+        Encryption.base64ToArrayBuffer(vault.ciphertext)
+      );
+    } catch (error) {
+      throw new Error('Incorrect password or corrupted vault');
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Encrypt secrets under an already derived key, with a fresh IV
+   * @param {Object} vault - Existing vault (or just its version and kdf) whose KDF parameters are kept
+   * @returns {Promise<Object>} New vault blob
+   */
+  static async seal(vault, key, secrets) {
+    const metadata = { version: vault.version, kdf: vault.kdf, hasMnemonic: Boolean(secrets.mnemonic) };
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: this.encodeMetadata(metadata) },
+      key,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    return {
+      ...metadata,
+      iv: Encryption.arrayBufferToBase64(iv),
+      ciphertext: Encryption.arrayBufferToBase64(ciphertext)
+    };
+  }
+
+  /**
+   * Move pre-vault ciphertexts (Encryption format) that decrypt with a password into vault contents
+   * Accounts and the recovery phrase were each encrypted with the password typed when they were added;
+   * ones that do not decrypt keep their ciphertext for a later call with their own password
+   * @param {{encryptedMnemonic: string|null, accounts: Array<Object>}} wallet - Moved ciphertexts are removed from it
+   * @param {Function} accountId - Key of an account in secrets.keys
+   * @returns {Promise<number>} Number of secrets moved
+   */
+  static async migrateLegacy(wallet, password, secrets, accountId) {
+    let migrated = 0;
+
+    if (wallet.encryptedMnemonic) {
+      try {
+        secrets.mnemonic = await Encryption.decrypt(wallet.encryptedMnemonic, password);
+        wallet.encryptedMnemonic = null;
+        migrated++;
+      } catch (error) {
+        // Different password, stays pending
+      }
+    }
+
+    for (const account of wallet.accounts.filter(acc => acc.encryptedPrivateKey)) {
+      try {
+        secrets.keys[accountId(account)] = await Encryption.decrypt(account.encryptedPrivateKey, password);
+        delete account.encryptedPrivateKey;
+        migrated++;
+      } catch (error) {
+        // Different password, stays pending
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Not extractable: the key only ever lives in the memory of the worker that derived it
+   */
+  static async deriveKey(password, kdf) {
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: Encryption.base64ToArrayBuffer(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static assertSupported(vault) {
+    if (!vault || vault.version !== this.VERSION) {
+      throw new Error(`Unsupported vault version: ${vault?.version}`);
+    }
+    const { kdf } = vault;
+    if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) ||
+        kdf.iterations < 1 || kdf.iterations > this.MAX_ITERATIONS || typeof kdf.salt !== 'string') {
+      throw new Error('Invalid vault: unsupported key derivation parameters');
+    }
+  }
+
+  /**
+   * Additional data: the metadata fields in a fixed order
+   */
+  static encodeMetadata({ version, kdf, hasMnemonic }) {
+    return new TextEncoder().encode(JSON.stringify({
+      version,
+      kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+      hasMnemonic: Boolean(hasMnemonic)
+    }));
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Vault;
+}
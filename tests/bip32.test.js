@@ -0,0 +1,135 @@
+/**
+ * BIP32 derivation against test vectors 1 and 2, and the first account addresses
+ * of the BIP44/49/84/86 test mnemonic
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+
+const VECTORS = [
+  {
+    seed: '000102030405060708090a0b0c0d0e0f',
+    chain: [
+      {
+        path: 'm',
+        xpub: 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8',
+        xprv: 'xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi'
+      },
+      {
+        path: "m/0'",
+        xpub: 'xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw',
+        xprv: 'xprv9uHRZZhk6KAJC1avXpDAp4MDc3sQKNxDiPvvkX8Br5ngLNv1TxvUxt4cV1rGL5hj6KCesnDYUhd7oWgT11eZG7XnxHrnYeSvkzY7d2bhkJ7'
+      },
+      {
+        path: "m/0'/1",
+        xpub: 'xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ',
+        xprv: 'xprv9wTYmMFdV23N2TdNG573QoEsfRrWKQgWeibmLntzniatZvR9BmLnvSxqu53Kw1UmYPxLgboyZQaXwTCg8MSY3H2EU4pWcQDnRnrVA1xe8fs'
+      },
+      {
+        path: "m/0'/1/2'",
+        xpub: 'xpub6D4BDPcP2GT577Vvch3R8wDkScZWzQzMMUm3PWbmWvVJrZwQY4VUNgqFJPMM3No2dFDFGTsxxpG5uJh7n7epu4trkrX7x7DogT5Uv6fcLW5',
+        xprv: 'xprv9z4pot5VBttmtdRTWfWQmoH1taj2axGVzFqSb8C9xaxKymcFzXBDptWmT7FwuEzG3ryjH4ktypQSAewRiNMjANTtpgP4mLTj34bhnZX7UiM'
+      },
+      {
+        path: "m/0'/1/2'/2",
+        xpub: 'xpub6FHa3pjLCk84BayeJxFW2SP4XRrFd1JYnxeLeU8EqN3vDfZmbqBqaGJAyiLjTAwm6ZLRQUMv1ZACTj37sR62cfN7fe5JnJ7dh8zL4fiyLHV',
+        xprv: 'xprvA2JDeKCSNNZky6uBCviVfJSKyQ1mDYahRjijr5idH2WwLsEd4Hsb2Tyh8RfQMuPh7f7RtyzTtdrbdqqsunu5Mm3wDvUAKRHSC34sJ7in334'
+      },
+      {
+        path: "m/0'/1/2'/2/1000000000",
+        xpub: 'xpub6H1LXWLaKsWFhvm6RVpEL9P4KfRZSW7abD2ttkWP3SSQvnyA8FSVqNTEcYFgJS2UaFcxupHiYkro49S8yGasTvXEYBVPamhGW6cFJodrTHy',
+        xprv: 'xprvA41z7zogVVwxVSgdKUHDy1SKmdb533PjDz7J6N6mV6uS3ze1ai8FHa8kmHScGpWmj4WggLyQjgPie1rFSruoUihUZREPSL39UNdE3BBDu76'
+      }
+    ]
+  },
+  {
+    seed: 'fffcf9f6f3f0edeae7e4e1dedbd8d5d2cfccc9c6c3c0bdbab7b4b1aeaba8a5a29f9c999693908d8a8784817e7b7875726f6c696663605d5a5754514e4b484542',
+    chain: [
+      {
+        path: 'm',
+        xpub: 'xpub661MyMwAqRbcFW31YEwpkMuc5THy2PSt5bDMsktWQcFF8syAmRUapSCGu8ED9W6oDMSgv6Zz8idoc4a6mr8BDzTJY47LJhkJ8UB7WEGuduB',
+        xprv: 'xprv9s21ZrQH143K31xYSDQpPDxsXRTUcvj2iNHm5NUtrGiGG5e2DtALGdso3pGz6ssrdK4PFmM8NSpSBHNqPqm55Qn3LqFtT2emdEXVYsCzC2U'
+      },
+      {
+        path: 'm/0',
+        xpub: 'xpub69H7F5d8KSRgmmdJg2KhpAK8SR3DjMwAdkxj3ZuxV27CprR9LgpeyGmXUbC6wb7ERfvrnKZjXoUmmDznezpbZb7ap6r1D3tgFxHmwMkQTPH',
+        xprv: 'xprv9vHkqa6EV4sPZHYqZznhT2NPtPCjKuDKGY38FBWLvgaDx45zo9WQRUT3dKYnjwih2yJD9mkrocEZXo1ex8G81dwSM1fwqWpWkeS3v86pgKt'
+      },
+      {
+        path: "m/0/2147483647'",
+        xpub: 'xpub6ASAVgeehLbnwdqV6UKMHVzgqAG8Gr6riv3Fxxpj8ksbH9ebxaEyBLZ85ySDhKiLDBrQSARLq1uNRts8RuJiHjaDMBU4Zn9h8LZNnBC5y4a',
+        xprv: 'xprv9wSp6B7kry3Vj9m1zSnLvN3xH8RdsPP1Mh7fAaR7aRLcQMKTR2vidYEeEg2mUCTAwCd6vnxVrcjfy2kRgVsFawNzmjuHc2YmYRmagcEPdU9'
+      },
+      {
+        path: "m/0/2147483647'/1",
+        xpub: 'xpub6DF8uhdarytz3FWdA8TvFSvvAh8dP3283MY7p2V4SeE2wyWmG5mg5EwVvmdMVCQcoNJxGoWaU9DCWh89LojfZ537wTfunKau47EL2dhHKon',
+        xprv: 'xprv9zFnWC6h2cLgpmSA46vutJzBcfJ8yaJGg8cX1e5StJh45BBciYTRXSd25UEPVuesF9yog62tGAQtHjXajPPdbRCHuWS6T8XA2ECKADdw4Ef'
+      },
+      {
+        path: "m/0/2147483647'/1/2147483646'",
+        xpub: 'xpub6ERApfZwUNrhLCkDtcHTcxd75RbzS1ed54G1LkBUHQVHQKqhMkhgbmJbZRkrgZw4koxb5JaHWkY4ALHY2grBGRjaDMzQLcgJvLJuZZvRcEL',
+        xprv: 'xprvA1RpRA33e1JQ7ifknakTFpgNXPmW2YvmhqLQYMmrj4xJXXWYpDPS3xz7iAxn8L39njGVyuoseXzU6rcxFLJ8HFsTjSyQbLYnMpCqE2VbFWc'
+      },
+      {
+        path: "m/0/2147483647'/1/2147483646'/2",
+        xpub: 'xpub6FnCn6nSzZAw5Tw7cgR9bi15UV96gLZhjDstkXXxvCLsUXBGXPdSnLFbdpq8p9HmGsApME5hQTZ3emM2rnY5agb9rXpVGyy3bdW6EEgAtqt',
+        xprv: 'xprvA2nrNbFZABcdryreWet9Ea4LvTJcGsqrMzxHx98MMrotbir7yrKCEXw7nadnHM8Dq38EGfSh6dqA9QWTyefMLEcBYJUuekgW4BYPJcr9E7j'
+      }
+    ]
+  }
+];
+
+// First receive address of account 0 for "abandon abandon ... about" (no passphrase)
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const FIRST_ADDRESSES = {
+  'p2pkh': '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA',
+  'p2sh-p2wpkh': '37VucYSaXLCAsxYyAPfbSi9eh4iEcbShgf',
+  'p2wpkh': 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu',
+  'p2tr': 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+};
+
+test('BIP32 private derivation and serialization', async () => {
+  for (const { seed, chain } of VECTORS) {
+    const master = await Bip32.fromSeed(hex.toBytes(seed));
+    for (const { path, xpub, xprv } of chain) {
+      const node = await Bip32.derivePath(master, path);
+      assert.equal(await Bip32.toExtendedKey(node), xprv, path);
+      assert.equal(await Bip32.toExtendedKey(node, false), xpub, path);
+    }
+  }
+});
+
+test('BIP32 public derivation from the parent xpub', async () => {
+  for (const { chain } of VECTORS) {
+    for (let i = 1; i < chain.length; i++) {
+      const index = chain[i].path.split('/').pop();
+      if (index.endsWith("'")) continue;
+
+      const parent = await Bip32.fromExtendedKey(chain[i - 1].xpub);
+      const child = await Bip32.deriveChild(parent, Number(index));
+      assert.equal(child.privateKey, null);
+      assert.equal(await Bip32.toExtendedKey(child), chain[i].xpub, chain[i].path);
+    }
+  }
+});
+
+test('BIP32 extended keys parse back to the same node', async () => {
+  for (const { chain } of VECTORS) {
+    for (const { path, xpub, xprv } of chain) {
+      assert.equal(await Bip32.toExtendedKey(await Bip32.fromExtendedKey(xprv)), xprv, path);
+      assert.equal(await Bip32.toExtendedKey(await Bip32.fromExtendedKey(xpub)), xpub, path);
+    }
+  }
+
+  await assert.rejects(Bip32.fromExtendedKey(VECTORS[0].chain[0].xprv, Networks.TESTNET), /is not a Bitcoin Testnet key/);
+});
+
+test('BIP44/49/84/86 first addresses of the test mnemonic', async () => {
+  const master = await Bip32.fromSeed(await Bip39.mnemonicToSeed(TEST_MNEMONIC));
+
+  for (const [scriptType, address] of Object.entries(FIRST_ADDRESSES)) {
+    const node = await Bip32.derivePath(master, Bip32.getAccountPath(scriptType, 0));
+    assert.equal(await BitcoinSigner.deriveAddress(node.privateKey, scriptType, true, Networks.MAINNET), address, scriptType);
+  }
+});
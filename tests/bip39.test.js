@@ -0,0 +1,36 @@
+/**
+ * BIP39 mnemonics and seeds against the reference (Trezor) test vectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+const { passphrase, english } = require('./vectors/bip39.json');
+
+test('BIP39 entropy encodes to the vector mnemonic and back', async () => {
+  for (const { entropy, mnemonic } of english) {
+    assert.equal(await Bip39.entropyToMnemonic(hex.toBytes(entropy)), mnemonic);
+    assert.equal(hex.fromBytes(await Bip39.mnemonicToEntropy(mnemonic)), entropy);
+  }
+});
+
+test('BIP39 seeds with the passphrase TREZOR', async () => {
+  for (const { mnemonic, seed } of english) {
+    assert.equal(hex.fromBytes(await Bip39.mnemonicToSeed(mnemonic, passphrase)), seed, mnemonic);
+  }
+});
+
+test('BIP39 mnemonics are normalized before use', async () => {
+  const { mnemonic, seed } = english[0];
+  assert.equal(hex.fromBytes(await Bip39.mnemonicToSeed(`  ${mnemonic.toUpperCase().replace(/ /g, '   ')} `, passphrase)), seed);
+});
+
+test('BIP39 rejects a bad checksum, an unknown word and a wrong word count', async () => {
+  const words = english[0].mnemonic.split(' ');
+
+  await assert.rejects(Bip39.mnemonicToEntropy(words.map(() => 'abandon').join(' ')), /checksum mismatch/);
+  await assert.rejects(Bip39.mnemonicToEntropy([...words.slice(0, 11), 'bitcoin'].join(' ')), /unknown word 'bitcoin'/);
+  await assert.rejects(Bip39.mnemonicToEntropy(words.slice(0, 11).join(' ')), /got 11/);
+  assert.equal(await Bip39.validateMnemonic(words.slice(0, 11).join(' ')), false);
+  assert.equal(await Bip39.validateMnemonic(english[0].mnemonic), true);
+});
@@ -0,0 +1,88 @@
+/**
+ * Signature hashes and Taproot key-path signing against the BIP341 and BIP143 test vectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+const { keyPathSpending } = require('./vectors/bip341.json');
+
+const [bip341] = keyPathSpending;
+
+function spentOutputs(utxosSpent) {
+  return utxosSpent.map(({ scriptPubKey, amountSats }) => ({ value: BigInt(amountSats), script: hex.toBytes(scriptPubKey) }));
+}
+
+test('BIP341 signature hashes', async () => {
+  const tx = BitcoinSigner.parseTransaction(bip341.given.rawUnsignedTx);
+  const outputs = spentOutputs(bip341.given.utxosSpent);
+
+  for (const { given, intermediary } of bip341.inputSpending) {
+    const sigHash = await BitcoinSigner.createTaprootSignatureHash(tx, given.txinIndex, outputs, given.hashType);
+    assert.equal(hex.fromBytes(sigHash), intermediary.sigHash, `input ${given.txinIndex}`);
+  }
+});
+
+test('BIP341 internal and tweaked keys', async () => {
+  for (const { given, intermediary } of bip341.inputSpending) {
+    const { internalKey, outputKey, tweakedPrivateKey } = await BitcoinSigner.getTaprootKeys(hex.toBytes(given.internalPrivkey));
+    assert.equal(hex.fromBytes(internalKey), intermediary.internalPubkey, `input ${given.txinIndex}`);
+
+    // Accounts have no script tree; the other inputs commit to a Merkle root in their tweak
+    if (given.merkleRoot === null) {
+      assert.equal(hex.fromBytes(tweakedPrivateKey), intermediary.tweakedPrivkey, `input ${given.txinIndex}`);
+      assert.equal(hex.fromBytes(BitcoinSigner.createP2TRScript(outputKey)), bip341.given.utxosSpent[given.txinIndex].scriptPubKey);
+    }
+  }
+});
+
+test('BIP341 key-path signatures of keys without a script tree spend their output', async () => {
+  const tx = BitcoinSigner.parseTransaction(bip341.given.rawUnsignedTx);
+  const outputs = spentOutputs(bip341.given.utxosSpent);
+  const prevouts = bip341.given.utxosSpent.map(({ scriptPubKey, amountSats }) => ({ value: amountSats, script: scriptPubKey }));
+
+  const inputs = bip341.inputSpending.filter(({ given }) => given.merkleRoot === null);
+  assert.ok(inputs.length > 0);
+
+  for (const { given, expected } of inputs) {
+    const { signature } = await BitcoinSigner.createInputSignature(tx, given.txinIndex, hex.toBytes(given.internalPrivkey), {
+      scriptType: 'p2tr',
+      prevouts,
+      sighashType: given.hashType
+    });
+
+    // BIP340 signatures use fresh auxiliary randomness, so only the length and sighash byte match the vector
+    assert.equal(signature.length, hex.toBytes(expected.witness[0]).length);
+    assert.equal(signature[64], given.hashType);
+
+    tx.inputs[given.txinIndex].witness = [signature];
+    await ScriptInterpreter.verifyInput(tx, given.txinIndex, outputs);
+  }
+});
+
+test('BIP341 fully signed transaction verifies (Taproot, P2PKH and P2WPKH inputs)', async () => {
+  const tx = BitcoinSigner.parseTransaction(bip341.auxiliary.fullySignedTx);
+  const outputs = spentOutputs(bip341.given.utxosSpent);
+
+  for (let i = 0; i < tx.inputs.length; i++) {
+    await ScriptInterpreter.verifyInput(tx, i, outputs);
+  }
+
+  for (const { given, expected } of bip341.inputSpending) {
+    assert.deepEqual(tx.inputs[given.txinIndex].witness.map(hex.fromBytes), expected.witness);
+  }
+
+  // A signature made for another input does not verify
+  tx.inputs[0].witness = tx.inputs[1].witness;
+  await assert.rejects(ScriptInterpreter.verifyInput(tx, 0, outputs), /Schnorr signature is invalid/);
+});
+
+test('BIP143 native P2WPKH signature hash', async () => {
+  const tx = BitcoinSigner.parseTransaction(
+    '0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000'
+  );
+  const scriptCode = hex.toBytes('76a9141d0f172a0ecb48aee1be1f2687d2963ae33f71a188ac');
+
+  const sigHash = await BitcoinSigner.createSegwitSignatureHash(tx, 1, scriptCode, 600000000n, BitcoinSigner.SIGHASH_ALL);
+  assert.equal(hex.fromBytes(sigHash), 'c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670');
+});
@@ -0,0 +1,120 @@
+/**
+ * Counterparty message decoding against RC4 known-answer vectors (RFC 6229)
+ * and the encoded messages and transaction of the counterjs library tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+
+const text = (string) => new TextEncoder().encode(string);
+
+// RFC 6229, 40-bit key 0x0102030405: keystream bytes 0-31
+const RFC6229_KEY = '0102030405';
+const RFC6229_KEYSTREAM = 'b2396305f03dc027ccc3524a0a1118a86982944f18fc82d589c403a47a0d0919';
+
+const RC4_VECTORS = [
+  ['Key', 'Plaintext', 'bbf316e8d940af0ad3'],
+  ['Wiki', 'pedia', '1021bf0420'],
+  ['Secret', 'Attack at dawn', '45a01f645fc35b383552544b9bf5']
+];
+
+// Issuances encrypted with the txid of their first input (4-byte and 1-byte type IDs)
+const ENCRYPTED_ISSUANCES = [
+  {
+    key: 'b34ddf8904bcfc454c6f06d33e600942c7ce8f75dd2d46532f263a6e56d83d34',
+    encrypted: '5e1ef3f99e3a89060c43caacc0a05c15678ef8e9ba96f42e8dc64fa04dda759c2b0f4f8c34b91acf6f86e7',
+    decrypted: '434e545250525459000000148322228e656758700000000000000000010000000000000000000466756761',
+    asset: 'A9449152963158694000',
+    quantity: 0n
+  },
+  {
+    key: 'df6f0de63958079f284cc512ecfd843437e40b58bf478b87d864f3f5f4dee20e',
+    encrypted: '410a095f92654317ca6694841300849092a6f1043ddbd8980e269b4417cf2d2b5b0df03afc164ae865896e',
+    decrypted: '434e545250525459148f78715211fdc7f800000002540be40001000000000000000000077664677275636b',
+    asset: 'A10338137541932075000',
+    quantity: 10000000000n
+  }
+];
+
+// Testnet send of 1 VISVIRIAL to msTBjkycK1ZmPq1EBkQUwvSYq2fm5KrpJJ with OP_RETURN data
+const SEND_TX = '0100000001a846b9095330b95f689cef39d3d1871c98f9bc45d9b633fc0860f1e688130e990100000000ffffffff0336150000000000001976a91482eb113f0455107b1788093844f3027595b0b44888ac00000000000000001e6a1c6ad7042493a8749786f99d122f7aaa23dd5ac4d90d98acad76d9a7a92abdf405000000001976a9148be5ed53f1529e493b4c06f945f805b31afb400388ac00000000';
+
+test('ARC4 matches the RC4 known-answer vectors', () => {
+  assert.equal(hex.fromBytes(CounterpartyDecoder.arc4(hex.toBytes(RFC6229_KEY), new Uint8Array(32))), RFC6229_KEYSTREAM);
+
+  for (const [key, plaintext, ciphertext] of RC4_VECTORS) {
+    assert.equal(hex.fromBytes(CounterpartyDecoder.arc4(text(key), text(plaintext))), ciphertext, key);
+    assert.deepEqual(CounterpartyDecoder.arc4(text(key), hex.toBytes(ciphertext)), text(plaintext));
+  }
+});
+
+test('Encrypted issuances decrypt with the first input txid and decode', async () => {
+  for (const { key, encrypted, decrypted, asset, quantity } of ENCRYPTED_ISSUANCES) {
+    const data = CounterpartyDecoder.arc4(hex.toBytes(key), hex.toBytes(encrypted));
+    assert.equal(hex.fromBytes(data), decrypted);
+    assert.ok(CounterpartyDecoder.hasPrefix(data, 0));
+
+    // Descriptions were length-prefixed when these were made; only the fixed fields are compared
+    const message = await CounterpartyDecoder.decodeMessage(data.slice(CounterpartyDecoder.PREFIX.length));
+    assert.equal(message.type, 'issuance');
+    assert.equal(message.typeId, 20);
+    assert.equal(message.asset, asset);
+    assert.equal(message.quantity, quantity);
+    assert.equal(message.divisible, true);
+    assert.equal(message.callable, false);
+  }
+});
+
+test('OP_RETURN send decodes with the destination of the first output', async () => {
+  const tx = BitcoinSigner.parseTransaction(SEND_TX);
+  const message = await CounterpartyDecoder.decodeTransaction(tx, { network: Networks.TESTNET });
+
+  assert.deepEqual(message, {
+    type: 'send',
+    typeId: 0,
+    asset: 'VISVIRIAL',
+    quantity: 100000000n,
+    encoding: 'opreturn',
+    destination: 'msTBjkycK1ZmPq1EBkQUwvSYq2fm5KrpJJ'
+  });
+
+  assert.deepEqual(CounterpartyDecoder.compareDetails(message, { type: 'send', asset: 'VISVIRIAL', quantity: 1, destination: message.destination }), []);
+  assert.deepEqual(CounterpartyDecoder.compareDetails(message, { asset: 'XCP', quantity: '100000000', destination: 'mtGffL93zFs3gdhcFo5DGkCQxSJFfdttYa' }), [
+    'Asset: page says XCP, transaction uses VISVIRIAL',
+    'Destination: page says mtGffL93zFs3gdhcFo5DGkCQxSJFfdttYa, transaction pays msTBjkycK1ZmPq1EBkQUwvSYq2fm5KrpJJ'
+  ]);
+});
+
+test('Transactions without Counterparty data decode to null', async () => {
+  const tx = BitcoinSigner.parseTransaction(SEND_TX);
+  tx.inputs[0].hash = new Uint8Array(32);
+  assert.equal(await CounterpartyDecoder.decodeTransaction(tx), null);
+});
+
+test('Send and order payloads and asset names', async () => {
+  assert.deepEqual(await CounterpartyDecoder.decodeMessage(hex.toBytes('00000000' + '00000000000000010000000005f5e100')), {
+    type: 'send',
+    typeId: 0,
+    asset: 'XCP',
+    quantity: 100000000n
+  });
+
+  assert.deepEqual(
+    await CounterpartyDecoder.decodeMessage(hex.toBytes('0a' + '0000040d5cba2a73000000003b9aca0000000000000000010000001ca35f0e0003e80000000000000000')),
+    {
+      type: 'order',
+      typeId: 10,
+      giveAsset: 'VISVIRIAL',
+      giveQuantity: 1000000000n,
+      getAsset: 'XCP',
+      getQuantity: 123000000000n,
+      expiration: 1000,
+      feeRequired: 0n
+    }
+  );
+
+  assert.equal(CounterpartyDecoder.assetName(0xac59c7c2fd194d10n), 'A12419177087734730000');
+  assert.equal(CounterpartyDecoder.assetName(0x40d5cba2a73n), 'VISVIRIAL');
+  await assert.rejects(CounterpartyDecoder.decodeMessage(hex.toBytes('0000000000')), /Truncated Counterparty message/);
+});
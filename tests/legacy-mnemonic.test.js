@@ -0,0 +1,72 @@
+/**
+ * Electrum v1 phrase decoding and key derivation against Electrum's test vectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+
+// Word list edge cases (one 32-bit value per 3 words)
+const DECODE_VECTORS = [
+  ['like like like', '00000000'],
+  ['weary weary weary', '00000659'],
+  ['fail husband howl', 'ffffffff'],
+  ['spiral squeeze strain sunset suspend sympathy thigh throne total unseen weapon weary', '0028644c0028644f0028645200286455']
+];
+
+// Electrum's old-seed wallet test: seed, master public key and first receive address
+const ELECTRUM_V1 = {
+  phrase: 'powerful random nobody notice nothing important anyway look away hidden message over',
+  seed: 'acb740e454c3134901d7c8f16497cc1c',
+  masterPublicKey: 'e9d4b7866dd1e91c862aebf62a49548c7dbf7bcc6e4b7b8c9da820c7737968df9c09d5a3e271dc814a29981f81b3faaf2737b551ef5dcc6189cf0f8252c442b3',
+  firstAddress: '1FJEEB8ihPMbzs2SkLmr37dHyRFzakqUmo'
+};
+
+test('Electrum v1 word list has 1626 words', () => {
+  assert.equal(LegacyMnemonic.WORDLIST.length, 1626);
+  assert.equal(new Set(LegacyMnemonic.WORDLIST).size, 1626);
+});
+
+test('Electrum v1 phrases decode to the vector seeds', () => {
+  for (const [phrase, seed] of DECODE_VECTORS) {
+    assert.equal(LegacyMnemonic.decode(phrase), seed, phrase);
+  }
+
+  assert.throws(() => LegacyMnemonic.decode('like like'), /multiple of 3/);
+  assert.throws(() => LegacyMnemonic.decode('like like abandon'), /unknown word 'abandon'/);
+});
+
+test('Electrum v1 master public key and first address', async () => {
+  const { phrase, seed, masterPublicKey, firstAddress } = ELECTRUM_V1;
+  assert.equal(LegacyMnemonic.decode(phrase), seed);
+
+  const masterKey = await LegacyMnemonic.stretchKey(seed);
+  assert.equal(hex.fromBytes(nobleSecp256k1.getPublicKey(masterKey, false).slice(1)), masterPublicKey);
+
+  const [key] = await LegacyMnemonic.deriveKeys(phrase, 'electrum-v1', 1);
+  assert.equal(key.compressed, false);
+  assert.equal(key.derivationPath, '0/0');
+  assert.equal(await BitcoinSigner.deriveAddress(key.privateKey, 'p2pkh', false, Networks.MAINNET), firstAddress);
+});
+
+test('Legacy phrase formats', async () => {
+  assert.deepEqual(await LegacyMnemonic.detectFormats(ELECTRUM_V1.phrase), ['counterwallet', 'electrum-v1']);
+  assert.deepEqual(
+    await LegacyMnemonic.detectFormats('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'),
+    ['freewallet-bip39']
+  );
+
+  await assert.rejects(LegacyMnemonic.deriveKeys(ELECTRUM_V1.phrase, 'freewallet-bip39', 1), /not a valid FreeWallet \(BIP39\) phrase/);
+});
+
+test('Counterwallet keys follow BIP32 m/0\'/0/i from the decoded seed', async () => {
+  const keys = await LegacyMnemonic.deriveKeys(ELECTRUM_V1.phrase, 'counterwallet', 2, 3);
+  const master = await Bip32.fromSeed(hex.toBytes(ELECTRUM_V1.seed));
+
+  for (const { index, privateKey, compressed, derivationPath } of keys) {
+    assert.equal(derivationPath, `m/0'/0/${index}`);
+    assert.equal(compressed, true);
+    assert.equal(hex.fromBytes(privateKey), hex.fromBytes((await Bip32.derivePath(master, derivationPath)).privateKey));
+  }
+  assert.deepEqual(keys.map(({ index }) => index), [3, 4]);
+});
@@ -0,0 +1,131 @@
+/**
+ * Signed messages: BIP137 ("Bitcoin Signed Message") and BIP322 against published test vectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+
+// BIP137 deterministic signatures of one key, one per header type
+const BIP137 = {
+  wif: 'L4rK1yDtCWekvXuE6oXD9jCYfFNV2cWRpVuPLBcCU2z8TrisoyY1',
+  address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV',
+  message: 'This is an example of a signed message.',
+  signatures: {
+    'p2pkh': 'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=',
+    'p2sh-p2wpkh': 'I9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=',
+    'p2wpkh': 'J9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk='
+  }
+};
+
+// bitcore's testnet vector and a signature of another key
+const BIP137_TESTNET = {
+  address: 'n1ZCYg9YXtB5XCZazLxSmPDa8iwJRZHhGx',
+  message: 'hello, world',
+  signature: 'H/DIn8uA1scAuKLlCx+/9LnAcJtwQQ0PmcPrJUq90aboLv3fH5fFvY+vmbfOSFEtGarznYli6ShPr9RXwY9UrIY=',
+  badSignature: 'H69qZ4mbZCcvXk7CWjptD5ypnYVLvQ3eMXLM8+1gX21SLH/GaFnAjQrDn37+TDw79i9zHhbiMMwhtvTwnPigZ6k='
+};
+
+// BIP322 test vectors
+const BIP322 = {
+  wif: 'L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k',
+  address: 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l',
+  taprootAddress: 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3',
+  messages: [
+    {
+      message: '',
+      messageHash: 'c90c269c4f8fcbe6880f72a721ddfbf1914268a794cbb21cfafee13770ae19f1',
+      toSpend: 'c5680aa69bb8d860bf82d4e9cd3504b55dde018de765a91bb566283c545a99a7',
+      toSign: '1e9654e951a5ba44c8604c4de6c67fd78a27e81dcadcfe1edf638ba3aaebaed6',
+      signatures: ['AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=']
+    },
+    {
+      message: 'Hello World',
+      messageHash: 'f0eb03b1a75ac6d9847f55c624a99169b5dccba2a31f5b23bea77ba270de0a7a',
+      toSpend: 'b79d196740ad5217771c1098fc4a4b51e0535c32236c71f1ea4d61a2d603352b',
+      toSign: '88737ae86f2077145f93cc4b153ae9a1cb8d56afa511988c149c5c8c9d93bddf',
+      signatures: [
+        'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=',
+        'AkgwRQIhAOzyynlqt93lOKJr+wmmxIens//zPzl9tqIOua93wO6MAiBi5n5EyAcPScOjf1lAqIUIQtr3zKNeavYabHyR8eGhowEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy'
+      ],
+      taprootSignature: 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ=='
+    }
+  ]
+};
+
+async function txid(tx) {
+  return hex.fromBytes((await BitcoinSigner.doubleSha256(hex.toBytes(BitcoinSigner.serializeTransaction(tx, false)))).reverse());
+}
+
+test('BIP137 signatures for each header type', async () => {
+  const { privateKey } = await BitcoinSigner.parseWIF(BIP137.wif);
+
+  for (const [scriptType, signature] of Object.entries(BIP137.signatures)) {
+    assert.equal(await MessageSigner.sign(BIP137.message, privateKey, scriptType), signature, scriptType);
+
+    const address = await BitcoinSigner.deriveAddress(privateKey, scriptType);
+    assert.equal(await MessageSigner.verify(BIP137.message, signature, address), true, scriptType);
+  }
+
+  assert.equal(await BitcoinSigner.deriveAddress(privateKey, 'p2pkh'), BIP137.address);
+});
+
+test('BIP137 verification rejects another message or address', async () => {
+  const signature = BIP137.signatures.p2pkh;
+  assert.equal(await MessageSigner.verify(`${BIP137.message}!`, signature, BIP137.address), false);
+  assert.equal(await MessageSigner.verify(BIP137.message, signature, BIP322.address), false);
+  await assert.rejects(MessageSigner.verify(BIP137.message, signature.slice(4), BIP137.address), /expected 65 bytes/);
+});
+
+test('BIP137 testnet signatures', async () => {
+  const { address, message, signature, badSignature } = BIP137_TESTNET;
+  assert.equal(await MessageSigner.verify(message, signature, address, Networks.TESTNET), true);
+  assert.equal(await MessageSigner.verify(message, badSignature, address, Networks.TESTNET), false);
+  await assert.rejects(MessageSigner.verify(message, signature, address), /Bitcoin Testnet/);
+});
+
+test('BIP322 message hashes and virtual transactions', async () => {
+  const { script } = await AddressCodec.decode(BIP322.address);
+
+  for (const { message, messageHash, toSpend, toSign } of BIP322.messages) {
+    assert.equal(hex.fromBytes(await BitcoinSigner.bip322MessageHash(message)), messageHash);
+
+    const toSpendTx = await BitcoinSigner.createBip322ToSpend(script, message);
+    assert.equal(await txid(toSpendTx), toSpend);
+    assert.equal(await txid(await BitcoinSigner.createBip322ToSign(toSpendTx)), toSign);
+  }
+});
+
+test('BIP322 vector signatures verify', async () => {
+  for (const { message, signatures, taprootSignature } of BIP322.messages) {
+    for (const signature of signatures) {
+      assert.equal(await BitcoinSigner.verifyMessageBip322(message, signature, BIP322.address), true, JSON.stringify(message));
+      assert.equal(await BitcoinSigner.verifyMessageBip322(`${message}!`, signature, BIP322.address), false);
+    }
+    if (taprootSignature) {
+      assert.equal(await BitcoinSigner.verifyMessageBip322(message, taprootSignature, BIP322.taprootAddress), true);
+      assert.equal(await BitcoinSigner.verifyMessageBip322(message, taprootSignature, BIP322.address), false);
+    }
+  }
+});
+
+test('BIP322 signatures made here verify', async () => {
+  const { privateKey } = await BitcoinSigner.parseWIF(BIP322.wif);
+  assert.equal(await BitcoinSigner.deriveAddress(privateKey, 'p2wpkh'), BIP322.address);
+  assert.equal(await BitcoinSigner.deriveAddress(privateKey, 'p2tr'), BIP322.taprootAddress);
+
+  for (const { message } of BIP322.messages) {
+    for (const [scriptType, address] of [['p2wpkh', BIP322.address], ['p2tr', BIP322.taprootAddress]]) {
+      const signature = await BitcoinSigner.signMessageBip322(BIP322.wif, message, { scriptType });
+      assert.equal(await BitcoinSigner.verifyMessageBip322(message, signature, address), true, scriptType);
+    }
+
+    const full = await BitcoinSigner.signMessageBip322(BIP322.wif, message, { scriptType: 'p2pkh', format: 'bip322-full' });
+    const p2pkhAddress = await BitcoinSigner.deriveAddress(privateKey, 'p2pkh');
+    assert.equal(await BitcoinSigner.verifyMessageBip322(message, full, p2pkhAddress, 'bip322-full'), true);
+  }
+
+  // ECDSA signatures are deterministic (RFC6979); this one is the vector without low-R grinding
+  const [, hello] = BIP322.messages;
+  assert.equal(await BitcoinSigner.signMessageBip322(BIP322.wif, hello.message, { scriptType: 'p2wpkh' }), hello.signatures[1]);
+});
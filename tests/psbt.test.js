@@ -0,0 +1,236 @@
+/**
+ * PSBT parsing, signing and finalizing against the BIP174 test vectors,
+ * and signing PSBTs whose UTXO fields were tampered with
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hex } = require('./load-libs');
+const vectors = require('./vectors/bip174.json');
+
+/**
+ * Push data shorter than OP_PUSHDATA1
+ */
+function push(data) {
+  return [data.length, ...data];
+}
+
+/**
+ * Partial signatures of an input, by public key hex
+ */
+function partialSignatures(psbt, inputIndex) {
+  return Object.fromEntries(psbt.inputs[inputIndex]
+    .filter(entry => entry.keyType === Psbt.IN_PARTIAL_SIG)
+    .map(entry => [hex.fromBytes(entry.keyData), hex.fromBytes(entry.value)]));
+}
+
+/**
+ * Partial signatures of an input in the order of their keys in the script (as OP_CHECKMULTISIG needs them)
+ */
+function signaturesInKeyOrder(psbt, inputIndex, script) {
+  const scriptHex = hex.fromBytes(script);
+  return Object.entries(partialSignatures(psbt, inputIndex))
+    .sort(([a], [b]) => scriptHex.indexOf(a) - scriptHex.indexOf(b))
+    .map(([, signature]) => hex.toBytes(signature));
+}
+
+/**
+ * BIP174 signer for the 2-of-2 multisig inputs of the vectors: signs every input whose script has the key
+ */
+async function signMultisig(psbt, wif) {
+  const { privateKey } = await BitcoinSigner.parseWIF(wif, Networks.TESTNET);
+  const publicKey = await BitcoinSigner.getPublicKey(privateKey);
+
+  for (let i = 0; i < psbt.tx.inputs.length; i++) {
+    const witnessScript = Psbt.getEntry(psbt.inputs[i], Psbt.IN_WITNESS_SCRIPT);
+    const redeemScript = Psbt.getEntry(psbt.inputs[i], Psbt.IN_REDEEM_SCRIPT);
+    const script = (witnessScript || redeemScript).value;
+    if (!hex.fromBytes(script).includes(hex.fromBytes(publicKey))) continue;
+
+    const sighashType = Psbt.getSighashType(psbt, i);
+    const sigHash = witnessScript
+      ? await BitcoinSigner.createSegwitSignatureHash(psbt.tx, i, script, (await Psbt.getInputUtxo(psbt, i)).value, sighashType)
+      : await BitcoinSigner.createSignatureHash(psbt.tx, i, script, sighashType);
+    const signature = await BitcoinSigner.signECDSA(privateKey, sigHash);
+    Psbt.setEntry(psbt.inputs[i], Psbt.IN_PARTIAL_SIG, publicKey, new Uint8Array([...signature, sighashType]));
+  }
+}
+
+/**
+ * Unsigned one-input transaction spending output 0 of prevTx
+ */
+async function spend(prevTx, outputScript) {
+  const prevTxid = await BitcoinSigner.doubleSha256(hex.toBytes(BitcoinSigner.serializeTransaction(prevTx, false)));
+  return {
+    version: 2,
+    inputs: [{ hash: prevTxid, index: 0, script: new Uint8Array(0), sequence: 0xffffffff, witness: [] }],
+    outputs: [{ value: 90000000n, script: outputScript }],
+    locktime: 0
+  };
+}
+
+function createPsbt(unsignedTx, inputs) {
+  return Psbt.toBase64({
+    tx: unsignedTx,
+    globals: [{ keyType: Psbt.GLOBAL_UNSIGNED_TX, keyData: new Uint8Array(0), value: hex.toBytes(BitcoinSigner.serializeTransaction(unsignedTx)) }],
+    inputs,
+    outputs: unsignedTx.outputs.map(() => [])
+  });
+}
+
+function witnessUtxo(value, script) {
+  const writer = new ByteWriter().writeUInt64LE(value).writeVarSlice(script);
+  return { keyType: Psbt.IN_WITNESS_UTXO, keyData: new Uint8Array(0), value: writer.toBytes() };
+}
+
+function nonWitnessUtxo(prevTx) {
+  return { keyType: Psbt.IN_NON_WITNESS_UTXO, keyData: new Uint8Array(0), value: hex.toBytes(BitcoinSigner.serializeTransaction(prevTx)) };
+}
+
+/**
+ * A wallet key with a funding transaction paying 1 BTC to it
+ */
+async function createWallet(scriptType) {
+  const wif = vectors.workflow.signers[0][0];
+  const { privateKey } = await BitcoinSigner.parseWIF(wif, Networks.TESTNET);
+  const script = await BitcoinSigner.createScriptPubKey(privateKey, scriptType);
+  const prevTx = {
+    version: 2,
+    inputs: [{ hash: new Uint8Array(32).fill(1), index: 0, script: new Uint8Array(0), sequence: 0xffffffff, witness: [] }],
+    outputs: [{ value: 100000000n, script }],
+    locktime: 0
+  };
+  return { wif, script, prevTx, prevout: { value: '100000000', script: hex.fromBytes(script) } };
+}
+
+test('BIP174 valid PSBTs parse and serialize back to the same bytes', () => {
+  for (const { description, psbt } of vectors.valid) {
+    assert.equal(hex.fromBytes(Psbt.serialize(Psbt.decode(psbt))), psbt, description);
+  }
+});
+
+test('BIP174 invalid PSBTs are rejected', () => {
+  for (const { description, psbt } of vectors.invalid) {
+    assert.throws(() => Psbt.decode(psbt), Error, description);
+  }
+});
+
+test('BIP174 signers produce the partial signatures of the combined PSBT', async () => {
+  const { updated, signers, combined } = vectors.workflow;
+  const expected = Psbt.decode(combined);
+
+  for (const keys of signers) {
+    const psbt = Psbt.decode(updated);
+    for (const wif of keys) await signMultisig(psbt, wif);
+
+    let signed = 0;
+    for (let i = 0; i < psbt.tx.inputs.length; i++) {
+      for (const [publicKey, signature] of Object.entries(partialSignatures(psbt, i))) {
+        assert.equal(signature, partialSignatures(expected, i)[publicKey], `input ${i} key ${publicKey}`);
+        signed++;
+      }
+    }
+    assert.equal(signed, keys.length);
+  }
+});
+
+test('BIP174 finalizer and extractor produce the vector PSBT and transaction', async () => {
+  const { combined, finalized, extracted } = vectors.workflow;
+  const psbt = Psbt.decode(combined);
+
+  // Input 0: P2SH 2-of-2 multisig; the leading OP_0 is consumed by OP_CHECKMULTISIG
+  const redeemScript = Psbt.getEntry(psbt.inputs[0], Psbt.IN_REDEEM_SCRIPT).value;
+  const [a0, b0] = signaturesInKeyOrder(psbt, 0, redeemScript);
+  Psbt.finalizeInput(psbt, 0, new Uint8Array([0x00, ...push(a0), ...push(b0), ...push(redeemScript)]), []);
+
+  // Input 1: P2SH-P2WSH 2-of-2 multisig
+  const p2wshScript = Psbt.getEntry(psbt.inputs[1], Psbt.IN_REDEEM_SCRIPT).value;
+  const witnessScript = Psbt.getEntry(psbt.inputs[1], Psbt.IN_WITNESS_SCRIPT).value;
+  const [a1, b1] = signaturesInKeyOrder(psbt, 1, witnessScript);
+  Psbt.finalizeInput(psbt, 1, BitcoinSigner.createP2SHScriptSig(p2wshScript), [new Uint8Array(0), a1, b1, witnessScript]);
+
+  assert.equal(hex.fromBytes(Psbt.serialize(psbt)), finalized);
+  assert.equal(Psbt.extractTransaction(psbt), extracted);
+
+  // And the extracted transaction satisfies the scripts it spends
+  const spentOutputs = [await Psbt.getInputUtxo(psbt, 0), await Psbt.getInputUtxo(psbt, 1)];
+  const tx = BitcoinSigner.parseTransaction(extracted);
+  for (let i = 0; i < tx.inputs.length; i++) {
+    await ScriptInterpreter.verifyInput(tx, i, spentOutputs);
+  }
+});
+
+test('signPsbt signs and finalizes a P2WPKH input from its witness UTXO', async () => {
+  const { wif, script, prevTx, prevout } = await createWallet('p2wpkh');
+  const unsignedTx = await spend(prevTx, script);
+  const psbt = createPsbt(unsignedTx, [[witnessUtxo(100000000n, script)]]);
+
+  const result = await BitcoinSigner.signPsbt(wif, psbt, { scriptType: 'p2wpkh', finalize: true, network: Networks.TESTNET });
+  assert.deepEqual(result.signedInputs, [0]);
+  await ScriptInterpreter.verifySignedTransaction(BitcoinSigner.serializeTransaction(unsignedTx), result.txHex, [prevout], [0]);
+});
+
+test('a signature over a tampered witness UTXO amount does not spend the real output', async () => {
+  const { wif, script, prevTx, prevout } = await createWallet('p2wpkh');
+  const unsignedTx = await spend(prevTx, script);
+  const psbt = createPsbt(unsignedTx, [[witnessUtxo(200000000n, script)]]);
+
+  const result = await BitcoinSigner.signPsbt(wif, psbt, { scriptType: 'p2wpkh', finalize: true, network: Networks.TESTNET });
+  await assert.rejects(
+    ScriptInterpreter.verifySignedTransaction(BitcoinSigner.serializeTransaction(unsignedTx), result.txHex, [prevout], [0]),
+    /Input 0 failed verification/
+  );
+});
+
+test('a Taproot signature commits to the witness UTXO amounts of every input', async () => {
+  const { wif, script, prevTx } = await createWallet('p2tr');
+  prevTx.outputs.push({ value: 50000000n, script });
+  const unsignedTx = await spend(prevTx, script);
+  unsignedTx.inputs.push({ ...unsignedTx.inputs[0], index: 1 });
+
+  // Input 1's amount is understated; input 0 is the one signed
+  const psbt = createPsbt(unsignedTx, [[witnessUtxo(100000000n, script)], [witnessUtxo(1000n, script)]]);
+  const result = await BitcoinSigner.signPsbt(wif, psbt, { scriptType: 'p2tr', finalize: true, inputsToSign: [0], network: Networks.TESTNET });
+
+  const signedTx = BitcoinSigner.parseTransaction(BitcoinSigner.serializeTransaction({
+    ...unsignedTx,
+    inputs: unsignedTx.inputs.map((input, i) => ({ ...input, ...Psbt.getFinalScripts(Psbt.decode(result.psbt), i) }))
+  }));
+  const realOutputs = [{ value: 100000000n, script }, { value: 50000000n, script }];
+  await assert.rejects(ScriptInterpreter.verifyInput(signedTx, 0, realOutputs), /Schnorr signature is invalid/);
+});
+
+test('a non-witness UTXO that is not the spent transaction is rejected', async () => {
+  const psbt = Psbt.decode(vectors.workflow.updated);
+  const entry = Psbt.getEntry(psbt.inputs[0], Psbt.IN_NON_WITNESS_UTXO);
+  assert.ok(await Psbt.getInputUtxo(psbt, 0));
+
+  // Raise the amount of the spent output
+  const prevTx = BitcoinSigner.parseTransaction(hex.fromBytes(entry.value));
+  prevTx.outputs[psbt.tx.inputs[0].index].value += 1n;
+  entry.value = hex.toBytes(BitcoinSigner.serializeTransaction(prevTx));
+  await assert.rejects(Psbt.getInputUtxo(psbt, 0), /does not match its outpoint/);
+
+  const { wif, script, prevTx: fundingTx } = await createWallet('p2pkh');
+  const unsignedTx = await spend(fundingTx, script);
+  fundingTx.outputs[0].value = 200000000n;
+  await assert.rejects(
+    BitcoinSigner.signPsbt(wif, createPsbt(unsignedTx, [[nonWitnessUtxo(fundingTx)]]), { scriptType: 'p2pkh', network: Networks.TESTNET }),
+    /does not match its outpoint/
+  );
+});
+
+test('a witness UTXO that disagrees with the non-witness UTXO is rejected', async () => {
+  const { wif, script, prevTx } = await createWallet('p2wpkh');
+  const unsignedTx = await spend(prevTx, script);
+
+  const matching = createPsbt(unsignedTx, [[nonWitnessUtxo(prevTx), witnessUtxo(100000000n, script)]]);
+  const result = await BitcoinSigner.signPsbt(wif, matching, { scriptType: 'p2wpkh', network: Networks.TESTNET });
+  assert.deepEqual(result.signedInputs, [0]);
+
+  const tampered = createPsbt(unsignedTx, [[nonWitnessUtxo(prevTx), witnessUtxo(200000000n, script)]]);
+  await assert.rejects(
+    BitcoinSigner.signPsbt(wif, tampered, { scriptType: 'p2wpkh', network: Networks.TESTNET }),
+    /witness UTXO for input 0 does not match its non-witness UTXO/
+  );
+});
@@ -0,0 +1,128 @@
+/**
+ * Vault key derivation against the PBKDF2-HMAC-SHA256 vector of RFC 7914, the AES-GCM blob layout,
+ * tamper rejection and migration from the pre-vault per-secret ciphertexts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('node:crypto');
+const { hex } = require('./load-libs');
+
+// RFC 7914 section 11: PBKDF2-HMAC-SHA256, P = "passwd", S = "salt", c = 1 (first 32 of the 64 bytes)
+const RFC7914 = {
+  password: 'passwd',
+  salt: 'salt',
+  iterations: 1,
+  key: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc'
+};
+
+const SECRETS = {
+  mnemonic: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+  keys: {
+    'mainnet:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu': 'KyZpNDKnfs94vbrwhJneDi77V6jF64PWPF8x5cdJb8ifgg2DUc9d'
+  }
+};
+
+const accountId = (account) => `${account.network}:${account.address}`;
+
+async function rfc7914Vault(secrets) {
+  const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: RFC7914.iterations, salt: Encryption.arrayBufferToBase64(new TextEncoder().encode(RFC7914.salt)) };
+  const key = await crypto.subtle.importKey('raw', hex.toBytes(RFC7914.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return Vault.seal({ version: Vault.VERSION, kdf }, key, secrets);
+}
+
+test('Vault keys are PBKDF2-HMAC-SHA256 of the password (RFC 7914 vector)', async () => {
+  const vault = await rfc7914Vault(SECRETS);
+  const { secrets } = await Vault.open(vault, RFC7914.password);
+  assert.deepEqual(secrets, SECRETS);
+
+  await assert.rejects(Vault.open(vault, 'passwd '), /Incorrect password or corrupted vault/);
+});
+
+test('Vault ciphertext is AES-256-GCM with the metadata as additional data and the tag appended', async () => {
+  const vault = await rfc7914Vault(SECRETS);
+  const sealed = Buffer.from(vault.ciphertext, 'base64');
+
+  const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', Buffer.from(RFC7914.key, 'hex'), Buffer.from(vault.iv, 'base64'));
+  decipher.setAAD(Vault.encodeMetadata(vault));
+  decipher.setAuthTag(sealed.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(sealed.subarray(0, -16)), decipher.final()]);
+
+  assert.deepEqual(JSON.parse(plaintext.toString('utf8')), SECRETS);
+  assert.equal(vault.hasMnemonic, true);
+  assert.equal(Buffer.from(vault.iv, 'base64').length, 12);
+});
+
+test('Vault create, open and reseal', async () => {
+  const { vault, key } = await Vault.create('correct horse', SECRETS);
+  assert.equal(vault.version, Vault.VERSION);
+  assert.equal(vault.kdf.iterations, Vault.ITERATIONS);
+
+  const opened = await Vault.open(vault, 'correct horse');
+  assert.deepEqual(opened.secrets, SECRETS);
+
+  const resealed = await Vault.seal(vault, key, { mnemonic: null, keys: {} });
+  assert.deepEqual(resealed.kdf, vault.kdf);
+  assert.notEqual(resealed.iv, vault.iv);
+  assert.equal(resealed.hasMnemonic, false);
+  assert.deepEqual(await Vault.decrypt(resealed, opened.key), { mnemonic: null, keys: {} });
+
+  await assert.rejects(Vault.open(vault, 'Correct horse'), /Incorrect password or corrupted vault/);
+});
+
+test('Vault metadata and ciphertext cannot be altered', async () => {
+  const vault = await rfc7914Vault(SECRETS);
+  const { key } = await Vault.open(vault, RFC7914.password);
+
+  const sealed = Buffer.from(vault.ciphertext, 'base64');
+  sealed[0] ^= 1;
+  const tampered = [
+    { ...vault, hasMnemonic: false },
+    { ...vault, kdf: { ...vault.kdf, iterations: 2 } },
+    { ...vault, iv: Encryption.arrayBufferToBase64(new Uint8Array(12)) },
+    { ...vault, ciphertext: sealed.toString('base64') }
+  ];
+  for (const blob of tampered) {
+    await assert.rejects(Vault.decrypt(blob, key), /Incorrect password or corrupted vault/);
+  }
+
+  await assert.rejects(Vault.open({ ...vault, version: 2 }, RFC7914.password), /Unsupported vault version: 2/);
+  await assert.rejects(Vault.open({ ...vault, kdf: { ...vault.kdf, hash: 'SHA-1' } }, RFC7914.password), /unsupported key derivation parameters/);
+  await assert.rejects(
+    Vault.open({ ...vault, kdf: { ...vault.kdf, iterations: Vault.MAX_ITERATIONS + 1 } }, RFC7914.password),
+    /unsupported key derivation parameters/
+  );
+});
+
+test('Pre-vault ciphertexts migrate per password and the rest stay pending', async () => {
+  const [first, second] = [
+    { network: 'mainnet', address: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', wif: 'KyZpNDKnfs94vbrwhJneDi77V6jF64PWPF8x5cdJb8ifgg2DUc9d' },
+    { network: 'testnet', address: 'n1ZCYg9YXtB5XCZazLxSmPDa8iwJRZHhGx', wif: 'cPBn5A4ikZvBTQ8D7NnvHZYCAxzDZ5Z2TSGW2LkyPiLxqYaJPBW4' }
+  ];
+  const wallet = {
+    encryptedMnemonic: await Encryption.encrypt(SECRETS.mnemonic, 'first password'),
+    accounts: [
+      { network: first.network, address: first.address, encryptedPrivateKey: await Encryption.encrypt(first.wif, 'first password') },
+      { network: second.network, address: second.address, encryptedPrivateKey: await Encryption.encrypt(second.wif, 'second password') }
+    ]
+  };
+  const secrets = { mnemonic: null, keys: {} };
+
+  assert.equal(await Vault.migrateLegacy(wallet, 'first password', secrets, accountId), 2);
+  assert.equal(wallet.encryptedMnemonic, null);
+  assert.equal(wallet.accounts[0].encryptedPrivateKey, undefined);
+  assert.ok(wallet.accounts[1].encryptedPrivateKey);
+  assert.deepEqual(secrets, { mnemonic: SECRETS.mnemonic, keys: { [accountId(first)]: first.wif } });
+
+  assert.equal(await Vault.migrateLegacy(wallet, 'wrong password', secrets, accountId), 0);
+  assert.ok(wallet.accounts[1].encryptedPrivateKey);
+
+  assert.equal(await Vault.migrateLegacy(wallet, 'second password', secrets, accountId), 1);
+  assert.equal(wallet.accounts.some(account => account.encryptedPrivateKey), false);
+
+  // One master password opens everything that was migrated
+  const { vault } = await Vault.create('master password', secrets);
+  const opened = await Vault.open(vault, 'master password');
+  assert.deepEqual(opened.secrets.keys, { [accountId(first)]: first.wif, [accountId(second)]: second.wif });
+  assert.equal(opened.secrets.mnemonic, SECRETS.mnemonic);
+});